@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { MapContainer, TileLayer, GeoJSON, Marker, Popup, LayersControl } from "react-leaflet";
+import { MapContainer, TileLayer, GeoJSON, Marker, Popup, LayersControl, useMapEvents } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import fraClaims from "../data/fraClaims";
@@ -18,39 +18,66 @@ L.Icon.Default.mergeOptions({
 
 const indiaCenter = [20.5937, 78.9629];
 
+// Pages of claims fetched for one viewport before the map asks the user to zoom in
+const MAX_VIEWPORT_PAGES = 4;
+
+// Fetch the claims inside a bbox, following nextCursor for up to MAX_VIEWPORT_PAGES pages
+const fetchViewportClaims = async (bbox) => {
+  let claims = [];
+  let cursor = null;
+  for (let page = 0; page < MAX_VIEWPORT_PAGES; page++) {
+    const claimsData = await apiService.getClaims(cursor ? { bbox, cursor } : { bbox });
+    claims = claims.concat(claimsData.claims);
+    cursor = claimsData.nextCursor;
+    if (!cursor) break;
+  }
+  return { claims, truncated: Boolean(cursor) };
+};
+
+// Convert API claims to a GeoJSON FeatureCollection
+const toClaimsGeoJSON = (claims) => ({
+  type: "FeatureCollection",
+  features: claims.map(claim => ({
+    type: "Feature",
+    properties: {
+      id: claim.id,
+      claimant_name: claim.claimant_name,
+      village_name: claim.village_name,
+      status: claim.status,
+      created_at: claim.created_at
+    },
+    geometry: JSON.parse(claim.geometry)
+  }))
+});
+
+// Reports the visible map bounds on mount and after every pan/zoom
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(map.getBounds().toBBoxString()),
+  });
+
+  useEffect(() => {
+    onChange(map.getBounds().toBBoxString());
+  }, [map, onChange]);
+
+  return null;
+}
+
 export default function MapView({ onSearch, onFilter }) {
   const [geoData, setGeoData] = useState(null);
+  const [geoDataVersion, setGeoDataVersion] = useState(0);
+  const [bbox, setBbox] = useState(null);
+  const [claimsTruncated, setClaimsTruncated] = useState(false);
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Load data from API
+  // Load alerts from API
   useEffect(() => {
-    const loadMapData = async () => {
+    const loadAlerts = async () => {
       try {
         setLoading(true);
-        const [claimsData, alertsData] = await Promise.all([
-          apiService.getClaims(),
-          apiService.getAlertsGeoJSON({ limit: 100 })
-        ]);
-        
-        // Convert claims to GeoJSON format
-        const claimsGeoJSON = {
-          type: "FeatureCollection",
-          features: claimsData.claims.map(claim => ({
-            type: "Feature",
-            properties: {
-              id: claim.id,
-              claimant_name: claim.claimant_name,
-              village_name: claim.village_name,
-              status: claim.status,
-              created_at: claim.created_at
-            },
-            geometry: JSON.parse(claim.geometry)
-          }))
-        };
-        
-        setGeoData(claimsGeoJSON);
+        const alertsData = await apiService.getAlertsGeoJSON({ limit: 100 });
         setAlerts(alertsData.features || []);
         setError(null);
       } catch (err) {
@@ -64,9 +91,36 @@ export default function MapView({ onSearch, onFilter }) {
       }
     };
 
-    loadMapData();
+    loadAlerts();
   }, []);
 
+  // Load only the claims inside the current viewport
+  useEffect(() => {
+    if (!bbox) return;
+    let cancelled = false;
+
+    const loadClaims = async () => {
+      try {
+        const { claims, truncated } = await fetchViewportClaims(bbox);
+        if (cancelled) return;
+        setGeoData(toClaimsGeoJSON(claims));
+        setClaimsTruncated(truncated);
+      } catch (err) {
+        console.error('Failed to load claims for viewport:', err);
+        if (cancelled) return;
+        setGeoData(fraClaims);
+        setClaimsTruncated(false);
+      }
+      // GeoJSON layers do not redraw on data change, so force a remount
+      setGeoDataVersion(version => version + 1);
+    };
+
+    loadClaims();
+    return () => {
+      cancelled = true;
+    };
+  }, [bbox]);
+
   // Style function for claims
   const claimStyle = (feature) => {
     const status = feature.properties.status;
@@ -136,6 +190,8 @@ export default function MapView({ onSearch, onFilter }) {
 
   return (
     <MapContainer center={indiaCenter} zoom={5} style={{ height: "100%", width: "100%" }}>
+      <ViewportWatcher onChange={setBbox} />
+
       <LayersControl position="topright">
         {/* Base map */}
         <LayersControl.BaseLayer checked name="OpenStreetMap">
@@ -147,11 +203,14 @@ export default function MapView({ onSearch, onFilter }) {
 
         {/* FRA Claims */}
         <LayersControl.Overlay checked name="FRA Claims">
-          <GeoJSON
-            data={geoData}
-            style={claimStyle}
-            onEachFeature={onEachClaim}
-          />
+          {geoData && (
+            <GeoJSON
+              key={geoDataVersion}
+              data={geoData}
+              style={claimStyle}
+              onEachFeature={onEachClaim}
+            />
+          )}
         </LayersControl.Overlay>
 
         {/* Forest Alerts */}
@@ -209,6 +268,25 @@ export default function MapView({ onSearch, onFilter }) {
         </LayersControl.Overlay>
       </LayersControl>
 
+      {/* Notice when the viewport holds more claims than were fetched */}
+      {claimsTruncated && (
+        <div style={{
+          position: 'absolute',
+          top: '10px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          backgroundColor: '#fef3c7',
+          color: '#92400e',
+          padding: '6px 10px',
+          borderRadius: '5px',
+          boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+          zIndex: 1000,
+          fontSize: '12px'
+        }}>
+          Showing the first {geoData.features.length} claims in this view. Zoom in to see the rest.
+        </div>
+      )}
+
       {/* Legend */}
       <div style={{
         position: 'absolute',
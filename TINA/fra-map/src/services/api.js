@@ -37,8 +37,10 @@ class ApiService {
   }
 
   // Claims API
-  async getClaims() {
-    return this.request('/api/claims');
+  async getClaims(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/claims?${queryString}` : '/api/claims';
+    return this.request(endpoint);
   }
 
   async createClaim(claimData) {
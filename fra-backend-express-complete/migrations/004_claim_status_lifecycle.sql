@@ -0,0 +1,29 @@
+-- Migration: Claim status lifecycle
+-- Description: Extends claim_status with the FRA review stages and records every status change
+
+-- New enum values cannot be used inside the transaction that adds them,
+-- so nothing below this block references them directly.
+ALTER TYPE claim_status ADD VALUE IF NOT EXISTS 'submitted';
+ALTER TYPE claim_status ADD VALUE IF NOT EXISTS 'gram_sabha_verified';
+ALTER TYPE claim_status ADD VALUE IF NOT EXISTS 'sdlc_verified';
+ALTER TYPE claim_status ADD VALUE IF NOT EXISTS 'remanded';
+
+CREATE TABLE IF NOT EXISTS claim_status_history (
+  id SERIAL PRIMARY KEY,
+  claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+  from_status claim_status,
+  to_status claim_status NOT NULL,
+  actor TEXT NOT NULL,
+  reason TEXT,
+  changed_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_status_history_claim_id ON claim_status_history(claim_id, changed_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE claim_status_history IS 'Audit trail of claim status transitions';
+COMMENT ON COLUMN claim_status_history.from_status IS 'Status before the transition (NULL for the initial filing)';
+COMMENT ON COLUMN claim_status_history.to_status IS 'Status after the transition';
+COMMENT ON COLUMN claim_status_history.actor IS 'Person or office that made the change';
+COMMENT ON COLUMN claim_status_history.reason IS 'Reason or remarks recorded with the change';
+COMMENT ON COLUMN claim_status_history.changed_at IS 'Timestamp of the transition';
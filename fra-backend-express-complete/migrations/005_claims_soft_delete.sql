@@ -0,0 +1,8 @@
+-- Migration: Soft delete for claims
+-- Description: Withdrawn claims keep their row and history and can be restored
+
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_claims_active ON claims(created_at) WHERE deleted_at IS NULL;
+
+COMMENT ON COLUMN claims.deleted_at IS 'Timestamp when the claim was withdrawn (NULL while active)';
@@ -0,0 +1,50 @@
+-- Migration: Claim overlap disputes
+-- Description: Overlapping claims are filed as disputed and each overlap is recorded for review
+
+ALTER TYPE claim_status ADD VALUE IF NOT EXISTS 'disputed';
+
+CREATE TABLE IF NOT EXISTS claim_disputes (
+  id SERIAL PRIMARY KEY,
+  claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+  conflicting_claim_id UUID REFERENCES claims(id) ON DELETE CASCADE,
+  forest_id INTEGER REFERENCES forests(id) ON DELETE CASCADE,
+  overlap_area_ha NUMERIC NOT NULL,
+  overlap_pct NUMERIC NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (conflicting_claim_id IS NOT NULL OR forest_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_disputes_claim_id ON claim_disputes(claim_id);
+CREATE INDEX IF NOT EXISTS idx_claim_disputes_conflicting_claim_id ON claim_disputes(conflicting_claim_id);
+CREATE INDEX IF NOT EXISTS idx_claim_disputes_status ON claim_disputes(status);
+
+CREATE TABLE IF NOT EXISTS claim_dispute_comments (
+  id SERIAL PRIMARY KEY,
+  dispute_id INTEGER NOT NULL REFERENCES claim_disputes(id) ON DELETE CASCADE,
+  author TEXT NOT NULL,
+  comment TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_dispute_comments_dispute_id ON claim_dispute_comments(dispute_id);
+
+-- Claims overlap land when their interiors share area; plots that only touch along an
+-- edge or at a corner do not conflict
+CREATE OR REPLACE FUNCTION claims_overlap(a GEOMETRY, b GEOMETRY)
+RETURNS BOOLEAN AS $$
+  SELECT ST_Intersects(a, b) AND ST_Relate(a, b, '2********');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Add comments for documentation
+COMMENT ON TABLE claim_disputes IS 'Overlaps between a claim and existing claims or forests, recorded at filing';
+COMMENT ON COLUMN claim_disputes.claim_id IS 'Claim that was filed over existing land';
+COMMENT ON COLUMN claim_disputes.conflicting_claim_id IS 'Existing claim it overlaps (NULL for forest overlaps)';
+COMMENT ON COLUMN claim_disputes.forest_id IS 'Forest it overlaps (NULL for claim overlaps)';
+COMMENT ON COLUMN claim_disputes.overlap_area_ha IS 'Area of ST_Intersection in hectares';
+COMMENT ON COLUMN claim_disputes.overlap_pct IS 'Overlap area as a percentage of the filed claim area';
+COMMENT ON TABLE claim_dispute_comments IS 'Discussion on a claim dispute';
+COMMENT ON FUNCTION claims_overlap(GEOMETRY, GEOMETRY) IS 'Whether two geometries share area, not just an edge or corner';
@@ -0,0 +1,26 @@
+-- Migration: MultiPolygon claim geometries
+-- Description: Individual claims may cover several parcels, so claims.geom becomes MULTIPOLYGON
+
+-- The view depends on claims.geom and must be dropped while the column type changes
+DROP VIEW IF EXISTS claims_with_villages;
+
+ALTER TABLE claims
+  ALTER COLUMN geom TYPE GEOMETRY(MULTIPOLYGON, 4326)
+  USING ST_Multi(geom);
+
+CREATE OR REPLACE VIEW claims_with_villages AS
+SELECT 
+    c.id,
+    c.claimant_name,
+    c.status,
+    c.created_at,
+    c.updated_at,
+    v.name as village_name,
+    v.district,
+    v.state,
+    v.region,
+    ST_AsGeoJSON(c.geom) as geometry
+FROM claims c
+LEFT JOIN villages v ON c.village_id = v.id;
+
+COMMENT ON COLUMN claims.geom IS 'Claim boundary; one or more parcels in WGS84';
@@ -0,0 +1,29 @@
+-- Supporting documents of a claim (Form A, title deeds, evidence ...),
+-- optionally linked to the OCR result of the scanned document
+
+CREATE TABLE IF NOT EXISTS claim_documents (
+    id SERIAL PRIMARY KEY,
+    claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    document_type VARCHAR(50) NOT NULL
+        CHECK (document_type IN (
+            'form_a', 'form_b', 'form_c', 'title_deed', 'gram_sabha_resolution',
+            'evidence', 'identity_proof', 'other'
+        )),
+    ocr_result_id INTEGER REFERENCES ocr_results(id) ON DELETE SET NULL,
+    file_path TEXT,
+    original_filename VARCHAR(255),
+    uploaded_by VARCHAR(100) NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (claim_id, ocr_result_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_documents_claim ON claim_documents(claim_id);
+CREATE INDEX IF NOT EXISTS idx_claim_documents_ocr_result ON claim_documents(ocr_result_id);
+
+COMMENT ON TABLE claim_documents IS 'Documents supporting an FRA claim';
+COMMENT ON COLUMN claim_documents.document_type IS 'Form A/B/C claim forms, title deed, Gram Sabha resolution, evidence, identity proof or other';
+COMMENT ON COLUMN claim_documents.ocr_result_id IS 'OCR result of the scanned document, if it went through the OCR pipeline';
+COMMENT ON COLUMN claim_documents.file_path IS 'Path of the stored scan on the server';
+COMMENT ON COLUMN claim_documents.original_filename IS 'Filename as uploaded by the user';
+COMMENT ON COLUMN claim_documents.uploaded_by IS 'User who attached the document';
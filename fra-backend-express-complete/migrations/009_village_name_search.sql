@@ -0,0 +1,5 @@
+-- Fuzzy village lookup for names read by OCR, which are often misspelt
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_villages_name_trgm ON villages USING GIN (lower(name) gin_trgm_ops);
@@ -0,0 +1,73 @@
+-- Claimant registry: one row per claimant household, linked from claims,
+-- plus the likely duplicates found between claimants
+
+CREATE TABLE IF NOT EXISTS claimants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    father_husband_name TEXT,
+    relation VARCHAR(10) CHECK (relation IN ('father', 'husband')),
+    gender VARCHAR(10) CHECK (gender IN ('male', 'female', 'other')),
+    category VARCHAR(10) CHECK (category IN ('ST', 'OTFD')),
+    tribe_or_community TEXT,
+    village_id INTEGER REFERENCES villages(id),
+    household_members JSONB NOT NULL DEFAULT '[]'::jsonb,
+    identifiers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    name_key TEXT,
+    father_key TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claimants_village ON claimants(village_id);
+CREATE INDEX IF NOT EXISTS idx_claimants_name_key ON claimants USING GIN (name_key gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_claimants_identifiers ON claimants USING GIN (identifiers);
+CREATE INDEX IF NOT EXISTS idx_claimants_missing_key ON claimants(id) WHERE name_key IS NULL;
+
+DROP TRIGGER IF EXISTS update_claimants_updated_at ON claimants;
+CREATE TRIGGER update_claimants_updated_at
+    BEFORE UPDATE ON claimants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS claimant_id UUID REFERENCES claimants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_claims_claimant ON claims(claimant_id);
+
+-- Existing claims get a claimant each; their name keys are filled in by the API
+-- before the first duplicate search, since they are computed in application code
+CREATE TEMP TABLE claimant_backfill ON COMMIT DROP AS
+    SELECT id AS claim_id, gen_random_uuid() AS claimant_id, claimant_name, village_id
+    FROM claims
+    WHERE claimant_id IS NULL;
+
+INSERT INTO claimants (id, name, village_id)
+SELECT claimant_id, claimant_name, village_id FROM claimant_backfill;
+
+UPDATE claims c
+SET claimant_id = b.claimant_id
+FROM claimant_backfill b
+WHERE c.id = b.claim_id;
+
+CREATE TABLE IF NOT EXISTS claimant_duplicates (
+    id SERIAL PRIMARY KEY,
+    claimant_id UUID NOT NULL REFERENCES claimants(id) ON DELETE CASCADE,
+    candidate_id UUID NOT NULL REFERENCES claimants(id) ON DELETE CASCADE,
+    claim_id UUID REFERENCES claims(id) ON DELETE SET NULL,
+    score NUMERIC(4, 3) NOT NULL,
+    reasons TEXT[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'confirmed', 'dismissed')),
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (claimant_id <> candidate_id)
+);
+
+-- One flag per pair, whichever side was registered first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_claimant_duplicates_pair
+    ON claimant_duplicates (LEAST(claimant_id, candidate_id), GREATEST(claimant_id, candidate_id));
+CREATE INDEX IF NOT EXISTS idx_claimant_duplicates_status ON claimant_duplicates(status);
+
+COMMENT ON TABLE claimants IS 'FRA claimants (head of household) with family and identity details';
+COMMENT ON COLUMN claimants.category IS 'ST (Scheduled Tribe) or OTFD (Other Traditional Forest Dweller)';
+COMMENT ON COLUMN claimants.household_members IS 'Array of {name, relation, age, gender}';
+COMMENT ON COLUMN claimants.identifiers IS 'Identity documents by type, e.g. {"voter_id": "...", "ration_card": "..."}';
+COMMENT ON COLUMN claimants.name_key IS 'Transliterated, spelling-folded name used for duplicate detection';
+COMMENT ON TABLE claimant_duplicates IS 'Claimant pairs that are likely the same household, for review';
@@ -0,0 +1,20 @@
+-- Claim types of the Forest Rights Act: Individual Forest Rights (Form A),
+-- Community Rights (Form B) and Community Forest Resource rights (Form C)
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'claim_type') THEN
+        CREATE TYPE claim_type AS ENUM ('IFR', 'CR', 'CFR');
+    END IF;
+END$$;
+
+-- Every claim filed so far was an individual claim
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS claim_type claim_type NOT NULL DEFAULT 'IFR';
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS land_use TEXT[];
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS rights_claimed TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_claims_claim_type ON claims(claim_type);
+
+COMMENT ON COLUMN claims.claim_type IS 'IFR (individual), CR (community rights) or CFR (community forest resource)';
+COMMENT ON COLUMN claims.land_use IS 'IFR: habitation and/or self_cultivation';
+COMMENT ON COLUMN claims.rights_claimed IS 'CR: community rights claimed under Section 3(1), e.g. nistar, minor_forest_produce, grazing';
@@ -0,0 +1,26 @@
+-- Boundary versions of claims: the boundary as claimed, and every amendment
+-- (e.g. after joint field verification) with its author and reason
+
+CREATE TABLE IF NOT EXISTS claim_geometry_versions (
+    id SERIAL PRIMARY KEY,
+    claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'amendment' CHECK (kind IN ('claimed', 'amendment', 'verified')),
+    geom GEOMETRY(MULTIPOLYGON, 4326) NOT NULL,
+    author VARCHAR(100) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (claim_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_geometry_versions_claim ON claim_geometry_versions(claim_id, version);
+
+-- The current boundary of existing claims becomes their first version
+INSERT INTO claim_geometry_versions (claim_id, version, kind, geom, author, reason, created_at)
+SELECT c.id, 1, 'claimed', c.geom, 'system', 'Boundary when versioning was introduced', c.created_at
+FROM claims c
+WHERE c.geom IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM claim_geometry_versions v WHERE v.claim_id = c.id);
+
+COMMENT ON TABLE claim_geometry_versions IS 'Every boundary a claim has had, oldest first';
+COMMENT ON COLUMN claim_geometry_versions.kind IS 'claimed (as filed), amendment, or verified (after joint field verification)';
@@ -0,0 +1,54 @@
+-- Gram Sabha, Sub-Divisional Level Committee (SDLC) and District Level Committee (DLC)
+-- meetings, the resolutions they pass, and their recommendation on each claim
+
+CREATE TABLE IF NOT EXISTS committee_meetings (
+    id SERIAL PRIMARY KEY,
+    body VARCHAR(20) NOT NULL CHECK (body IN ('gram_sabha', 'sdlc', 'dlc')),
+    -- A Gram Sabha meets for one village; the committees for a sub-division or district
+    village_id INTEGER REFERENCES villages(id),
+    subdivision TEXT,
+    district TEXT,
+    meeting_date DATE NOT NULL,
+    venue TEXT,
+    chaired_by VARCHAR(100),
+    attendance INTEGER CHECK (attendance >= 0),
+    minutes_path TEXT,
+    minutes_filename TEXT,
+    notes TEXT,
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (body <> 'gram_sabha' OR village_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_committee_meetings_body_date ON committee_meetings(body, meeting_date DESC);
+CREATE INDEX IF NOT EXISTS idx_committee_meetings_village ON committee_meetings(village_id);
+
+CREATE TABLE IF NOT EXISTS committee_resolutions (
+    id SERIAL PRIMARY KEY,
+    meeting_id INTEGER NOT NULL REFERENCES committee_meetings(id) ON DELETE CASCADE,
+    resolution_number VARCHAR(50) NOT NULL,
+    text TEXT NOT NULL,
+    recorded_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (meeting_id, resolution_number)
+);
+
+CREATE TABLE IF NOT EXISTS claim_recommendations (
+    id SERIAL PRIMARY KEY,
+    claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    meeting_id INTEGER NOT NULL REFERENCES committee_meetings(id),
+    resolution_id INTEGER REFERENCES committee_resolutions(id),
+    body VARCHAR(20) NOT NULL CHECK (body IN ('gram_sabha', 'sdlc', 'dlc')),
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('recommend', 'reject', 'remand')),
+    reasons TEXT,
+    recorded_by VARCHAR(100) NOT NULL,
+    status_history_id INTEGER REFERENCES claim_status_history(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (meeting_id, claim_id),
+    CHECK (decision = 'recommend' OR reasons IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_recommendations_claim ON claim_recommendations(claim_id, created_at);
+
+COMMENT ON TABLE claim_recommendations IS 'Recommendation of a Gram Sabha, SDLC or DLC on a claim; each one moves the claim to its next status';
+COMMENT ON COLUMN claim_recommendations.reasons IS 'Required when the claim is rejected or remanded';
@@ -0,0 +1,49 @@
+-- Petitions against the rejection of a claim, heard by the committee above the
+-- body that rejected it
+
+CREATE TABLE IF NOT EXISTS claim_appeals (
+    id SERIAL PRIMARY KEY,
+    claim_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    petitioner VARCHAR(100) NOT NULL,
+    grounds TEXT NOT NULL,
+    -- The rejection appealed against and the stage the claim was rejected at
+    rejection_history_id INTEGER REFERENCES claim_status_history(id),
+    rejected_from claim_status,
+    appellate_body VARCHAR(20) NOT NULL CHECK (appellate_body IN ('sdlc', 'dlc')),
+    status VARCHAR(20) NOT NULL DEFAULT 'filed'
+        CHECK (status IN ('filed', 'hearing_scheduled', 'upheld', 'dismissed', 'withdrawn')),
+    hearing_date DATE,
+    outcome_reasons TEXT,
+    decided_by VARCHAR(100),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    -- Status the claim was reopened at when the appeal was upheld
+    reopened_status claim_status,
+    filed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_appeals_claim ON claim_appeals(claim_id, filed_at);
+CREATE INDEX IF NOT EXISTS idx_claim_appeals_status ON claim_appeals(status, appellate_body);
+
+-- A claim has at most one appeal under way
+CREATE UNIQUE INDEX IF NOT EXISTS idx_claim_appeals_one_open
+    ON claim_appeals(claim_id) WHERE status IN ('filed', 'hearing_scheduled');
+
+DROP TRIGGER IF EXISTS update_claim_appeals_updated_at ON claim_appeals;
+CREATE TRIGGER update_claim_appeals_updated_at
+    BEFORE UPDATE ON claim_appeals
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Petitions and their evidence are claim documents linked to the appeal
+ALTER TABLE claim_documents ADD COLUMN IF NOT EXISTS appeal_id INTEGER REFERENCES claim_appeals(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_claim_documents_appeal ON claim_documents(appeal_id);
+
+ALTER TABLE claim_documents DROP CONSTRAINT IF EXISTS claim_documents_document_type_check;
+ALTER TABLE claim_documents ADD CONSTRAINT claim_documents_document_type_check
+    CHECK (document_type IN (
+        'form_a', 'form_b', 'form_c', 'title_deed', 'gram_sabha_resolution',
+        'evidence', 'identity_proof', 'appeal_petition', 'other'
+    ));
+
+COMMENT ON TABLE claim_appeals IS 'Petitions against rejected claims and their review';
+COMMENT ON COLUMN claim_documents.appeal_id IS 'Appeal the document was filed with, if any';
@@ -0,0 +1,40 @@
+-- How long a claim may stay at each review stage, and daily snapshots of the
+-- pending backlog for trend charts
+
+CREATE TABLE IF NOT EXISTS claim_stage_slas (
+    status claim_status PRIMARY KEY,
+    sla_days INTEGER NOT NULL CHECK (sla_days > 0),
+    updated_by VARCHAR(100) NOT NULL DEFAULT 'system',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Defaults; change them through PUT /api/slas/:status
+INSERT INTO claim_stage_slas (status, sla_days) VALUES
+    ('pending', 90),
+    ('submitted', 90),
+    ('remanded', 60),
+    ('disputed', 60),
+    ('gram_sabha_verified', 60),
+    ('sdlc_verified', 60)
+ON CONFLICT (status) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS claim_backlog_snapshots (
+    id SERIAL PRIMARY KEY,
+    snapshot_date DATE NOT NULL,
+    district TEXT NOT NULL,
+    status claim_status NOT NULL,
+    pending_count INTEGER NOT NULL,
+    overdue_count INTEGER NOT NULL,
+    avg_age_days NUMERIC(10, 1) NOT NULL,
+    max_age_days INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (snapshot_date, district, status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_backlog_snapshots_date ON claim_backlog_snapshots(snapshot_date);
+
+-- Age at the current stage is measured from the latest status change
+CREATE INDEX IF NOT EXISTS idx_claim_status_history_latest ON claim_status_history(claim_id, changed_at DESC, id DESC);
+
+COMMENT ON TABLE claim_stage_slas IS 'Days a claim may stay at a status before it is overdue';
+COMMENT ON TABLE claim_backlog_snapshots IS 'Pending and overdue claims per district and status, taken once a day';
@@ -0,0 +1,18 @@
+-- Village boundaries and Local Government Directory / Census codes, so villages
+-- can be managed through the API and claims checked against their village
+
+ALTER TABLE villages ADD COLUMN IF NOT EXISTS geom geometry(MultiPolygon, 4326);
+-- Local Government Directory village code
+ALTER TABLE villages ADD COLUMN IF NOT EXISTS lgd_code VARCHAR(20);
+-- Census 2011 village code
+ALTER TABLE villages ADD COLUMN IF NOT EXISTS census_code VARCHAR(20);
+ALTER TABLE villages ADD COLUMN IF NOT EXISTS subdistrict TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_villages_geom ON villages USING GIST (geom);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_villages_lgd_code ON villages(lgd_code) WHERE lgd_code IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_villages_census_code ON villages(census_code) WHERE census_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_villages_district ON villages(lower(district));
+
+COMMENT ON COLUMN villages.geom IS 'Village boundary; claims are checked to lie within it';
+COMMENT ON COLUMN villages.lgd_code IS 'Local Government Directory village code';
+COMMENT ON COLUMN villages.census_code IS 'Census 2011 village code';
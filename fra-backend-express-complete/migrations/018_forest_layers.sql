@@ -0,0 +1,55 @@
+-- Forest and protected-area layers: a fixed set of legal categories, the
+-- notification that declared the area and the period it is in force
+
+-- Notified areas often come in several blocks, so forests.geom becomes MULTIPOLYGON
+ALTER TABLE forests
+  ALTER COLUMN geom TYPE GEOMETRY(MULTIPOLYGON, 4326)
+  USING ST_Multi(geom);
+
+-- Map free-text types entered by hand onto the categories
+UPDATE forests SET type = CASE
+  WHEN type IS NULL THEN 'other'
+  WHEN lower(type) ~ 'buffer' THEN 'tiger_reserve_buffer'
+  WHEN lower(type) ~ 'core|critical' THEN 'tiger_reserve_core'
+  WHEN lower(type) ~ 'national' THEN 'national_park'
+  WHEN lower(type) ~ 'sanctuary' THEN 'wildlife_sanctuary'
+  WHEN lower(type) ~ 'reserve' THEN 'reserved_forest'
+  WHEN lower(type) ~ 'protect' THEN 'protected_forest'
+  ELSE 'other'
+END
+WHERE type IS NULL OR type NOT IN (
+  'reserved_forest', 'protected_forest', 'national_park', 'wildlife_sanctuary',
+  'tiger_reserve_core', 'tiger_reserve_buffer', 'other'
+);
+
+ALTER TABLE forests ALTER COLUMN type SET DEFAULT 'other';
+ALTER TABLE forests ALTER COLUMN type SET NOT NULL;
+ALTER TABLE forests DROP CONSTRAINT IF EXISTS forests_type_check;
+ALTER TABLE forests ADD CONSTRAINT forests_type_check
+    CHECK (type IN (
+        'reserved_forest', 'protected_forest', 'national_park', 'wildlife_sanctuary',
+        'tiger_reserve_core', 'tiger_reserve_buffer', 'other'
+    ));
+
+-- Gazette notification that declared the area, e.g. "F-15/12/2004/10-3"
+ALTER TABLE forests ADD COLUMN IF NOT EXISTS notification_ref TEXT;
+ALTER TABLE forests ADD COLUMN IF NOT EXISTS valid_from DATE;
+-- Set when an area is denotified; it then no longer affects new claims
+ALTER TABLE forests ADD COLUMN IF NOT EXISTS valid_to DATE;
+ALTER TABLE forests ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE forests DROP CONSTRAINT IF EXISTS forests_validity_check;
+ALTER TABLE forests ADD CONSTRAINT forests_validity_check
+    CHECK (valid_from IS NULL OR valid_to IS NULL OR valid_from <= valid_to);
+
+CREATE INDEX IF NOT EXISTS idx_forests_type ON forests(type);
+CREATE INDEX IF NOT EXISTS idx_forests_notification ON forests(notification_ref);
+
+DROP TRIGGER IF EXISTS update_forests_updated_at ON forests;
+CREATE TRIGGER update_forests_updated_at
+    BEFORE UPDATE ON forests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN forests.type IS 'Legal category; tiger reserve buffer zones only warn when a claim overlaps them';
+COMMENT ON COLUMN forests.notification_ref IS 'Gazette notification that declared the area';
+COMMENT ON COLUMN forests.valid_to IS 'Date the area was denotified, if it has been';
@@ -0,0 +1,76 @@
+-- State → district → subdistrict (tehsil, taluk, mandal) hierarchy loaded from
+-- GADM, used to tag claims and forest alerts with where they lie
+
+CREATE TABLE IF NOT EXISTS admin_units (
+    id SERIAL PRIMARY KEY,
+    level TEXT NOT NULL CHECK (level IN ('state', 'district', 'subdistrict')),
+    name TEXT NOT NULL,
+    parent_id INTEGER REFERENCES admin_units(id) ON DELETE CASCADE,
+    -- GADM identifier, e.g. "IND.19.1.1_1"
+    gid TEXT NOT NULL UNIQUE,
+    -- Local name of the level, e.g. Tehsil, Taluk or Mandal
+    unit_type TEXT,
+    geom GEOMETRY(MULTIPOLYGON, 4326),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((level = 'state') = (parent_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_units_geom ON admin_units USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_admin_units_parent ON admin_units(parent_id);
+CREATE INDEX IF NOT EXISTS idx_admin_units_level_name ON admin_units(level, lower(name));
+
+DROP TRIGGER IF EXISTS update_admin_units_updated_at ON admin_units;
+CREATE TRIGGER update_admin_units_updated_at
+    BEFORE UPDATE ON admin_units
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The subdistrict a geometry lies in: the one containing a point on its
+-- surface, so a claim straddling a boundary gets a single answer
+CREATE OR REPLACE FUNCTION admin_subdistrict_at(g GEOMETRY)
+RETURNS INTEGER AS $$
+    SELECT u.id
+    FROM admin_units u
+    WHERE u.level = 'subdistrict'
+      AND g IS NOT NULL
+      AND ST_Intersects(u.geom, ST_PointOnSurface(ST_SetSRID(g, 4326)))
+    ORDER BY u.id
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS district_unit_id INTEGER REFERENCES admin_units(id) ON DELETE SET NULL;
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS subdistrict_unit_id INTEGER REFERENCES admin_units(id) ON DELETE SET NULL;
+ALTER TABLE forest_alerts ADD COLUMN IF NOT EXISTS district_unit_id INTEGER REFERENCES admin_units(id) ON DELETE SET NULL;
+ALTER TABLE forest_alerts ADD COLUMN IF NOT EXISTS subdistrict_unit_id INTEGER REFERENCES admin_units(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_claims_district_unit ON claims(district_unit_id);
+CREATE INDEX IF NOT EXISTS idx_claims_subdistrict_unit ON claims(subdistrict_unit_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_district_unit ON forest_alerts(district_unit_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_subdistrict_unit ON forest_alerts(subdistrict_unit_id);
+
+-- Tag claims and alerts with their district and subdistrict whenever their location is set
+CREATE OR REPLACE FUNCTION tag_admin_units()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'forest_alerts' THEN
+        NEW.subdistrict_unit_id := admin_subdistrict_at(ST_Point(NEW.lon, NEW.lat));
+    ELSE
+        NEW.subdistrict_unit_id := admin_subdistrict_at(NEW.geom);
+    END IF;
+    NEW.district_unit_id := (SELECT parent_id FROM admin_units WHERE id = NEW.subdistrict_unit_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tag_claims_admin_units ON claims;
+CREATE TRIGGER tag_claims_admin_units
+    BEFORE INSERT OR UPDATE OF geom ON claims
+    FOR EACH ROW EXECUTE FUNCTION tag_admin_units();
+
+DROP TRIGGER IF EXISTS tag_forest_alerts_admin_units ON forest_alerts;
+CREATE TRIGGER tag_forest_alerts_admin_units
+    BEFORE INSERT OR UPDATE OF lat, lon ON forest_alerts
+    FOR EACH ROW EXECUTE FUNCTION tag_admin_units();
+
+COMMENT ON TABLE admin_units IS 'Administrative units loaded from GADM with npm run load:admin-units';
+COMMENT ON COLUMN claims.subdistrict_unit_id IS 'Subdistrict (tehsil) the claim lies in, set by tag_admin_units()';
@@ -0,0 +1,82 @@
+-- Migration: Claim conflicts
+-- Description: Every pair of active claims whose boundaries intersect, kept current by a
+-- trigger on claims so analytics no longer self-join the whole table
+
+CREATE TABLE IF NOT EXISTS claim_conflicts (
+  id SERIAL PRIMARY KEY,
+  -- The pair is stored once, with the smaller id first
+  claim_a_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+  claim_b_id UUID NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+  overlap_geom GEOMETRY(GEOMETRY, 4326) NOT NULL,
+  overlap_area_ha NUMERIC NOT NULL,
+  overlap_pct_a NUMERIC NOT NULL,
+  overlap_pct_b NUMERIC NOT NULL,
+  detected_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (claim_a_id, claim_b_id),
+  CHECK (claim_a_id < claim_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_conflicts_claim_b_id ON claim_conflicts(claim_b_id);
+CREATE INDEX IF NOT EXISTS idx_claim_conflicts_area ON claim_conflicts(overlap_area_ha DESC);
+
+-- Record the conflicts of one claim with every other active claim, using claims_overlap
+-- from 006_claim_disputes.sql
+CREATE OR REPLACE FUNCTION record_claim_conflicts(target UUID)
+RETURNS VOID AS $$
+  INSERT INTO claim_conflicts (claim_a_id, claim_b_id, overlap_geom, overlap_area_ha, overlap_pct_a, overlap_pct_b)
+  SELECT LEAST(t.id, o.id), GREATEST(t.id, o.id), pair.geom,
+         pair.area_m2 / 10000,
+         COALESCE(100 * pair.area_m2 / NULLIF(ST_Area(CASE WHEN t.id < o.id THEN t.geom ELSE o.geom END::geography), 0), 0),
+         COALESCE(100 * pair.area_m2 / NULLIF(ST_Area(CASE WHEN t.id < o.id THEN o.geom ELSE t.geom END::geography), 0), 0)
+  FROM claims t
+  JOIN claims o ON o.id <> t.id AND o.deleted_at IS NULL AND claims_overlap(t.geom, o.geom)
+  CROSS JOIN LATERAL (
+    SELECT ST_Intersection(t.geom, o.geom) AS geom,
+           ST_Area(ST_Intersection(t.geom, o.geom)::geography) AS area_m2
+  ) pair
+  WHERE t.id = target AND t.deleted_at IS NULL
+  ON CONFLICT (claim_a_id, claim_b_id) DO UPDATE
+    SET overlap_geom = EXCLUDED.overlap_geom,
+        overlap_area_ha = EXCLUDED.overlap_area_ha,
+        overlap_pct_a = EXCLUDED.overlap_pct_a,
+        overlap_pct_b = EXCLUDED.overlap_pct_b,
+        detected_at = now();
+$$ LANGUAGE sql;
+
+-- A claim's conflicts are rebuilt whenever it is filed, moved, withdrawn or restored
+CREATE OR REPLACE FUNCTION refresh_claim_conflicts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    DELETE FROM claim_conflicts WHERE claim_a_id = OLD.id OR claim_b_id = OLD.id;
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM record_claim_conflicts(NEW.id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS refresh_claim_conflicts ON claims;
+CREATE TRIGGER refresh_claim_conflicts
+  AFTER INSERT OR UPDATE OF geom, deleted_at OR DELETE ON claims
+  FOR EACH ROW EXECUTE FUNCTION refresh_claim_conflicts();
+
+-- Existing overlaps
+INSERT INTO claim_conflicts (claim_a_id, claim_b_id, overlap_geom, overlap_area_ha, overlap_pct_a, overlap_pct_b)
+SELECT a.id, b.id, pair.geom, pair.area_m2 / 10000,
+       COALESCE(100 * pair.area_m2 / NULLIF(ST_Area(a.geom::geography), 0), 0),
+       COALESCE(100 * pair.area_m2 / NULLIF(ST_Area(b.geom::geography), 0), 0)
+FROM claims a
+JOIN claims b ON a.id < b.id AND b.deleted_at IS NULL AND claims_overlap(a.geom, b.geom)
+CROSS JOIN LATERAL (
+  SELECT ST_Intersection(a.geom, b.geom) AS geom,
+         ST_Area(ST_Intersection(a.geom, b.geom)::geography) AS area_m2
+) pair
+WHERE a.deleted_at IS NULL
+ON CONFLICT (claim_a_id, claim_b_id) DO NOTHING;
+
+-- Add comments for documentation
+COMMENT ON TABLE claim_conflicts IS 'Intersecting pairs of active claims, maintained by the refresh_claim_conflicts trigger';
+COMMENT ON COLUMN claim_conflicts.overlap_pct_a IS 'Share of claim A covered by the overlap';
+COMMENT ON COLUMN claim_conflicts.overlap_pct_b IS 'Share of claim B covered by the overlap';
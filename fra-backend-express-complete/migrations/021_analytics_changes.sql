@@ -0,0 +1,62 @@
+-- Migration: Analytics change tracking
+-- Description: A version per analytics source, bumped by triggers on the tables behind it so every
+-- server process can tell whether its cached aggregates are stale. The versions are sequences:
+-- nextval takes no row lock, so concurrent writers, bulk imports included, do not queue on them.
+
+CREATE SEQUENCE IF NOT EXISTS analytics_claims_version;
+CREATE SEQUENCE IF NOT EXISTS analytics_alerts_version;
+
+-- Trigger arguments name the version sequences of the sources the table feeds
+CREATE OR REPLACE FUNCTION bump_analytics_versions()
+RETURNS TRIGGER AS $$
+DECLARE
+  version TEXT;
+BEGIN
+  FOREACH version IN ARRAY TG_ARGV LOOP
+    PERFORM nextval(version::regclass);
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deferred to commit: a version bumped while the write was still uncommitted would let a reader
+-- cache the old figures under the new version
+DROP TRIGGER IF EXISTS bump_analytics_claims ON claims;
+CREATE CONSTRAINT TRIGGER bump_analytics_claims
+  AFTER INSERT OR UPDATE OR DELETE ON claims
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_claims_version');
+
+DROP TRIGGER IF EXISTS bump_analytics_claim_status_history ON claim_status_history;
+CREATE CONSTRAINT TRIGGER bump_analytics_claim_status_history
+  AFTER INSERT OR UPDATE OR DELETE ON claim_status_history
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_claims_version');
+
+DROP TRIGGER IF EXISTS bump_analytics_claim_appeals ON claim_appeals;
+CREATE CONSTRAINT TRIGGER bump_analytics_claim_appeals
+  AFTER INSERT OR UPDATE OR DELETE ON claim_appeals
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_claims_version');
+
+-- Breakdowns are labelled with village and admin unit names
+DROP TRIGGER IF EXISTS bump_analytics_villages ON villages;
+CREATE CONSTRAINT TRIGGER bump_analytics_villages
+  AFTER UPDATE OR DELETE ON villages
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_claims_version');
+
+DROP TRIGGER IF EXISTS bump_analytics_admin_units ON admin_units;
+CREATE CONSTRAINT TRIGGER bump_analytics_admin_units
+  AFTER INSERT OR UPDATE OR DELETE ON admin_units
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_claims_version', 'analytics_alerts_version');
+
+DROP TRIGGER IF EXISTS bump_analytics_forest_alerts ON forest_alerts;
+CREATE CONSTRAINT TRIGGER bump_analytics_forest_alerts
+  AFTER INSERT OR UPDATE OR DELETE ON forest_alerts
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION bump_analytics_versions('analytics_alerts_version');
+
+COMMENT ON SEQUENCE analytics_claims_version IS 'Bumped when the claims behind cached analytics change';
+COMMENT ON SEQUENCE analytics_alerts_version IS 'Bumped when the forest alerts behind cached analytics change';
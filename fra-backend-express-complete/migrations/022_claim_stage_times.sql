@@ -0,0 +1,69 @@
+-- Migration: Claim stage times
+-- Description: When each claim first reached each stage of the FRA process, kept by a trigger
+-- on claim_status_history so funnel analytics need not replay the history
+
+CREATE TABLE IF NOT EXISTS claim_stage_times (
+  claim_id UUID PRIMARY KEY REFERENCES claims(id) ON DELETE CASCADE,
+  filed_at TIMESTAMPTZ NOT NULL,
+  gram_sabha_at TIMESTAMPTZ,
+  sdlc_at TIMESTAMPTZ,
+  dlc_at TIMESTAMPTZ,
+  title_at TIMESTAMPTZ,
+  rejected_at TIMESTAMPTZ,
+  remand_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE OR REPLACE FUNCTION record_claim_stage_time()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO claim_stage_times (claim_id, filed_at)
+  SELECT c.id, LEAST(c.created_at, NEW.changed_at) FROM claims c WHERE c.id = NEW.claim_id
+  ON CONFLICT (claim_id) DO NOTHING;
+
+  -- Stages keep the first time they were reached, so remands and reopened appeals
+  -- do not move them
+  UPDATE claim_stage_times SET
+    gram_sabha_at = CASE WHEN NEW.to_status = 'gram_sabha_verified'
+                         THEN COALESCE(gram_sabha_at, NEW.changed_at) ELSE gram_sabha_at END,
+    sdlc_at = CASE WHEN NEW.to_status = 'sdlc_verified'
+                   THEN COALESCE(sdlc_at, NEW.changed_at) ELSE sdlc_at END,
+    -- The DLC decides claims the SDLC has verified: approve, reject or remand
+    dlc_at = CASE WHEN NEW.from_status = 'sdlc_verified' AND NEW.to_status IN ('approved', 'rejected', 'remanded')
+                  THEN COALESCE(dlc_at, NEW.changed_at) ELSE dlc_at END,
+    title_at = CASE WHEN NEW.to_status = 'approved'
+                    THEN COALESCE(title_at, NEW.changed_at) ELSE title_at END,
+    rejected_at = CASE WHEN NEW.to_status = 'rejected' THEN NEW.changed_at ELSE rejected_at END,
+    remand_count = remand_count + CASE WHEN NEW.to_status = 'remanded' THEN 1 ELSE 0 END,
+    updated_at = now()
+  WHERE claim_id = NEW.claim_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_claim_stage_time ON claim_status_history;
+CREATE TRIGGER record_claim_stage_time
+  AFTER INSERT ON claim_status_history
+  FOR EACH ROW EXECUTE FUNCTION record_claim_stage_time();
+
+-- Existing claims, from their history; claims without one were filed when created
+INSERT INTO claim_stage_times (claim_id, filed_at, gram_sabha_at, sdlc_at, dlc_at, title_at, rejected_at, remand_count)
+SELECT c.id,
+       LEAST(c.created_at, MIN(h.changed_at)),
+       MIN(h.changed_at) FILTER (WHERE h.to_status = 'gram_sabha_verified'),
+       MIN(h.changed_at) FILTER (WHERE h.to_status = 'sdlc_verified'),
+       MIN(h.changed_at) FILTER (WHERE h.from_status = 'sdlc_verified' AND h.to_status IN ('approved', 'rejected', 'remanded')),
+       MIN(h.changed_at) FILTER (WHERE h.to_status = 'approved'),
+       MAX(h.changed_at) FILTER (WHERE h.to_status = 'rejected'),
+       COUNT(h.id) FILTER (WHERE h.to_status = 'remanded')
+FROM claims c
+LEFT JOIN claim_status_history h ON h.claim_id = c.id
+GROUP BY c.id
+ON CONFLICT (claim_id) DO NOTHING;
+
+-- Add comments for documentation
+COMMENT ON TABLE claim_stage_times IS 'First time each claim reached each review stage, maintained by the record_claim_stage_time trigger';
+COMMENT ON COLUMN claim_stage_times.dlc_at IS 'First DLC decision (approve, reject or remand) on the claim';
+COMMENT ON COLUMN claim_stage_times.title_at IS 'When the claim was approved and the title granted';
+COMMENT ON COLUMN claim_stage_times.rejected_at IS 'Latest rejection of the claim';
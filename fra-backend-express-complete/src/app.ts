@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -10,6 +11,17 @@ import alertsRouter from './routes/alerts';
 import ocrRouter from './routes/ocr';
 import decisionRulesRouter from './routes/decisionRules';
 import dssRoutes from './routes/dssRules';
+import disputesRouter from './routes/disputes';
+import tilesRouter from './routes/tiles';
+import claimantsRouter from './routes/claimants';
+import auditRouter from './routes/audit';
+import meetingsRouter from './routes/meetings';
+import appealsRouter from './routes/appeals';
+import slasRouter from './routes/slas';
+import villagesRouter from './routes/villages';
+import forestsRouter from './routes/forests';
+import adminUnitsRouter from './routes/adminUnits';
+import { startBacklogSnapshotJob } from './jobs/backlogSnapshotJob';
 
 const app = express();
 
@@ -21,6 +33,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Client ids that fit audit_log.request_id; anything else is replaced so the audit insert cannot fail
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// Every request gets an id, echoed back and stored with the audit entries it produces
+app.use((req, res, next) => {
+  const clientId = req.get('X-Request-Id');
+  const requestId = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  res.locals.requestId = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  next();
+});
+
 app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
@@ -55,6 +79,16 @@ app.get('/', (req, res) => {
         analytics: '/api/analytics',
         ocr: '/api/ocr',
         decisionRules: '/api/decision-rules',
+        disputes: '/api/disputes',
+        claimants: '/api/claimants',
+        villages: '/api/villages',
+        forests: '/api/forests',
+        adminUnits: '/api/admin-units',
+        meetings: '/api/meetings',
+        appeals: '/api/appeals',
+        slas: '/api/slas',
+        tiles: '/api/tiles',
+        audit: '/api/audit',
         documentation: '/docs',
         health: '/api/health'
       }
@@ -75,6 +109,16 @@ app.use('/api/claims', claimsRouter);
 app.use('/api/alerts', alertsRouter);
 app.use('/api/ocr', ocrRouter);
 app.use('/api/decision-rules', decisionRulesRouter);
+app.use('/api/disputes', disputesRouter);
+app.use('/api/claimants', claimantsRouter);
+app.use('/api/villages', villagesRouter);
+app.use('/api/forests', forestsRouter);
+app.use('/api/admin-units', adminUnitsRouter);
+app.use('/api/meetings', meetingsRouter);
+app.use('/api/appeals', appealsRouter);
+app.use('/api/slas', slasRouter);
+app.use('/api/tiles', tilesRouter);
+app.use('/api/audit', auditRouter);
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use("/api/analytics", analyticsRoutes);
 app.use('/api/dss/rules', dssRoutes);
@@ -88,6 +132,11 @@ const server = app.listen(port, () => {
   console.log(`🏥 Health Check: http://localhost:${port}/api/health`);
 });
 
+// Daily backlog snapshots for the trend charts; disable when snapshots are taken by cron instead
+if (process.env.BACKLOG_SNAPSHOT_JOB !== 'false') {
+  startBacklogSnapshotJob();
+}
+
 // Handle server errors
 server.on('error', (error: any) => {
   if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,27 @@
+import { SlaService } from '../services/slaService';
+
+const slaService = new SlaService();
+
+// The job wakes up hourly and takes the day's snapshot on the first run after midnight
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+async function snapshotIfMissing(): Promise<void> {
+  try {
+    if (await slaService.hasSnapshot()) return;
+    const rows = await slaService.takeSnapshot();
+    console.log(`📈 Backlog snapshot taken (${rows} district/status rows)`);
+  } catch (error) {
+    console.error('❌ Backlog snapshot failed:', error);
+  }
+}
+
+/**
+ * Snapshot the claim backlog once a day for the trend charts. Runs at startup
+ * and then hourly; the timer does not keep the process alive on shutdown.
+ */
+export function startBacklogSnapshotJob(): NodeJS.Timeout {
+  void snapshotIfMissing();
+  const timer = setInterval(snapshotIfMissing, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
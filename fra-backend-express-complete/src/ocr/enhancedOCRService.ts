@@ -272,7 +272,19 @@ export class EnhancedOCRService {
    * Extract fields from raw OCR text using improved regex patterns
    */
   extractFields(rawText: string): OCRExtractedData {
+    return this.extractFieldsWithConfidence(rawText).extracted;
+  }
+
+  /**
+   * Extract fields along with the confidence of each accepted match
+   * (null when the field was not found)
+   */
+  extractFieldsWithConfidence(rawText: string): {
+    extracted: OCRExtractedData;
+    confidence: { [key: string]: number | null };
+  } {
     const extracted: OCRExtractedData = {};
+    const confidence: { [key: string]: number | null } = {};
     
     for (const field of this.config.fields) {
       try {
@@ -300,16 +312,19 @@ export class EnhancedOCRService {
 
         if (bestMatch && bestConfidence > (field.confidence || 0.3)) {
           extracted[field.name] = this.cleanExtractedValue(bestMatch);
+          confidence[field.name] = bestConfidence;
         } else {
           extracted[field.name] = null;
+          confidence[field.name] = null;
         }
       } catch (error) {
         console.error(`Error processing field ${field.name}:`, error);
         extracted[field.name] = null;
+        confidence[field.name] = null;
       }
     }
     
-    return extracted;
+    return { extracted, confidence };
   }
 
   /**
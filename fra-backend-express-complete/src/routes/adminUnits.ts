@@ -0,0 +1,252 @@
+import express from 'express';
+import { ADMIN_LEVELS, AdminUnitService, isAdminLevel } from '../services/adminUnitService';
+
+const router = express.Router();
+const adminUnitService = new AdminUnitService();
+
+const LOOKUP_GEOMETRY_TYPES = ['Point', 'Polygon', 'MultiPolygon'];
+
+/**
+ * @swagger
+ * /api/admin-units:
+ *   get:
+ *     summary: List administrative units
+ *     description: |
+ *       States, districts and subdistricts (tehsils) loaded from GADM with `npm run load:admin-units`.
+ *       Without filters the states are listed; pass `parent_id` to browse down the tree.
+ *     tags: [Admin Units]
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [state, district, subdistrict]
+ *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the unit name
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Units without their boundaries, each with its number of children
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const level = req.query.level as string | undefined;
+    const parentId = req.query.parent_id as string | undefined;
+
+    if (level !== undefined && !isAdminLevel(level)) {
+      return res.status(400).json({ error: `Invalid level. Must be one of: ${ADMIN_LEVELS.join(', ')}` });
+    }
+    if (parentId !== undefined && isNaN(parseInt(parentId))) {
+      return res.status(400).json({ error: 'Invalid parent_id' });
+    }
+
+    const units = await adminUnitService.listUnits({
+      level,
+      parent_id: parentId === undefined ? undefined : parseInt(parentId),
+      q: req.query.q as string | undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: units.length,
+      limit,
+      offset,
+      units
+    });
+  } catch (error) {
+    console.error('Error fetching admin units:', error);
+    res.status(500).json({
+      error: 'Failed to fetch admin units',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin-units/tree:
+ *   get:
+ *     summary: The state → district → subdistrict hierarchy as a nested tree
+ *     tags: [Admin Units]
+ *     parameters:
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 3
+ *           default: 3
+ *         description: 1 for states only, 2 to add districts, 3 to add subdistricts
+ *     responses:
+ *       200:
+ *         description: States with nested `children`, without boundaries
+ */
+router.get('/tree', async (req, res) => {
+  try {
+    const depth = req.query.depth === undefined ? ADMIN_LEVELS.length : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > ADMIN_LEVELS.length) {
+      return res.status(400).json({ error: `Invalid depth. Must be between 1 and ${ADMIN_LEVELS.length}` });
+    }
+
+    res.json({ depth, states: await adminUnitService.getTree(depth) });
+  } catch (error) {
+    console.error('Error fetching admin unit tree:', error);
+    res.status(500).json({
+      error: 'Failed to fetch admin unit tree',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin-units/lookup:
+ *   get:
+ *     summary: Find the state, district and subdistrict of a point
+ *     tags: [Admin Units]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lon
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: The units containing the point; null where none was loaded
+ *   post:
+ *     summary: Find the admin units of a GeoJSON point or polygon
+ *     description: |
+ *       A polygon is placed by a point on its surface, as claims are tagged, and `overlaps`
+ *       lists every subdistrict it crosses with the share of the polygon in each.
+ *     tags: [Admin Units]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - geometry
+ *             properties:
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Point, Polygon or MultiPolygon
+ *     responses:
+ *       200:
+ *         description: The units the geometry lies in
+ *       400:
+ *         description: Invalid coordinates or geometry
+ */
+router.get('/lookup', async (req, res) => {
+  const lat = Number(req.query.lat);
+  const lon = Number(req.query.lon);
+  if (req.query.lat === undefined || req.query.lon === undefined || !isFinite(lat) || !isFinite(lon)
+      || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({ error: 'lat and lon must be valid WGS84 coordinates' });
+  }
+
+  try {
+    res.json(await adminUnitService.lookup({ type: 'Point', coordinates: [lon, lat] }));
+  } catch (error) {
+    console.error('Error looking up admin units:', error);
+    res.status(500).json({
+      error: 'Failed to look up admin units',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+router.post('/lookup', async (req, res) => {
+  const geometry = req.body?.geometry;
+  if (!geometry || !LOOKUP_GEOMETRY_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return res.status(400).json({
+      error: `geometry must be a GeoJSON ${LOOKUP_GEOMETRY_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    res.json(await adminUnitService.lookup(geometry));
+  } catch (error) {
+    // PostGIS rejects malformed coordinates while parsing the GeoJSON
+    if (error instanceof Error && /geojson|coordinates/i.test(error.message)) {
+      return res.status(400).json({ error: 'Invalid geometry', details: error.message });
+    }
+    console.error('Error looking up admin units:', error);
+    res.status(500).json({
+      error: 'Failed to look up admin units',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin-units/{id}:
+ *   get:
+ *     summary: Get an admin unit with its boundary, ancestors and children
+ *     tags: [Admin Units]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: geometry
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Unit with `path` from its state, `children` and its number of active claims
+ *       404:
+ *         description: Admin unit not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid admin unit ID' });
+    }
+
+    const unit = await adminUnitService.getUnit(id, req.query.geometry !== 'false');
+    if (!unit) {
+      return res.status(404).json({ error: 'Admin unit not found' });
+    }
+
+    res.json({ unit });
+  } catch (error) {
+    console.error('Error fetching admin unit:', error);
+    res.status(500).json({
+      error: 'Failed to fetch admin unit',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
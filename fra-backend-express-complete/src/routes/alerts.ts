@@ -1,7 +1,10 @@
 import { Router } from "express";
 import { pool } from "../db/pool";
+import { analyticsCache } from "../services/analyticsCache";
+import { AuditService } from "../services/auditService";
 
 const router = Router();
+const auditService = new AuditService();
 
 // GET /api/alerts - Get all forest alerts
 router.get("/", async (req, res) => {
@@ -9,7 +12,8 @@ router.get("/", async (req, res) => {
     const { state, severity, startDate, endDate, limit = 100 } = req.query;
     
     let query = `
-      SELECT id, state, lat, lon, severity, date, cause, source, confidence, notes, created_at
+      SELECT id, state, lat, lon, severity, date, cause, source, confidence, notes, created_at,
+             district_unit_id, subdistrict_unit_id
       FROM forest_alerts
       WHERE 1=1
     `;
@@ -84,6 +88,13 @@ router.post("/", async (req, res) => {
       [state, lat, lon, severity, cause, source, confidence || 0, notes || '']
     );
 
+    await auditService.record(req, res, {
+      entity_type: "forest_alert",
+      entity_id: result.rows[0].id,
+      action: "create",
+      after: result.rows[0]
+    });
+
     res.status(201).json({
       success: true,
       alert: result.rows[0]
@@ -100,56 +111,61 @@ router.post("/", async (req, res) => {
 // GET /api/alerts/stats - Get alert statistics
 router.get("/stats", async (req, res) => {
   try {
-    // Total alerts
-    const totalAlerts = await pool.query(`SELECT COUNT(*) FROM forest_alerts;`);
-
-    // Alerts by severity
-    const bySeverity = await pool.query(
-      `SELECT severity, COUNT(*) as count
-       FROM forest_alerts
-       GROUP BY severity
-       ORDER BY severity;`
-    );
-
-    // Alerts by state
-    const byState = await pool.query(
-      `SELECT state, COUNT(*) as count
-       FROM forest_alerts
-       GROUP BY state
-       ORDER BY count DESC;`
-    );
-
-    // Alerts by source
-    const bySource = await pool.query(
-      `SELECT source, COUNT(*) as count
-       FROM forest_alerts
-       GROUP BY source
-       ORDER BY count DESC;`
-    );
-
-    // Recent alerts (last 7 days)
-    const recentAlerts = await pool.query(
-      `SELECT COUNT(*) as count
-       FROM forest_alerts
-       WHERE date >= NOW() - INTERVAL '7 days';`
-    );
-
-    // Average confidence
-    const avgConfidence = await pool.query(
-      `SELECT AVG(confidence) as avg_confidence
-       FROM forest_alerts
-       WHERE confidence > 0;`
-    );
-
-    res.json({
-      success: true,
-      totalAlerts: parseInt(totalAlerts.rows[0].count, 10),
-      bySeverity: bySeverity.rows,
-      byState: byState.rows,
-      bySource: bySource.rows,
-      recentAlerts: parseInt(recentAlerts.rows[0].count, 10),
-      avgConfidence: parseFloat(avgConfidence.rows[0].avg_confidence || 0)
+    // Reused until an alert changes or the cache TTL runs out
+    const result = await analyticsCache.get("alerts:stats", ["alerts"], async () => {
+      // Total alerts
+      const totalAlerts = await pool.query(`SELECT COUNT(*) FROM forest_alerts;`);
+
+      // Alerts by severity
+      const bySeverity = await pool.query(
+        `SELECT severity, COUNT(*) as count
+         FROM forest_alerts
+         GROUP BY severity
+         ORDER BY severity;`
+      );
+
+      // Alerts by state
+      const byState = await pool.query(
+        `SELECT state, COUNT(*) as count
+         FROM forest_alerts
+         GROUP BY state
+         ORDER BY count DESC;`
+      );
+
+      // Alerts by source
+      const bySource = await pool.query(
+        `SELECT source, COUNT(*) as count
+         FROM forest_alerts
+         GROUP BY source
+         ORDER BY count DESC;`
+      );
+
+      // Recent alerts (last 7 days)
+      const recentAlerts = await pool.query(
+        `SELECT COUNT(*) as count
+         FROM forest_alerts
+         WHERE date >= NOW() - INTERVAL '7 days';`
+      );
+
+      // Average confidence
+      const avgConfidence = await pool.query(
+        `SELECT AVG(confidence) as avg_confidence
+         FROM forest_alerts
+         WHERE confidence > 0;`
+      );
+
+      return {
+        success: true,
+        totalAlerts: parseInt(totalAlerts.rows[0].count, 10),
+        bySeverity: bySeverity.rows,
+        byState: byState.rows,
+        bySource: bySource.rows,
+        recentAlerts: parseInt(recentAlerts.rows[0].count, 10),
+        avgConfidence: parseFloat(avgConfidence.rows[0].avg_confidence || 0)
+      };
     });
+
+    analyticsCache.send(req, res, result);
   } catch (err) {
     console.error("Alert stats error:", err);
     res.status(500).json({ 
@@ -1,61 +1,176 @@
 import { Router } from "express";
 import { pool } from "../db/pool";
+import { APPEAL_STATUSES } from "../services/appealService";
+import { SLA_STATUSES } from "../services/slaService";
+import { ANALYTICS_CACHE_TTL_MS, analyticsCache } from "../services/analyticsCache";
+import { buildClaimFilterConditions, parseClaimFilters } from "../services/claimFilters";
+import {
+  AnalyticsService,
+  BREAKDOWN_LEVELS,
+  CLAIM_ONLY_FILTERS,
+  DEFAULT_OUTLIER_MIN_CLAIMS,
+  DEFAULT_OUTLIER_THRESHOLD,
+  DEFAULT_TIMESERIES_BUCKETS,
+  FUNNEL_STAGES,
+  isBreakdownLevel,
+  MAX_TIMESERIES_BUCKETS,
+  OUTLIER_LEVELS,
+  OutlierLevel,
+  TIMESERIES_GROUPS,
+  TIMESERIES_INTERVALS,
+  TIMESERIES_METRICS,
+  TimeseriesGroup,
+  TimeseriesInterval,
+  TimeseriesMetric
+} from "../services/analyticsService";
 
 const router = Router();
+const analyticsService = new AnalyticsService();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const isDate = (value: string) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+// GET /api/analytics/meta - When the cached analytics were computed
+// `data_versions` moves whenever claims or alerts change; each cached response carries
+// when its figures last changed as Last-Modified and can be revalidated with If-None-Match
+// or If-Modified-Since
+router.get("/meta", async (req, res) => {
+  try {
+    res.json({
+      data_versions: await analyticsCache.getVersions(),
+      ttl_seconds: ANALYTICS_CACHE_TTL_MS / 1000,
+      entries: analyticsCache.describe()
+    });
+  } catch (err) {
+    console.error("Analytics meta error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics?state=&district=&admin_unit_id=&status=&claim_type=&year=&created_from=&created_to=
+// Totals for the claims matching the filters (the same ones as GET /api/claims), with
+// state and district breakdowns
+router.get("/", async (req, res) => {
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const params: any[] = [];
+  const where = buildClaimFilterConditions(filters.value, params).join(" AND ");
+  const filtered = `claims c LEFT JOIN villages v ON c.village_id = v.id`;
 
-// GET /api/analytics
-router.get("/", async (_req, res) => {
   // Set timeout for the request
   const timeoutId = setTimeout(() => {
     res.status(408).json({ error: "Request timeout" });
   }, 20000); // 20 second timeout for analytics (more complex queries)
 
   try {
-    // 1. Total claims
-    const totalClaims = await pool.query(`SELECT COUNT(*) FROM claims;`);
-
-    // 2. Claims by status
-    const byStatus = await pool.query(
-      `SELECT status, COUNT(*) 
-       FROM claims 
-       GROUP BY status;`
-    );
+    // Figures are reused until claims change or the cache TTL runs out
+    const result = await analyticsCache.get(`analytics:${JSON.stringify(filters.value)}`, ["claims"], async () => {
+      // 1. Total claims
+      const totalClaims = await pool.query(
+        `SELECT COUNT(*) FROM ${filtered} WHERE ${where};`,
+        params
+      );
 
-    // 3. Claims by village
-    const byVillage = await pool.query(
-      `SELECT village_id, COUNT(*) 
-       FROM claims 
-       GROUP BY village_id;`
-    );
+      // 2. Claims by status
+      const byStatus = await pool.query(
+        `SELECT c.status, COUNT(*) 
+         FROM ${filtered} 
+         WHERE ${where}
+         GROUP BY c.status;`,
+        params
+      );
 
-    // 4. Total area (in hectares) & average claim size
-    const areaStats = await pool.query(
-      `SELECT 
-         COALESCE(SUM(ST_Area(geom::geography) / 10000), 0) AS total_area_ha,
-         COALESCE(AVG(ST_Area(geom::geography) / 10000), 0) AS avg_area_ha
-       FROM claims;`
-    );
+      // 3. Claims by village
+      const byVillage = await pool.query(
+        `SELECT c.village_id, COUNT(*) 
+         FROM ${filtered} 
+         WHERE ${where}
+         GROUP BY c.village_id;`,
+        params
+      );
 
-    // 5. Conflicting claims count (use id instead of claim_id)
-    const conflicts = await pool.query(
-      `SELECT COUNT(*) AS conflict_count
-       FROM claims c1
-       WHERE EXISTS (
-         SELECT 1 FROM claims c2
-         WHERE c1.id <> c2.id
-         AND ST_Intersects(c1.geom, c2.geom)
-       );`
-    );
+      // 3b. Claims and area by claim type
+      const byType = await pool.query(
+        `SELECT c.claim_type, COUNT(*),
+                COALESCE(SUM(ST_Area(c.geom::geography) / 10000), 0) AS total_area_ha
+         FROM ${filtered}
+         WHERE ${where}
+         GROUP BY c.claim_type
+         ORDER BY c.claim_type;`,
+        params
+      );
 
-    clearTimeout(timeoutId);
-    res.json({
-      totalClaims: parseInt(totalClaims.rows[0].count, 10),
-      byStatus: byStatus.rows,
-      byVillage: byVillage.rows,
-      totalAreaHa: parseFloat(areaStats.rows[0].total_area_ha),
-      avgAreaHa: parseFloat(areaStats.rows[0].avg_area_ha),
-      conflictCount: parseInt(conflicts.rows[0].conflict_count, 10)
+      // 3c. Approvals and approved area by state and district
+      const byState = await analyticsService.getBreakdown("state", filters.value);
+      const byDistrict = await analyticsService.getBreakdown("district", filters.value);
+
+      // 4. Total area (in hectares) & average claim size
+      const areaStats = await pool.query(
+        `SELECT 
+           COALESCE(SUM(ST_Area(c.geom::geography) / 10000), 0) AS total_area_ha,
+           COALESCE(AVG(ST_Area(c.geom::geography) / 10000), 0) AS avg_area_ha
+         FROM ${filtered}
+         WHERE ${where};`,
+        params
+      );
+
+      // 5. Claims overlapping another claim, from the trigger-maintained claim_conflicts table
+      const conflicts = await analyticsService.countConflicts(filters.value);
+
+      // 6. Appeals against rejected claims by status and appellate body
+      const appeals = await pool.query(
+        `SELECT a.status, a.appellate_body, COUNT(*)::int AS count
+         FROM claim_appeals a
+         JOIN claims c ON a.claim_id = c.id
+         LEFT JOIN villages v ON c.village_id = v.id
+         WHERE ${where}
+         GROUP BY a.status, a.appellate_body;`,
+        params
+      );
+
+      const countAppeals = (match: (row: any) => boolean) =>
+        appeals.rows.filter(match).reduce((sum, r) => sum + r.count, 0);
+      const upheld = countAppeals((r) => r.status === "upheld");
+      const dismissed = countAppeals((r) => r.status === "dismissed");
+
+      return {
+        filters: filters.value,
+        totalClaims: parseInt(totalClaims.rows[0].count, 10),
+        byStatus: byStatus.rows,
+        byVillage: byVillage.rows,
+        byType: byType.rows.map((r) => ({
+          claim_type: r.claim_type,
+          count: r.count,
+          total_area_ha: parseFloat(r.total_area_ha)
+        })),
+        byState,
+        byDistrict,
+        totalAreaHa: parseFloat(areaStats.rows[0].total_area_ha),
+        avgAreaHa: parseFloat(areaStats.rows[0].avg_area_ha),
+        conflictCount: conflicts.claims,
+        conflictPairs: conflicts.pairs,
+        appeals: {
+          total: countAppeals(() => true),
+          open: countAppeals((r) => r.status === "filed" || r.status === "hearing_scheduled"),
+          byStatus: APPEAL_STATUSES.map((status) => ({ status, count: countAppeals((r) => r.status === status) })),
+          byAppellateBody: ["sdlc", "dlc"].map((body) => ({
+            appellate_body: body,
+            count: countAppeals((r) => r.appellate_body === body)
+          })),
+          // Share of decided appeals (upheld or dismissed) that were upheld
+          upheldRate: upheld + dismissed > 0 ? upheld / (upheld + dismissed) : null
+        }
+      };
     });
+
+    clearTimeout(timeoutId);
+    if (res.headersSent) return;
+    analyticsCache.send(req, res, result);
   } catch (err) {
     clearTimeout(timeoutId);
     console.error("Analytics error:", err);
@@ -74,4 +189,288 @@ router.get("/", async (_req, res) => {
   }
 });
 
+// GET /api/analytics/breakdown?by=state|district|subdistrict&<claim filters>
+// One flat row per unit with totals, approval rate, approved area and average area per title,
+// ready for a recharts BarChart with dataKey="name". Drill down with admin_unit_id=<unit_id>.
+router.get("/breakdown", async (req, res) => {
+  const by = req.query.by ? String(req.query.by) : "state";
+  if (!isBreakdownLevel(by)) {
+    return res.status(400).json({ error: `Invalid by. Must be one of: ${BREAKDOWN_LEVELS.join(", ")}` });
+  }
+
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const result = await analyticsCache.get(`breakdown:${by}:${JSON.stringify(filters.value)}`, ["claims"], async () => {
+      const data = await analyticsService.getBreakdown(by, filters.value);
+      return { by, filters: filters.value, count: data.length, data };
+    });
+    analyticsCache.send(req, res, result);
+  } catch (err) {
+    console.error("Breakdown analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics/funnel?by=state|district|subdistrict&<claim filters>
+// Claims that reached each stage (filed → Gram Sabha → SDLC → DLC → title), the conversion from
+// the previous stage and the median days it took, overall and per unit. Defaults to districts.
+router.get("/funnel", async (req, res) => {
+  const by = req.query.by ? String(req.query.by) : "district";
+  if (!isBreakdownLevel(by)) {
+    return res.status(400).json({ error: `Invalid by. Must be one of: ${BREAKDOWN_LEVELS.join(", ")}` });
+  }
+
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const result = await analyticsCache.get(`funnel:${by}:${JSON.stringify(filters.value)}`, ["claims"], async () => {
+      const funnel = await analyticsService.getFunnel(by, filters.value);
+      return { by, filters: filters.value, stages: FUNNEL_STAGES, ...funnel };
+    });
+    analyticsCache.send(req, res, result);
+  } catch (err) {
+    console.error("Funnel analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics/outliers?by=district|subdistrict&min_claims=20&threshold=3&<claim filters>
+// Units whose rejection rate (of decided claims) or remand rate (of claims past the Gram Sabha)
+// is more than `threshold` standard errors above or below their state's rate
+router.get("/outliers", async (req, res) => {
+  const by = req.query.by ? String(req.query.by) : "district";
+  if (!(OUTLIER_LEVELS as readonly string[]).includes(by)) {
+    return res.status(400).json({ error: `Invalid by. Must be one of: ${OUTLIER_LEVELS.join(", ")}` });
+  }
+  const minClaims = req.query.min_claims === undefined ? DEFAULT_OUTLIER_MIN_CLAIMS : Number(req.query.min_claims);
+  if (!Number.isInteger(minClaims) || minClaims < 1) {
+    return res.status(400).json({ error: "min_claims must be a positive integer" });
+  }
+  const threshold = req.query.threshold === undefined ? DEFAULT_OUTLIER_THRESHOLD : Number(req.query.threshold);
+  if (!isFinite(threshold) || threshold <= 0) {
+    return res.status(400).json({ error: "threshold must be a positive number" });
+  }
+
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const options = { min_claims: minClaims, threshold };
+    const result = await analyticsCache.get(
+      `outliers:${by}:${JSON.stringify(options)}:${JSON.stringify(filters.value)}`,
+      ["claims"],
+      async () => {
+        const report = await analyticsService.getOutliers(by as OutlierLevel, filters.value, options);
+        return { by, filters: filters.value, ...options, count: report.outliers.length, ...report };
+      }
+    );
+    analyticsCache.send(req, res, result);
+  } catch (err) {
+    console.error("Outlier analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics/timeseries?metric=claims_filed|claims_approved|area_approved|alerts
+//   &interval=month|quarter|year&group_by=state|status&from=YYYY-MM-DD&to=YYYY-MM-DD&<claim filters>
+// One point per bucket, zero-filled, with `total` and one key per group. Claims are dated by
+// filing, approvals by their status change and alerts by their date. Defaults to the last
+// 12 months, 8 quarters or 10 years.
+router.get("/timeseries", async (req, res) => {
+  const metric = String(req.query.metric || "claims_filed") as TimeseriesMetric;
+  if (!TIMESERIES_METRICS.includes(metric)) {
+    return res.status(400).json({ error: `Invalid metric. Must be one of: ${TIMESERIES_METRICS.join(", ")}` });
+  }
+  const interval = String(req.query.interval || "month") as TimeseriesInterval;
+  if (!TIMESERIES_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Invalid interval. Must be one of: ${TIMESERIES_INTERVALS.join(", ")}` });
+  }
+  const groupBy = req.query.group_by ? (String(req.query.group_by) as TimeseriesGroup) : undefined;
+  if (groupBy !== undefined && !TIMESERIES_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `Invalid group_by. Must be one of: ${TIMESERIES_GROUPS.join(", ")}` });
+  }
+  // Approvals all share one status and alerts have none
+  if (groupBy === "status" && metric !== "claims_filed") {
+    return res.status(400).json({ error: "group_by=status is only available for metric=claims_filed" });
+  }
+
+  const to = req.query.to ? String(req.query.to) : new Date().toISOString().slice(0, 10);
+  if (!isDate(to)) {
+    return res.status(400).json({ error: "to must be a date (YYYY-MM-DD)" });
+  }
+  const monthsPerBucket = { month: 1, quarter: 3, year: 12 }[interval];
+  const end = new Date(to);
+  const bucketStart = (date: Date) => {
+    const month = date.getUTCMonth() - (date.getUTCMonth() % monthsPerBucket);
+    return date.getUTCFullYear() * 12 + month;
+  };
+  const from = req.query.from
+    ? String(req.query.from)
+    : (() => {
+        const first = bucketStart(end) - (DEFAULT_TIMESERIES_BUCKETS[interval] - 1) * monthsPerBucket;
+        return new Date(Date.UTC(Math.floor(first / 12), first % 12, 1)).toISOString().slice(0, 10);
+      })();
+  if (!isDate(from)) {
+    return res.status(400).json({ error: "from must be a date (YYYY-MM-DD)" });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from must not be after to" });
+  }
+  const buckets = (bucketStart(end) - bucketStart(new Date(from))) / monthsPerBucket + 1;
+  if (buckets > MAX_TIMESERIES_BUCKETS) {
+    return res.status(400).json({
+      error: `The range spans ${buckets} ${interval}s; use a shorter range or a longer interval (maximum ${MAX_TIMESERIES_BUCKETS} buckets)`
+    });
+  }
+
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+  if (metric === "alerts") {
+    const claimOnly = CLAIM_ONLY_FILTERS.filter((key) => filters.value[key] !== undefined);
+    if (claimOnly.length > 0) {
+      return res.status(400).json({
+        error: `${claimOnly.join(", ")} only apply to claim metrics; alerts take state, district, admin_unit_id, bbox, intersects and near`
+      });
+    }
+  }
+
+  try {
+    const options = { metric, interval, group_by: groupBy, from, to, filters: filters.value };
+    const result = await analyticsCache.get(
+      `timeseries:${JSON.stringify(options)}`,
+      [metric === "alerts" ? "alerts" : "claims"],
+      () => analyticsService.getTimeseries(options)
+    );
+    analyticsCache.send(req, res, result);
+  } catch (err) {
+    console.error("Timeseries analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics/conflicts?claim_id=&min_area_ha=&min_pct=&geometry=true&limit=&offset=&<claim filters>
+// Pairs of active claims whose boundaries intersect, largest overlap first. A pair is listed
+// when either claim matches the filters; geometry=true adds the overlap as GeoJSON.
+router.get("/conflicts", async (req, res) => {
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(String(req.query.limit), 10) : 100;
+  const offset = req.query.offset !== undefined ? parseInt(String(req.query.offset), 10) : 0;
+  if (isNaN(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "Invalid limit: must be between 1 and 1000" });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ error: "Invalid offset" });
+  }
+  const claimId = req.query.claim_id ? String(req.query.claim_id) : undefined;
+  if (claimId !== undefined && !UUID_PATTERN.test(claimId)) {
+    return res.status(400).json({ error: "Invalid claim_id" });
+  }
+
+  const minimums: Record<string, number | undefined> = {};
+  for (const key of ["min_area_ha", "min_pct"]) {
+    if (req.query[key] === undefined) continue;
+    const value = Number(req.query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return res.status(400).json({ error: `${key} must be a non-negative number` });
+    }
+    minimums[key] = value;
+  }
+
+  try {
+    const { total, conflicts } = await analyticsService.listConflicts(filters.value, {
+      claim_id: claimId,
+      min_area_ha: minimums.min_area_ha,
+      min_pct: minimums.min_pct,
+      withGeometry: req.query.geometry === "true",
+      limit,
+      offset
+    });
+
+    res.json({ success: true, count: conflicts.length, total, limit, offset, conflicts });
+  } catch (err) {
+    console.error("Conflict analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/analytics/backlog?from=YYYY-MM-DD&to=YYYY-MM-DD&district= - Daily backlog snapshots
+// One point per snapshot day with the open claims per status, the total and how many were overdue.
+// Defaults to the last 90 days.
+router.get("/backlog", async (req, res) => {
+  const to = req.query.to ? String(req.query.to) : new Date().toISOString().slice(0, 10);
+  if (!isDate(to)) {
+    return res.status(400).json({ error: "to must be a date (YYYY-MM-DD)" });
+  }
+  const from = req.query.from
+    ? String(req.query.from)
+    : new Date(Date.parse(to) - 89 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  if (!isDate(from)) {
+    return res.status(400).json({ error: "from must be a date (YYYY-MM-DD)" });
+  }
+  const district = req.query.district ? String(req.query.district) : null;
+
+  try {
+    const result = await pool.query(
+      `SELECT snapshot_date::text AS date, status,
+              SUM(pending_count)::int AS pending, SUM(overdue_count)::int AS overdue
+       FROM claim_backlog_snapshots
+       WHERE snapshot_date BETWEEN $1 AND $2
+       AND ($3::text IS NULL OR lower(district) = lower($3))
+       GROUP BY snapshot_date, status
+       ORDER BY snapshot_date;`,
+      [from, to, district]
+    );
+
+    const byDate = new Map<string, Record<string, any>>();
+    for (const row of result.rows) {
+      let point = byDate.get(row.date);
+      if (!point) {
+        point = { date: row.date, total: 0, overdue: 0, ...Object.fromEntries(SLA_STATUSES.map((s) => [s, 0])) };
+        byDate.set(row.date, point);
+      }
+      point[row.status] = row.pending;
+      point.total += row.pending;
+      point.overdue += row.overdue;
+    }
+
+    res.json({ from, to, district, statuses: SLA_STATUSES, series: [...byDate.values()] });
+  } catch (err) {
+    console.error("Backlog analytics error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
 export default router;
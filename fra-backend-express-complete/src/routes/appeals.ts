@@ -0,0 +1,309 @@
+import express from 'express';
+import {
+  APPEAL_OUTCOMES,
+  APPEAL_STATUSES,
+  AppealService,
+  AppealUpdateResult,
+  isAppealOutcome,
+  isAppealStatus
+} from '../services/appealService';
+import { AuditService } from '../services/auditService';
+
+const router = express.Router();
+const appealService = new AppealService();
+const auditService = new AuditService();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sends the response for an appeal that could not be updated
+function sendUpdateError(res: express.Response, result: Exclude<AppealUpdateResult, { outcome: 'ok' }>) {
+  switch (result.outcome) {
+    case 'not_found':
+      return res.status(404).json({ error: 'Appeal not found' });
+    case 'closed':
+      return res.status(409).json({ error: `The appeal is already ${result.status}`, status: result.status });
+    case 'no_hearing':
+      return res.status(409).json({ error: 'Schedule a hearing before deciding the appeal' });
+    case 'claim_withdrawn':
+      return res.status(409).json({
+        error: 'The claim has been withdrawn; restore it before upholding the appeal',
+        claim_id: result.claim_id
+      });
+  }
+}
+
+/**
+ * @swagger
+ * /api/appeals:
+ *   get:
+ *     summary: List appeals against rejected claims
+ *     tags: [Appeals]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [filed, hearing_scheduled, upheld, dismissed, withdrawn]
+ *       - in: query
+ *         name: appellate_body
+ *         schema:
+ *           type: string
+ *           enum: [sdlc, dlc]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Appeals, latest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const status = req.query.status as string | undefined;
+    const body = req.query.appellate_body as string | undefined;
+
+    if (status !== undefined && !isAppealStatus(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${APPEAL_STATUSES.join(', ')}` });
+    }
+    if (body !== undefined && body !== 'sdlc' && body !== 'dlc') {
+      return res.status(400).json({ error: "Invalid appellate_body. Must be 'sdlc' or 'dlc'" });
+    }
+
+    const appeals = await appealService.listAppeals({ status, appellate_body: body, limit, offset });
+
+    res.json({ success: true, count: appeals.length, limit, offset, appeals });
+  } catch (error) {
+    console.error('Error fetching appeals:', error);
+    res.status(500).json({
+      error: 'Failed to fetch appeals',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appeals/{id}:
+ *   get:
+ *     summary: Get an appeal with its documents
+ *     tags: [Appeals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appeal detail
+ *       404:
+ *         description: Appeal not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid appeal ID' });
+    }
+
+    const appeal = await appealService.getAppeal(id);
+    if (!appeal) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+
+    res.json({ appeal });
+  } catch (error) {
+    console.error('Error fetching appeal:', error);
+    res.status(500).json({
+      error: 'Failed to fetch appeal',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appeals/{id}/hearing:
+ *   patch:
+ *     summary: Schedule or move the hearing of an appeal
+ *     tags: [Appeals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hearing_date
+ *               - scheduled_by
+ *             properties:
+ *               hearing_date:
+ *                 type: string
+ *                 format: date
+ *               scheduled_by:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Hearing scheduled
+ *       404:
+ *         description: Appeal not found
+ *       409:
+ *         description: The appeal is already decided
+ */
+router.patch('/:id/hearing', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid appeal ID' });
+    }
+
+    const { hearing_date, scheduled_by } = req.body;
+    if (!hearing_date || !scheduled_by) {
+      return res.status(400).json({ error: 'Missing required fields: hearing_date and scheduled_by are required' });
+    }
+    if (!DATE_PATTERN.test(hearing_date) || isNaN(Date.parse(hearing_date))) {
+      return res.status(400).json({ error: 'hearing_date must be a date (YYYY-MM-DD)' });
+    }
+
+    const before = await appealService.getAppeal(id);
+    const result = await appealService.scheduleHearing(id, hearing_date);
+    if (result.outcome !== 'ok') {
+      return sendUpdateError(res, result);
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'claim_appeal',
+      entity_id: id,
+      action: 'schedule_hearing',
+      actor: scheduled_by,
+      before,
+      after: result.appeal
+    });
+
+    res.json({ appeal: result.appeal });
+  } catch (error) {
+    console.error('Error scheduling appeal hearing:', error);
+    res.status(500).json({
+      error: 'Failed to schedule hearing',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appeals/{id}/decision:
+ *   post:
+ *     summary: Decide an appeal
+ *     description: |
+ *       An upheld appeal reopens the claim at the stage it was rejected at, so the body
+ *       that rejected it hears it again. Upholding or dismissing needs a scheduled hearing;
+ *       a petitioner can withdraw at any time.
+ *     tags: [Appeals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *               - decided_by
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [upheld, dismissed, withdrawn]
+ *               reasons:
+ *                 type: string
+ *                 description: Required to uphold or dismiss
+ *               decided_by:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appeal decided, with the reopened claim when upheld
+ *       404:
+ *         description: Appeal not found
+ *       409:
+ *         description: The appeal is already decided or has no hearing, or its claim was withdrawn
+ */
+router.post('/:id/decision', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid appeal ID' });
+    }
+
+    const { outcome, reasons, decided_by } = req.body;
+    if (!outcome || !decided_by) {
+      return res.status(400).json({ error: 'Missing required fields: outcome and decided_by are required' });
+    }
+    if (!isAppealOutcome(outcome)) {
+      return res.status(400).json({ error: `Invalid outcome. Must be one of: ${APPEAL_OUTCOMES.join(', ')}` });
+    }
+    if (outcome !== 'withdrawn' && !(typeof reasons === 'string' && reasons.trim())) {
+      return res.status(400).json({ error: 'Reasons are required to uphold or dismiss an appeal' });
+    }
+
+    const before = await appealService.getAppeal(id);
+    const result = await appealService.decide(id, { outcome, reasons: reasons?.trim(), decided_by });
+    if (result.outcome !== 'ok') {
+      return sendUpdateError(res, result);
+    }
+
+    await auditService.record(
+      req,
+      res,
+      {
+        entity_type: 'claim_appeal',
+        entity_id: id,
+        action: 'decide',
+        actor: decided_by,
+        before,
+        after: result.appeal
+      },
+      ...(result.history
+        ? [{
+            entity_type: 'claim' as const,
+            entity_id: result.appeal.claim_id,
+            action: 'status_change',
+            actor: decided_by,
+            before: { status: result.history.from_status },
+            after: { status: result.history.to_status, reason: result.history.reason }
+          }]
+        : [])
+    );
+
+    res.json({
+      appeal: result.appeal,
+      ...(result.claim ? { claim: result.claim, history: result.history } : {})
+    });
+  } catch (error) {
+    console.error('Error deciding appeal:', error);
+    res.status(500).json({
+      error: 'Failed to decide appeal',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
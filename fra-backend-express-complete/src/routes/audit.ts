@@ -0,0 +1,111 @@
+import express from 'express';
+import { AUDIT_ENTITY_TYPES, AuditService } from '../services/auditService';
+
+const router = express.Router();
+const auditService = new AuditService();
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     description: Every write made through the API, with the record before and after the change.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           enum: [claim, claim_document, claimant, claimant_duplicate, dispute, committee_meeting, committee_resolution, claim_recommendation, claim_appeal, claim_stage_sla, village, forest, forest_alert, decision_rule, ocr_result]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         example: status_change
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *         description: X-Request-Id of the request that made the change
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const entityType = req.query.entity_type as string | undefined;
+    const from = req.query.from as string | undefined;
+    const to = req.query.to as string | undefined;
+
+    if (entityType && !(AUDIT_ENTITY_TYPES as readonly string[]).includes(entityType)) {
+      return res.status(400).json({
+        error: `Invalid entity_type. Must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`
+      });
+    }
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid date in from/to' });
+    }
+
+    const { total, entries } = await auditService.listEntries({
+      actor: req.query.actor as string | undefined,
+      entity_type: entityType,
+      entity_id: req.query.entity_id as string | undefined,
+      action: req.query.action as string | undefined,
+      request_id: req.query.request_id as string | undefined,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      total,
+      count: entries.length,
+      limit,
+      offset,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
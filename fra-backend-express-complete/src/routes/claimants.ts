@@ -0,0 +1,402 @@
+import express from 'express';
+import {
+  ClaimantService,
+  DUPLICATE_STATUSES,
+  DuplicateStatus,
+  validateClaimantDetails
+} from '../services/claimantService';
+import { AuditService } from '../services/auditService';
+
+const router = express.Router();
+const claimantService = new ClaimantService();
+const auditService = new AuditService();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * /api/claimants:
+ *   get:
+ *     summary: List or search claimants
+ *     tags: [Claimants]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Name to search for, in Latin or Devanagari script
+ *       - in: query
+ *         name: village_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of claimants
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const villageId = req.query.village_id !== undefined ? parseInt(req.query.village_id as string) : undefined;
+
+    if (villageId !== undefined && isNaN(villageId)) {
+      return res.status(400).json({ error: 'Invalid village_id' });
+    }
+
+    const claimants = await claimantService.listClaimants({
+      q: req.query.q as string | undefined,
+      village_id: villageId,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: claimants.length,
+      limit,
+      offset,
+      claimants
+    });
+  } catch (error) {
+    console.error('Error fetching claimants:', error);
+    res.status(500).json({
+      error: 'Failed to fetch claimants',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claimants:
+ *   post:
+ *     summary: Register a claimant
+ *     description: Likely duplicates of the new claimant are returned and flagged for review.
+ *     tags: [Claimants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               father_husband_name:
+ *                 type: string
+ *               relation:
+ *                 type: string
+ *                 enum: [father, husband]
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other]
+ *               category:
+ *                 type: string
+ *                 enum: [ST, OTFD]
+ *               tribe_or_community:
+ *                 type: string
+ *               village_id:
+ *                 type: integer
+ *               household_members:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     relation:
+ *                       type: string
+ *                     age:
+ *                       type: integer
+ *                     gender:
+ *                       type: string
+ *               identifiers:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "voter_id": "MP/12/345/678901", "ration_card": "2345678901" }
+ *     responses:
+ *       201:
+ *         description: Claimant registered, with any likely duplicates
+ *       400:
+ *         description: Invalid claimant details
+ */
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateClaimantDetails(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid claimant', details: errors });
+    }
+
+    const { claimant, duplicates } = await claimantService.createClaimant(req.body);
+
+    await auditService.record(req, res, {
+      entity_type: 'claimant',
+      entity_id: claimant.id,
+      action: 'create',
+      after: claimant
+    });
+
+    res.status(201).json({ claimant, duplicates });
+  } catch (error) {
+    console.error('Error creating claimant:', error);
+    res.status(500).json({
+      error: 'Failed to create claimant',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claimants/duplicates:
+ *   get:
+ *     summary: List likely duplicate claimants
+ *     tags: [Claimants]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, confirmed, dismissed]
+ *       - in: query
+ *         name: claimant_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Duplicate flags with score and reasons
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { status, claimant_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+
+    if (status && !(DUPLICATE_STATUSES as readonly string[]).includes(status as string)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${DUPLICATE_STATUSES.join(', ')}` });
+    }
+    if (claimant_id && !UUID_PATTERN.test(claimant_id as string)) {
+      return res.status(400).json({ error: 'Invalid claimant ID' });
+    }
+
+    const duplicates = await claimantService.listDuplicates({
+      status: status as DuplicateStatus | undefined,
+      claimant_id: claimant_id as string | undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: duplicates.length,
+      limit,
+      offset,
+      duplicates
+    });
+  } catch (error) {
+    console.error('Error fetching claimant duplicates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch duplicates',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claimants/duplicates/{id}:
+ *   patch:
+ *     summary: Confirm or dismiss a duplicate flag
+ *     tags: [Claimants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reviewed_by
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, dismissed]
+ *               reviewed_by:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Flag reviewed
+ *       404:
+ *         description: Duplicate flag not found
+ */
+router.patch('/duplicates/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid duplicate ID' });
+    }
+
+    const { status, reviewed_by } = req.body;
+    if (!status || !reviewed_by) {
+      return res.status(400).json({ error: 'Missing required fields: status and reviewed_by are required' });
+    }
+    if (status !== 'confirmed' && status !== 'dismissed') {
+      return res.status(400).json({ error: "Invalid status. Must be 'confirmed' or 'dismissed'" });
+    }
+
+    const before = await claimantService.getDuplicate(id);
+    const duplicate = await claimantService.reviewDuplicate(id, status, reviewed_by);
+    if (!duplicate) {
+      return res.status(404).json({ error: 'Duplicate flag not found' });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'claimant_duplicate',
+      entity_id: id,
+      action: 'review',
+      actor: reviewed_by,
+      before,
+      after: duplicate
+    });
+
+    res.json({ duplicate });
+  } catch (error) {
+    console.error('Error reviewing claimant duplicate:', error);
+    res.status(500).json({
+      error: 'Failed to review duplicate',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claimants/{id}:
+ *   get:
+ *     summary: Get a claimant with their claims
+ *     tags: [Claimants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Claimant details
+ *       404:
+ *         description: Claimant not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid claimant ID' });
+    }
+
+    const claimant = await claimantService.getClaimant(id);
+    if (!claimant) {
+      return res.status(404).json({ error: 'Claimant not found' });
+    }
+
+    res.json({ claimant });
+  } catch (error) {
+    console.error('Error fetching claimant:', error);
+    res.status(500).json({
+      error: 'Failed to fetch claimant',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claimants/{id}:
+ *   patch:
+ *     summary: Update a claimant's details
+ *     description: Takes the same fields as registration; a new name is copied to the claimant's claims.
+ *     tags: [Claimants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Claimant updated
+ *       404:
+ *         description: Claimant not found
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid claimant ID' });
+    }
+
+    const errors = validateClaimantDetails(req.body, false);
+    if (req.body.name !== undefined && !String(req.body.name).trim()) {
+      errors.push('name cannot be empty');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid claimant', details: errors });
+    }
+
+    const before = await claimantService.getClaimant(id);
+    const claimant = await claimantService.updateClaimant(id, req.body);
+    if (!claimant) {
+      return res.status(404).json({ error: 'Claimant not found' });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'claimant',
+      entity_id: id,
+      action: 'update',
+      before,
+      after: claimant
+    });
+
+    res.json({ claimant });
+  } catch (error) {
+    console.error('Error updating claimant:', error);
+    res.status(500).json({
+      error: 'Failed to update claimant',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -1,24 +1,184 @@
-import { Router } from "express";
+import fs from "fs";
+import { Router, Request, Response, NextFunction } from "express";
+import multer from "multer";
 import { pool } from "../db/pool";
+import { ClaimStatusService, CLAIM_STATUSES, isClaimStatus } from "../services/claimStatusService";
+import { ClaimsService } from "../services/claimsService";
+import { DisputeService } from "../services/disputeService";
+import { ClaimGeometryService, GeometryValidationResult } from "../services/claimGeometryService";
+import { ClaimExportService, CsvGeometry, EXPORT_FORMATS, ExportFormat } from "../services/claimExportService";
+import {
+  ClaimImportService,
+  DEFAULT_IMPORT_MAPPING,
+  ImportFieldMapping,
+  MAX_IMPORT_FEATURES
+} from "../services/claimImportService";
+import {
+  ClaimDocumentService,
+  DOCUMENT_TYPES,
+  DOCUMENT_UPLOAD_DIR,
+  isDocumentType
+} from "../services/claimDocumentService";
+import { validateClaimantDetails } from "../services/claimantService";
+import {
+  CLAIM_TYPE_RULES,
+  CLAIM_TYPES,
+  ClaimType,
+  isClaimType,
+  parseList,
+  validateClaimType
+} from "../services/claimTypes";
+import {
+  buildClaimFilterConditions,
+  encodeClaimCursor,
+  parseClaimFilters,
+  parseClaimPagination
+} from "../services/claimFilters";
+import { AMENDMENT_KINDS, ClaimVersionService } from "../services/claimVersionService";
+import { AuditChange, AuditService } from "../services/auditService";
+import {
+  CommitteeService,
+  committeeForStatus,
+  committeeForTransition,
+  COMMITTEE_LABELS
+} from "../services/committeeService";
+import { AppealService } from "../services/appealService";
+import { isSlaStatus, SLA_STATUSES, SlaService } from "../services/slaService";
+import { VillageBoundaryCheck, VillageService } from "../services/villageService";
 
 const router = Router();
+const claimStatusService = new ClaimStatusService();
+const claimsService = new ClaimsService();
+const disputeService = new DisputeService();
+const claimGeometryService = new ClaimGeometryService();
+const claimImportService = new ClaimImportService();
+const claimExportService = new ClaimExportService();
+const claimDocumentService = new ClaimDocumentService();
+const claimVersionService = new ClaimVersionService();
+const auditService = new AuditService();
+const committeeService = new CommitteeService();
+const appealService = new AppealService();
+const slaService = new SlaService();
+const villageService = new VillageService();
 
-// GET /api/claims - List all claims
+// GIS files are parsed in memory and never kept on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+// Scanned documents go through the OCR pipeline, which reads them from disk
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, DOCUMENT_UPLOAD_DIR),
+    filename: (req, file, cb) => {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "");
+      cb(null, `${timestamp}_${file.originalname}`);
+    }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"));
+    }
+  }
+});
+
+const handleUploadError = (err: any, req: Request, res: Response, next: NextFunction) => {
+  if (err) {
+    console.error("Claim upload error:", err);
+    return res.status(400).json({
+      error: "File upload error",
+      details: err.message
+    });
+  }
+  next();
+};
+
+// multer saves a scan before the request is checked; only scans kept as documents stay on disk
+const discardUpload = (req: Request) => {
+  if (!req.file) return;
+  fs.promises.unlink(req.file.path).catch((err) => console.error("Remove rejected upload error:", err));
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Builds the 400 response body for a geometry that failed validation
+function geometryError(result: Extract<GeometryValidationResult, { ok: false }>) {
+  return {
+    error: result.error,
+    details: result.details,
+    ...(result.hint ? { hint: result.hint } : {})
+  };
+}
+
+// Builds the 400 response body for a claim that cannot be filed in its village, or null when it can
+function villageBoundaryError(check: VillageBoundaryCheck) {
+  if (check.status === "village_not_found") {
+    return { error: "Village not found" };
+  }
+
+  if (check.status === "outside") {
+    return { error: "Claim lies outside its village boundary", village_check: check };
+  }
+
+  return null;
+}
+
+// GET /api/claims - List claims with spatial/attribute filters and pagination
 router.get("/", async (req, res) => {
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const pagination = parseClaimPagination(req.query);
+  if (!pagination.ok) {
+    return res.status(400).json({ error: pagination.error });
+  }
+
   try {
+    const { limit, offset, cursor } = pagination.value;
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters.value, params);
+
+    // Keyset pagination: continue strictly after the last row of the previous page
+    if (cursor) {
+      params.push(cursor.created_at, cursor.id);
+      conditions.push(
+        `(c.created_at, c.id) < ($${params.length - 1}::timestamp AT TIME ZONE 'UTC', $${params.length}::uuid)`
+      );
+    }
+
+    params.push(limit, cursor ? 0 : offset);
     const result = await pool.query(`
-      SELECT c.id, c.claimant_name, c.village_id, c.status, c.created_at,
+      SELECT c.id, c.claimant_name, c.village_id, c.claim_type, c.status, c.created_at,
              v.name as village_name,
-             ST_AsGeoJSON(c.geom) as geometry
+             ST_AsGeoJSON(c.geom) as geometry,
+             to_char(c.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US') as cursor_key
       FROM claims c
       LEFT JOIN villages v ON c.village_id = v.id
-      ORDER BY c.created_at DESC;
-    `);
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length};
+    `, params);
+
+    const claims = result.rows.map(({ cursor_key, ...claim }) => claim);
+    const last = result.rows[result.rows.length - 1];
     
     res.json({
       success: true,
-      count: result.rows.length,
-      claims: result.rows
+      count: claims.length,
+      limit,
+      offset: cursor ? undefined : offset,
+      nextCursor: result.rows.length === limit ? encodeClaimCursor(last.cursor_key, last.id) : null,
+      claims
     });
   } catch (err) {
     console.error("Get claims error:", err);
@@ -30,39 +190,51 @@ router.get("/", async (req, res) => {
 });
 
 // POST /api/claims
+// A draft from POST /api/ocr/results/:id/to-claim keeps its ocr_result_id, which attaches
+// the scanned form to the new claim (as document_type, default form_a).
+// The claimant is either an existing claimant_id or registered from the claimant details
+// (father/husband name, category, household, identifiers), and checked for duplicates.
 router.post("/", async (req, res) => {
-  const { claimant_name, village_id, geom } = req.body;
+  const { village_id, geom, actor, ocr_result_id, claimant_id, claimant, claim_type = "IFR" } = req.body;
+  const { document_type = isClaimType(claim_type) ? CLAIM_TYPE_RULES[claim_type].form : "form_a" } = req.body;
+  const land_use = parseList(req.body.land_use);
+  const rights_claimed = parseList(req.body.rights_claimed);
+  let { claimant_name } = req.body;
 
   // Input validation
-  if (!claimant_name || !village_id || !geom) {
+  if (!(claimant_name || claimant_id || claimant?.name) || !village_id || !geom) {
     return res.status(400).json({
-      error: "Missing required fields: claimant_name, village_id, and geom are required"
+      error: "Missing required fields: claimant_name (or claimant_id), village_id, and geom are required"
     });
   }
 
-  // Validate GeoJSON structure
-  if (!geom.type || !geom.coordinates) {
-    return res.status(400).json({
-      error: "Invalid geometry: geom must have 'type' and 'coordinates' properties"
-    });
+  if (claimant_id !== undefined && !UUID_PATTERN.test(claimant_id)) {
+    return res.status(400).json({ error: "Invalid claimant ID" });
+  }
+
+  if (!Number.isInteger(Number(village_id))) {
+    return res.status(400).json({ error: "village_id must be an integer" });
   }
 
-  // Validate coordinates array structure
-  if (!Array.isArray(geom.coordinates)) {
+  if (!isClaimType(claim_type)) {
     return res.status(400).json({
-      error: "Invalid geometry: coordinates must be an array"
+      error: `Invalid claim_type. Must be one of: ${CLAIM_TYPES.join(", ")}`
     });
   }
 
-  // For Polygon type, validate the ring structure
-  if (geom.type === 'Polygon') {
-    if (!Array.isArray(geom.coordinates[0]) || !Array.isArray(geom.coordinates[0][0])) {
-      return res.status(400).json({
-        error: "Invalid Polygon: coordinates must be an array of rings, where each ring is an array of coordinate pairs"
-      });
+  if (claimant !== undefined && claimant_id === undefined) {
+    const errors = validateClaimantDetails(claimant, false);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid claimant", details: errors });
     }
   }
 
+  if (ocr_result_id !== undefined && (!Number.isInteger(Number(ocr_result_id)) || !isDocumentType(document_type))) {
+    return res.status(400).json({
+      error: `ocr_result_id must be an integer and document_type one of: ${DOCUMENT_TYPES.join(", ")}`
+    });
+  }
+
   // Set timeout for the request
   let timeoutId: NodeJS.Timeout | null = null;
   let responseSent = false;
@@ -80,45 +252,82 @@ router.post("/", async (req, res) => {
   }, 15000); // 15 second timeout
 
   try {
-    // 1. Check overlap with existing claims
-    const conflict = await pool.query(
-      `SELECT id 
-       FROM claims 
-       WHERE ST_Intersects(geom, ST_GeomFromGeoJSON($1));`,
-      [JSON.stringify(geom)]
-    );
+    if (claimant_id !== undefined) {
+      const registered = await pool.query(`SELECT name FROM claimants WHERE id = $1;`, [claimant_id]);
+      if (registered.rows.length === 0) {
+        return sendResponse(400, { error: "Claimant not found" });
+      }
+      claimant_name = registered.rows[0].name;
+    } else if (!claimant_name) {
+      claimant_name = claimant.name;
+    }
 
-    if (conflict.rows.length > 0) {
-      return sendResponse(400, {
-        error: "Claim overlaps with an existing claim",
-        conflictingClaims: conflict.rows.map((r) => r.id)
-      });
+    if (ocr_result_id !== undefined) {
+      const ocr = await pool.query(`SELECT id FROM ocr_results WHERE id = $1;`, [Number(ocr_result_id)]);
+      if (ocr.rows.length === 0) {
+        return sendResponse(400, { error: "OCR result not found" });
+      }
     }
 
-    // 2. Check overlap with forest boundaries
-    const forestConflict = await pool.query(
-      `SELECT id, name 
-       FROM forests 
-       WHERE ST_Intersects(geom, ST_GeomFromGeoJSON($1));`,
-      [JSON.stringify(geom)]
-    );
+    // Validate the boundary, repairing it only when the caller opted in
+    const validation = await claimGeometryService.validate(geom, { repair: req.query.repair === 'true' });
+    if (!validation.ok) {
+      return sendResponse(400, geometryError(validation));
+    }
+
+    const typeErrors = validateClaimType({ claim_type, land_use, rights_claimed, area_ha: validation.area_ha });
+    if (typeErrors.length > 0) {
+      return sendResponse(400, { error: `Invalid ${claim_type} claim`, details: typeErrors });
+    }
+
+    // Claims must lie within (or just beyond) the boundary of their village, where one is recorded
+    const villageCheck = await villageService.checkClaimBoundary(validation.geometry, Number(village_id));
+    const boundaryError = villageBoundaryError(villageCheck);
+    if (boundaryError) {
+      return sendResponse(400, boundaryError);
+    }
+
+    // Insert, filing claims that overlap existing claims or forests as disputed
+    const { claim, disputes, duplicates, forest_warnings } = await claimsService.createClaim({
+      claimant_name,
+      claimant_id,
+      claimant: claimant_id === undefined ? claimant : undefined,
+      claim_type,
+      land_use,
+      rights_claimed,
+      village_id,
+      geom: validation.geometry,
+      actor: actor || claimant_name
+    });
 
-    if (forestConflict.rows.length > 0) {
-      return sendResponse(400, {
-        error: "Claim overlaps with a protected forest area",
-        forests: forestConflict.rows
+    let document;
+    if (ocr_result_id !== undefined) {
+      const attached = await claimDocumentService.attachOcrResult(claim.id, Number(ocr_result_id), {
+        document_type,
+        uploaded_by: actor || claimant_name
       });
+      if (attached.outcome === "ok" || attached.outcome === "already_attached") {
+        document = attached.document;
+      }
     }
 
-    // 3. Insert if no conflict
-    const result = await pool.query(
-      `INSERT INTO claims (claimant_name, village_id, geom, status)
-       VALUES ($1, $2, ST_GeomFromGeoJSON($3), 'pending')
-       RETURNING *;`,
-      [claimant_name, village_id, JSON.stringify(geom)]
-    );
+    const changes: AuditChange[] = [
+      { entity_type: "claim", entity_id: claim.id, action: "create", actor, after: await claimsService.getClaimById(claim.id) }
+    ];
+    if (document) {
+      changes.push({ entity_type: "claim_document", entity_id: document.id, action: "create", actor, after: document });
+    }
+    await auditService.record(req, res, ...changes);
 
-    sendResponse(201, result.rows[0]);
+    sendResponse(201, {
+      ...claim,
+      ...(document ? { documents: [document] } : {}),
+      ...(disputes.length > 0 ? { disputes } : {}),
+      ...(duplicates.length > 0 ? { duplicates } : {}),
+      ...(forest_warnings.length > 0 ? { forest_warnings } : {}),
+      ...(villageCheck.status === "near" ? { village_check: villageCheck } : {}),
+      ...(validation.repaired ? { repairs: validation.repairs } : {})
+    });
   } catch (err) {
     console.error("Claims error:", err);
     
@@ -139,4 +348,956 @@ router.post("/", async (req, res) => {
   }
 });
 
+// GET /api/claims/overdue?district=&status=&claim_type= - Claims past the SLA of their current stage
+// Grouped by district and status; SLAs are configured through /api/slas
+router.get("/overdue", async (req, res) => {
+  const status = req.query.status as string | undefined;
+  if (status !== undefined && !isSlaStatus(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${SLA_STATUSES.join(", ")}` });
+  }
+  const claimType = req.query.claim_type ? String(req.query.claim_type).toUpperCase() : undefined;
+  if (claimType !== undefined && !isClaimType(claimType)) {
+    return res.status(400).json({ error: `Invalid claim_type. Must be one of: ${CLAIM_TYPES.join(", ")}` });
+  }
+
+  try {
+    const groups = await slaService.listOverdue({
+      district: req.query.district ? String(req.query.district) : undefined,
+      status,
+      claim_type: claimType
+    });
+
+    res.json({
+      total: groups.reduce((sum, group) => sum + group.count, 0),
+      groups
+    });
+  } catch (err) {
+    console.error("Overdue claims error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/export?format=geojson|kml|csv|shp - Download claims, honouring the list filters
+router.get("/export", async (req, res) => {
+  const format = String(req.query.format || "geojson").toLowerCase() as ExportFormat;
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    });
+  }
+
+  const csvGeometry = String(req.query.geometry || "both") as CsvGeometry;
+  if (format === "csv" && !["wkt", "centroid", "both"].includes(csvGeometry)) {
+    return res.status(400).json({ error: "Invalid geometry. Must be one of: wkt, centroid, both" });
+  }
+
+  const filters = parseClaimFilters(req.query);
+  if (!filters.ok) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `fra_claims_${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  try {
+    if (format === "shp") {
+      const zip = await claimExportService.shapefile(filters.value);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(zip);
+    }
+
+    const chunks = format === "geojson"
+      ? claimExportService.geojson(filters.value)
+      : format === "kml"
+        ? claimExportService.kml(filters.value)
+        : claimExportService.csv(filters.value, csvGeometry);
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    for await (const chunk of chunks) {
+      // Respect backpressure and stop reading from the database if the client goes away
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+      }
+      if (res.destroyed) break;
+    }
+
+    res.end();
+  } catch (err) {
+    console.error("Claims export error:", err);
+
+    // Once streaming has started the status line is gone; cut the response so it is not mistaken for complete
+    if (res.headersSent) {
+      return res.destroy(err instanceof Error ? err : undefined);
+    }
+
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// POST /api/claims/import - Bulk import from GeoJSON, KML or a zipped Shapefile
+// Upload the file as multipart field "file", or send a GeoJSON FeatureCollection as the JSON body.
+// Options (query string or multipart fields): format, mapping (JSON), dry_run, repair, actor
+router.post("/import", importUpload.single("file"), handleUploadError, async (req: Request, res: Response) => {
+  const file = (req as Request & { file?: Express.Multer.File }).file;
+  const options = { ...req.query, ...(file ? req.body : {}) } as Record<string, any>;
+
+  let mapping: ImportFieldMapping = DEFAULT_IMPORT_MAPPING;
+  if (options.mapping) {
+    try {
+      const custom = typeof options.mapping === "string" ? JSON.parse(options.mapping) : options.mapping;
+      mapping = { ...DEFAULT_IMPORT_MAPPING, ...custom };
+    } catch {
+      return res.status(400).json({ error: "Invalid mapping: expected a JSON object of field → property names" });
+    }
+  }
+
+  try {
+    let features: any[];
+    let format;
+
+    if (file) {
+      format = claimImportService.detectFormat(file.originalname, options.format);
+      if (!format) {
+        return res.status(400).json({
+          error: "Unsupported file format. Upload .geojson, .json, .kml or a zipped Shapefile (.zip)"
+        });
+      }
+
+      try {
+        features = await claimImportService.parseFeatures(file.buffer, format);
+      } catch (err) {
+        return res.status(400).json({
+          error: `Could not read ${format} file`,
+          details: err instanceof Error ? err.message : "Unknown error"
+        });
+      }
+    } else if (req.body && (req.body.type === "FeatureCollection" || req.body.type === "Feature")) {
+      format = "geojson" as const;
+      try {
+        features = claimImportService.featuresOf(req.body);
+      } catch (err) {
+        return res.status(400).json({
+          error: "Invalid GeoJSON body",
+          details: err instanceof Error ? err.message : "Unknown error"
+        });
+      }
+    } else {
+      return res.status(400).json({
+        error: "No file provided: upload a 'file' field or send a GeoJSON FeatureCollection"
+      });
+    }
+
+    if (features.length === 0) {
+      return res.status(400).json({ error: "The file contains no features" });
+    }
+
+    if (features.length > MAX_IMPORT_FEATURES) {
+      return res.status(400).json({
+        error: `Too many features: ${features.length} (maximum ${MAX_IMPORT_FEATURES} per import)`
+      });
+    }
+
+    const report = await claimImportService.importFeatures(features, format, {
+      mapping,
+      dryRun: options.dry_run === "true" || options.dry_run === true,
+      repair: options.repair === "true" || options.repair === true,
+      actor: options.actor || "bulk-import"
+    });
+
+    await auditService.record(
+      req,
+      res,
+      ...report.rows
+        .filter((row) => row.claim_id)
+        .map((row): AuditChange => ({
+          entity_type: "claim",
+          entity_id: row.claim_id!,
+          action: "import",
+          actor: options.actor || "bulk-import",
+          after: row
+        }))
+    );
+
+    res.status(report.dryRun ? 200 : 201).json({ success: true, ...report });
+  } catch (err) {
+    console.error("Claim import error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id - Single claim with village and GeoJSON geometry
+router.get("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const includeDeleted = req.query.include_deleted === 'true';
+    const claim = await claimsService.getClaimById(id, includeDeleted);
+
+    if (!claim) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    res.json({ success: true, claim });
+  } catch (err) {
+    console.error("Get claim error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// PUT replaces all editable fields, PATCH updates only the ones sent.
+// Status is changed through PATCH /api/claims/:id/status instead.
+const updateClaim = (requireAll: boolean) => async (req: Request, res: Response) => {
+  const id = req.params.id as string;
+  const { claimant_name, claimant_id, village_id, geom, claim_type, actor, reason, boundary_kind = "amendment" } = req.body;
+  let land_use = parseList(req.body.land_use);
+  let rights_claimed = parseList(req.body.rights_claimed);
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  if (claim_type !== undefined && !isClaimType(claim_type)) {
+    return res.status(400).json({
+      error: `Invalid claim_type. Must be one of: ${CLAIM_TYPES.join(", ")}`
+    });
+  }
+
+  if (claimant_id !== undefined && !UUID_PATTERN.test(claimant_id)) {
+    return res.status(400).json({ error: "Invalid claimant ID" });
+  }
+
+  if (village_id !== undefined && !Number.isInteger(Number(village_id))) {
+    return res.status(400).json({ error: "village_id must be an integer" });
+  }
+
+  if (requireAll && (!claimant_name || !village_id || !geom)) {
+    return res.status(400).json({
+      error: "Missing required fields: claimant_name, village_id, and geom are required"
+    });
+  }
+
+  if (req.body.status !== undefined) {
+    return res.status(400).json({
+      error: "Status cannot be edited directly; use PATCH /api/claims/:id/status"
+    });
+  }
+
+  // Every boundary change becomes a new version, so it needs an author
+  if (geom !== undefined && !actor) {
+    return res.status(400).json({
+      error: "Missing required field: actor is required when changing geom"
+    });
+  }
+
+  if (!AMENDMENT_KINDS.includes(boundary_kind)) {
+    return res.status(400).json({
+      error: `Invalid boundary_kind. Must be one of: ${AMENDMENT_KINDS.join(", ")}`
+    });
+  }
+
+  try {
+    if (claimant_id !== undefined) {
+      const registered = await pool.query(`SELECT id FROM claimants WHERE id = $1;`, [claimant_id]);
+      if (registered.rows.length === 0) {
+        return res.status(400).json({ error: "Claimant not found" });
+      }
+    }
+
+    let validation: GeometryValidationResult | undefined;
+    if (geom !== undefined) {
+      validation = await claimGeometryService.validate(geom, { repair: req.query.repair === 'true' });
+      if (!validation.ok) {
+        return res.status(400).json(geometryError(validation));
+      }
+    }
+
+    const current = await claimsService.getClaimById(id);
+    if (!current) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    // Re-check the type rules against the claim as it will be after the edit
+    const typeChanged = claim_type !== undefined || land_use !== undefined || rights_claimed !== undefined;
+    if (typeChanged || validation) {
+      const type: ClaimType = claim_type ?? current.claim_type;
+      // Switching type drops the fields that only applied to the old one
+      if (type !== current.claim_type) {
+        if (land_use === undefined && type !== "IFR") land_use = null;
+        if (rights_claimed === undefined && type !== "CR") rights_claimed = null;
+      }
+
+      const typeErrors = validateClaimType(
+        {
+          claim_type: type,
+          land_use: land_use !== undefined ? land_use : current.land_use,
+          rights_claimed: rights_claimed !== undefined ? rights_claimed : current.rights_claimed,
+          area_ha: validation?.ok ? validation.area_ha : current.area_ha
+        },
+        !typeChanged
+      );
+      if (typeErrors.length > 0) {
+        return res.status(400).json({ error: `Invalid ${type} claim`, details: typeErrors });
+      }
+    }
+
+    // Moving the boundary or the village re-checks that the claim lies within its village
+    let villageCheck: VillageBoundaryCheck | undefined;
+    const targetVillageId = village_id !== undefined ? Number(village_id) : current.village_id;
+    if ((validation?.ok || village_id !== undefined) && targetVillageId !== null) {
+      villageCheck = await villageService.checkClaimBoundary(
+        validation?.ok ? validation.geometry : current.geometry,
+        targetVillageId
+      );
+      const boundaryError = villageBoundaryError(villageCheck);
+      if (boundaryError) {
+        return res.status(400).json(boundaryError);
+      }
+    }
+
+    // A boundary over existing claims or restricted forest files the claim as disputed
+    const saved = await claimsService.updateClaim(id, {
+      claimant_name,
+      claimant_id,
+      village_id,
+      geom: validation?.ok ? validation.geometry : undefined,
+      claim_type,
+      land_use,
+      rights_claimed
+    }, { actor, reason, kind: boundary_kind });
+    if (!saved) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+    const { claim, disputes, forest_warnings } = saved;
+
+    await auditService.record(req, res, {
+      entity_type: "claim",
+      entity_id: id,
+      action: "update",
+      actor,
+      before: current,
+      after: claim
+    });
+
+    res.json({
+      success: true,
+      claim,
+      ...(disputes.length > 0 ? { disputes } : {}),
+      ...(forest_warnings.length > 0 ? { forest_warnings } : {}),
+      ...(villageCheck?.status === "near" ? { village_check: villageCheck } : {}),
+      ...(validation?.ok && validation.repaired ? { repairs: validation.repairs } : {})
+    });
+  } catch (err) {
+    console.error("Update claim error:", err);
+
+    if (err instanceof Error && err.message.includes('coordinates')) {
+      return res.status(400).json({ error: "Invalid geometry coordinates format" });
+    }
+
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+};
+
+// PUT /api/claims/:id
+router.put("/:id", updateClaim(true));
+
+// PATCH /api/claims/:id
+router.patch("/:id", updateClaim(false));
+
+// DELETE /api/claims/:id - Withdraw a claim (soft delete)
+router.delete("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const before = await claimsService.getClaimById(id);
+    const deleted = await claimsService.softDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: "claim",
+      entity_id: id,
+      action: "delete",
+      before,
+      after: await claimsService.getClaimById(id, true)
+    });
+
+    res.json({ success: true, message: "Claim withdrawn successfully" });
+  } catch (err) {
+    console.error("Delete claim error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// POST /api/claims/:id/restore - Restore a withdrawn claim
+router.post("/:id/restore", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const existing = await claimsService.getClaimById(id, true);
+    if (!existing || !existing.deleted_at) {
+      return res.status(404).json({ error: "Withdrawn claim not found" });
+    }
+
+    // Another claim may have been filed on the same land in the meantime; it becomes a dispute
+    const saved = await claimsService.restore(id, req.body?.actor || "system");
+    if (!saved) {
+      return res.status(404).json({ error: "Withdrawn claim not found" });
+    }
+    const { claim, disputes, forest_warnings } = saved;
+
+    await auditService.record(req, res, {
+      entity_type: "claim",
+      entity_id: id,
+      action: "restore",
+      before: existing,
+      after: claim
+    });
+
+    res.json({
+      success: true,
+      claim,
+      ...(disputes.length > 0 ? { disputes } : {}),
+      ...(forest_warnings.length > 0 ? { forest_warnings } : {})
+    });
+  } catch (err) {
+    console.error("Restore claim error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// PATCH /api/claims/:id/status - Change the status of a claim outside the committee process,
+// such as sending a claim whose disputes are resolved back to `submitted`. Moves decided by the
+// Gram Sabha, SDLC or DLC are recorded through POST /api/meetings/:id/recommendations instead.
+router.patch("/:id/status", async (req, res) => {
+  const { id } = req.params;
+  const { status, actor, reason } = req.body;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  if (!status || !actor) {
+    return res.status(400).json({
+      error: "Missing required fields: status and actor are required"
+    });
+  }
+
+  if (!isClaimStatus(status)) {
+    return res.status(400).json({
+      error: `Invalid status. Must be one of: ${CLAIM_STATUSES.join(", ")}`
+    });
+  }
+
+  try {
+    const result = await claimStatusService.transitionUnlessReserved(
+      id,
+      status,
+      actor,
+      reason,
+      (from, to) => committeeForTransition(from, to) !== null
+    );
+
+    if (result.outcome === "not_found") {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    if (result.outcome === "reserved") {
+      const body = committeeForTransition(result.from, status)!;
+      return res.status(409).json({
+        error: `Moving a claim from '${result.from}' to '${status}' is decided by the ${COMMITTEE_LABELS[body]}; ` +
+          "record its recommendation with POST /api/meetings/:id/recommendations",
+        currentStatus: result.from,
+        committee: body
+      });
+    }
+
+    if (result.outcome === "illegal_transition") {
+      return res.status(409).json({
+        error: `Illegal status transition from '${result.from}' to '${status}'`,
+        currentStatus: result.from,
+        allowedTransitions: result.allowed
+      });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: "claim",
+      entity_id: id,
+      action: "status_change",
+      actor,
+      before: { status: result.history.from_status },
+      after: { status: result.history.to_status, reason: result.history.reason }
+    });
+
+    res.json({
+      success: true,
+      claim: result.claim,
+      history: result.history
+    });
+  } catch (err) {
+    console.error("Claim status update error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/history - Status change history of a claim
+router.get("/:id/history", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id, status FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const history = await claimStatusService.getHistory(id);
+
+    res.json({
+      success: true,
+      claimId: id,
+      currentStatus: claim.rows[0].status,
+      count: history.length,
+      history
+    });
+  } catch (err) {
+    console.error("Get claim history error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/recommendations - Gram Sabha, SDLC and DLC recommendations on a claim
+router.get("/:id/recommendations", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id, status FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const recommendations = await committeeService.listRecommendations(id);
+    const pendingWith = committeeForStatus(claim.rows[0].status);
+
+    res.json({
+      success: true,
+      claimId: id,
+      currentStatus: claim.rows[0].status,
+      pendingWith: pendingWith && { body: pendingWith, label: COMMITTEE_LABELS[pendingWith] },
+      count: recommendations.length,
+      recommendations
+    });
+  } catch (err) {
+    console.error("Get claim recommendations error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/appeals - Appeals against the rejection of a claim
+router.get("/:id/appeals", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const appeals = await appealService.listAppeals({ claim_id: id, limit: 1000, offset: 0 });
+
+    res.json({
+      success: true,
+      claimId: id,
+      count: appeals.length,
+      appeals
+    });
+  } catch (err) {
+    console.error("Get claim appeals error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// POST /api/claims/:id/appeals - Petition against the rejection of a claim
+// Needs petitioner and grounds. Upload the petition first as a claim document
+// (document_type appeal_petition) and pass its id in document_ids.
+router.post("/:id/appeals", async (req, res) => {
+  const { id } = req.params;
+  const { petitioner, grounds, document_ids = [] } = req.body;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  if (!petitioner || !grounds || !String(grounds).trim()) {
+    return res.status(400).json({
+      error: "Missing required fields: petitioner and grounds are required"
+    });
+  }
+
+  if (!Array.isArray(document_ids) || document_ids.some((d: unknown) => !Number.isInteger(Number(d)))) {
+    return res.status(400).json({ error: "document_ids must be an array of claim document IDs" });
+  }
+
+  try {
+    const result = await appealService.fileAppeal(id, {
+      petitioner,
+      grounds: String(grounds).trim(),
+      document_ids: document_ids.map(Number)
+    });
+
+    if (result.outcome === "claim_not_found") {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    if (result.outcome === "not_rejected") {
+      return res.status(409).json({
+        error: "Only rejected claims can be appealed",
+        currentStatus: result.status
+      });
+    }
+
+    if (result.outcome === "appeal_open") {
+      return res.status(409).json({
+        error: "An appeal against this rejection is already under way",
+        appeal: result.appeal
+      });
+    }
+
+    if (result.outcome === "documents_not_found") {
+      return res.status(400).json({
+        error: "Documents not found on this claim",
+        documentIds: result.ids
+      });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: "claim_appeal",
+      entity_id: result.appeal.id,
+      action: "create",
+      actor: petitioner,
+      after: result.appeal
+    });
+
+    res.status(201).json({ success: true, appeal: result.appeal });
+  } catch (err) {
+    console.error("File claim appeal error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/disputes - Overlap disputes involving a claim
+router.get("/:id/disputes", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const disputes = await disputeService.listDisputes({ claim_id: id, limit: 1000, offset: 0 });
+
+    res.json({
+      success: true,
+      claimId: id,
+      count: disputes.length,
+      disputes
+    });
+  } catch (err) {
+    console.error("Get claim disputes error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/versions - Boundary versions of a claim, oldest first
+// ?geometry=false leaves out the GeoJSON of each version
+router.get("/:id/versions", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const versions = await claimVersionService.listVersions(id, req.query.geometry !== "false");
+
+    res.json({
+      success: true,
+      claimId: id,
+      count: versions.length,
+      versions
+    });
+  } catch (err) {
+    console.error("Get claim versions error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/versions/diff?from=&to= - Area added and removed between two boundary versions
+// from/to are version numbers or claimed, verified, latest (default: claimed to latest)
+router.get("/:id/versions/diff", async (req, res) => {
+  const { id } = req.params;
+  const from = String(req.query.from ?? "claimed");
+  const to = String(req.query.to ?? "latest");
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  const versionRef = /^(\d+|claimed|verified|latest)$/;
+  if (!versionRef.test(from) || !versionRef.test(to)) {
+    return res.status(400).json({
+      error: "Invalid version. Use a version number, claimed, verified or latest"
+    });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const diff = await claimVersionService.diff(id, from, to);
+    if ("missing" in diff) {
+      return res.status(404).json({ error: `Boundary version '${diff.missing}' not found` });
+    }
+
+    res.json({ success: true, claimId: id, ...diff });
+  } catch (err) {
+    console.error("Diff claim versions error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/documents - Supporting documents of a claim with their OCR fields
+router.get("/:id/documents", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await pool.query(`SELECT id FROM claims WHERE id = $1;`, [id]);
+    if (claim.rows.length === 0) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const documents = await claimDocumentService.listDocuments(id);
+
+    res.json({
+      success: true,
+      claimId: id,
+      count: documents.length,
+      documents
+    });
+  } catch (err) {
+    console.error("Get claim documents error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// GET /api/claims/:id/checklist - Documents and fields still missing for the claim's type
+router.get("/:id/checklist", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  try {
+    const claim = await claimsService.getClaimById(id);
+    if (!claim) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const checklist = await claimDocumentService.getChecklist(id, claim.claim_type);
+    const missingFields = validateClaimType({
+      claim_type: claim.claim_type,
+      land_use: claim.land_use,
+      rights_claimed: claim.rights_claimed,
+      area_ha: claim.area_ha
+    });
+
+    res.json({
+      success: true,
+      claimId: id,
+      claimType: claim.claim_type,
+      label: CLAIM_TYPE_RULES[claim.claim_type as ClaimType].label,
+      documents: checklist,
+      fieldErrors: missingFields,
+      complete: checklist.complete && missingFields.length === 0
+    });
+  } catch (err) {
+    console.error("Get claim checklist error:", err);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
+// POST /api/claims/:id/documents - Attach a supporting document
+// Either upload a scan as multipart field "file" (it is run through the OCR pipeline),
+// or send the id of an existing OCR result as "ocr_result_id".
+// Both need document_type and uploaded_by; notes is optional.
+router.post("/:id/documents", documentUpload.single("file"), handleUploadError, async (req: Request, res: Response) => {
+  const { id } = req.params;
+  const { document_type, uploaded_by, notes, ocr_result_id } = req.body || {};
+
+  if (!UUID_PATTERN.test(id)) {
+    discardUpload(req);
+    return res.status(400).json({ error: "Invalid claim ID" });
+  }
+
+  if (!document_type || !uploaded_by) {
+    discardUpload(req);
+    return res.status(400).json({
+      error: "Missing required fields: document_type and uploaded_by are required"
+    });
+  }
+
+  if (!isDocumentType(document_type)) {
+    discardUpload(req);
+    return res.status(400).json({
+      error: `Invalid document_type. Must be one of: ${DOCUMENT_TYPES.join(", ")}`
+    });
+  }
+
+  const ocrResultId = ocr_result_id !== undefined ? parseInt(String(ocr_result_id), 10) : null;
+  if (!req.file && (ocrResultId === null || isNaN(ocrResultId))) {
+    return res.status(400).json({
+      error: "Upload a scan as 'file' or reference an existing OCR result with a numeric 'ocr_result_id'"
+    });
+  }
+
+  const details = { document_type, uploaded_by, notes };
+
+  try {
+    const result = req.file
+      ? await claimDocumentService.uploadDocument(id, req.file, details)
+      : await claimDocumentService.attachOcrResult(id, ocrResultId!, details);
+
+    if (result.outcome === "claim_not_found") {
+      discardUpload(req);
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    if (result.outcome === "ocr_result_not_found") {
+      return res.status(404).json({ error: "OCR result not found" });
+    }
+
+    if (result.outcome === "ok") {
+      const changes: AuditChange[] = [
+        { entity_type: "claim_document", entity_id: result.document.id, action: "create", actor: uploaded_by, after: result.document }
+      ];
+      if (req.file) {
+        // The uploaded scan was run through OCR and stored as a new OCR result
+        changes.unshift({
+          entity_type: "ocr_result",
+          entity_id: result.document.ocr_result_id,
+          action: "create",
+          actor: uploaded_by,
+          after: { id: result.document.ocr_result_id, ...result.document.ocr }
+        });
+      }
+      await auditService.record(req, res, ...changes);
+    }
+
+    res.status(result.outcome === "ok" ? 201 : 200).json({
+      success: true,
+      alreadyAttached: result.outcome === "already_attached",
+      document: result.document
+    });
+  } catch (err) {
+    console.error("Attach claim document error:", err);
+    discardUpload(req);
+    res.status(500).json({
+      error: "Database error",
+      message: err instanceof Error ? err.message : "Unknown error"
+    });
+  }
+});
+
 export default router;
@@ -1,8 +1,10 @@
 import express from 'express';
 import { DecisionRulesService, RuleEvaluationResult } from '../services/decisionRulesService';
+import { AuditService } from '../services/auditService';
 
 const router = express.Router();
 const decisionRulesService = new DecisionRulesService();
+const auditService = new AuditService();
 
 /**
  * @swagger
@@ -169,6 +171,13 @@ router.post('/', async (req, res) => {
       priority
     });
 
+    await auditService.record(req, res, {
+      entity_type: 'decision_rule',
+      entity_id: rule.id ?? null,
+      action: 'create',
+      after: rule
+    });
+
     res.status(201).json({ rule });
   } catch (error) {
     console.error('Error creating decision rule:', error);
@@ -224,11 +233,20 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid rule ID' });
     }
 
+    const before = await decisionRulesService.getRuleById(id);
     const rule = await decisionRulesService.updateRule(id, req.body);
     if (!rule) {
       return res.status(404).json({ error: 'Decision rule not found' });
     }
 
+    await auditService.record(req, res, {
+      entity_type: 'decision_rule',
+      entity_id: id,
+      action: 'update',
+      before,
+      after: rule
+    });
+
     res.json({ rule });
   } catch (error) {
     console.error('Error updating decision rule:', error);
@@ -265,11 +283,19 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid rule ID' });
     }
 
+    const before = await decisionRulesService.getRuleById(id);
     const deleted = await decisionRulesService.deleteRule(id);
     if (!deleted) {
       return res.status(404).json({ error: 'Decision rule not found' });
     }
 
+    await auditService.record(req, res, {
+      entity_type: 'decision_rule',
+      entity_id: id,
+      action: 'delete',
+      before
+    });
+
     res.json({ message: 'Decision rule deleted successfully' });
   } catch (error) {
     console.error('Error deleting decision rule:', error);
@@ -383,7 +409,17 @@ router.post('/evaluate', async (req, res) => {
  */
 router.post('/sample', async (req, res) => {
   try {
-    await decisionRulesService.createSampleRules();
+    const created = await decisionRulesService.createSampleRules();
+    await auditService.record(
+      req,
+      res,
+      ...created.map((rule) => ({
+        entity_type: 'decision_rule' as const,
+        entity_id: rule.id ?? null,
+        action: 'create',
+        after: rule
+      }))
+    );
     res.json({ message: 'Sample decision rules created successfully' });
   } catch (error) {
     console.error('Error creating sample rules:', error);
@@ -0,0 +1,282 @@
+import express from 'express';
+import { DisputeService } from '../services/disputeService';
+import { ClaimStatusService } from '../services/claimStatusService';
+import { AuditChange, AuditService } from '../services/auditService';
+import { pool } from '../db/pool';
+
+const router = express.Router();
+const disputeService = new DisputeService();
+const claimStatusService = new ClaimStatusService();
+const auditService = new AuditService();
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   get:
+ *     summary: List claim overlap disputes
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *       - in: query
+ *         name: claim_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Disputes where the claim is either party
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of disputes with overlap area (ha) and percentage
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, claim_id } = req.query;
+    const limit = parseInt(req.query.limit as string) || 100;
+    const offset = parseInt(req.query.offset as string) || 0;
+
+    if (status && status !== 'open' && status !== 'resolved') {
+      return res.status(400).json({ error: "Invalid status. Must be 'open' or 'resolved'" });
+    }
+
+    const disputes = await disputeService.listDisputes({
+      status: status as 'open' | 'resolved' | undefined,
+      claim_id: claim_id as string | undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: disputes.length,
+      limit,
+      offset,
+      disputes
+    });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch disputes',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disputes/{id}:
+ *   get:
+ *     summary: Get a dispute with its comments
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dispute details
+ *       404:
+ *         description: Dispute not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    const dispute = await disputeService.getDisputeById(id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    res.json({ dispute });
+  } catch (error) {
+    console.error('Error fetching dispute:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dispute',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disputes/{id}/comments:
+ *   post:
+ *     summary: Comment on a dispute
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - author
+ *               - comment
+ *             properties:
+ *               author:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       404:
+ *         description: Dispute not found
+ */
+router.post('/:id/comments', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    const { author, comment } = req.body;
+    if (!author || !comment) {
+      return res.status(400).json({ error: 'Missing required fields: author and comment are required' });
+    }
+
+    const created = await disputeService.addComment(id, author, comment);
+    if (!created) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'dispute',
+      entity_id: id,
+      action: 'comment',
+      actor: author,
+      after: created
+    });
+
+    res.status(201).json({ comment: created });
+  } catch (error) {
+    console.error('Error adding dispute comment:', error);
+    res.status(500).json({
+      error: 'Failed to add comment',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/disputes/{id}/resolve:
+ *   post:
+ *     summary: Resolve a dispute
+ *     description: When the last open dispute of a disputed claim is resolved, the claim returns to `submitted`.
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolved_by
+ *               - resolution
+ *             properties:
+ *               resolved_by:
+ *                 type: string
+ *               resolution:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *       404:
+ *         description: No open dispute with this ID
+ */
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    const { resolved_by, resolution } = req.body;
+    if (!resolved_by || !resolution) {
+      return res.status(400).json({ error: 'Missing required fields: resolved_by and resolution are required' });
+    }
+
+    const before = await disputeService.getDisputeById(id);
+    const result = await disputeService.resolve(id, resolved_by, resolution);
+    if (!result) {
+      return res.status(404).json({ error: 'Open dispute not found' });
+    }
+
+    const changes: AuditChange[] = [
+      { entity_type: 'dispute', entity_id: id, action: 'resolve', actor: resolved_by, before, after: result.dispute }
+    ];
+
+    // Release the claim back into review once nothing is left in dispute
+    let claimStatus = null;
+    if (result.openRemaining === 0) {
+      const claim = await pool.query('SELECT status FROM claims WHERE id = $1', [result.dispute.claim_id]);
+      claimStatus = claim.rows[0]?.status ?? null;
+
+      if (claimStatus === 'disputed') {
+        const transition = await claimStatusService.transition(
+          result.dispute.claim_id,
+          'submitted',
+          resolved_by,
+          'All overlap disputes resolved'
+        );
+        if (transition.outcome === 'ok') {
+          claimStatus = transition.claim.status;
+          changes.push({
+            entity_type: 'claim',
+            entity_id: result.dispute.claim_id,
+            action: 'status_change',
+            actor: resolved_by,
+            before: { status: transition.history.from_status },
+            after: { status: transition.history.to_status, reason: transition.history.reason }
+          });
+        }
+      }
+    }
+
+    await auditService.record(req, res, ...changes);
+
+    res.json({
+      dispute: result.dispute,
+      openDisputesRemaining: result.openRemaining,
+      claimStatus
+    });
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(500).json({
+      error: 'Failed to resolve dispute',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,559 @@
+import express, { NextFunction, Request, Response } from 'express';
+import multer from 'multer';
+import {
+  DEFAULT_FOREST_IMPORT_MAPPING,
+  FOREST_TYPE_RULES,
+  FOREST_TYPES,
+  ForestDetails,
+  ForestImportMapping,
+  ForestService,
+  MAX_FOREST_IMPORT_FEATURES,
+  parseForestType,
+  validateForestDetails
+} from '../services/forestService';
+import { ClaimImportService } from '../services/claimImportService';
+import { AuditChange, AuditService } from '../services/auditService';
+
+const router = express.Router();
+const forestService = new ForestService();
+const claimImportService = new ClaimImportService();
+const auditService = new AuditService();
+
+// Forest layers are parsed in memory and never kept on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB limit
+  }
+});
+
+const handleUploadError = (err: any, req: Request, res: Response, next: NextFunction) => {
+  if (err) {
+    console.error('Forest upload error:', err);
+    return res.status(400).json({
+      error: 'File upload error',
+      details: err.message
+    });
+  }
+  next();
+};
+
+/**
+ * Validate the body of a create or update request. A boundary is required on
+ * creation and cannot be removed.
+ */
+async function parseForestBody(
+  req: Request,
+  requireAll: boolean
+): Promise<{ ok: true; details: ForestDetails; repairs?: string[] } | { ok: false; body: Record<string, any> }> {
+  const errors = validateForestDetails(req.body, requireAll);
+  if ((requireAll || req.body.geom !== undefined) && !req.body.geom) {
+    errors.push('geom is required');
+  }
+  if (errors.length > 0) {
+    return { ok: false, body: { error: 'Invalid forest', details: errors } };
+  }
+
+  const details: ForestDetails = {};
+  if (req.body.name !== undefined) details.name = req.body.name;
+  if (req.body.type !== undefined) details.type = parseForestType(req.body.type)!;
+  for (const field of ['notification_ref', 'valid_from', 'valid_to'] as const) {
+    if (req.body[field] !== undefined) details[field] = req.body[field];
+  }
+
+  if (req.body.geom !== undefined) {
+    const validation = await forestService.validateBoundary(req.body.geom, req.query.repair === 'true');
+    if (!validation.ok) {
+      return {
+        ok: false,
+        body: { error: validation.error, details: validation.details, ...(validation.hint ? { hint: validation.hint } : {}) }
+      };
+    }
+    details.geom = validation.geometry;
+    if (validation.repaired) return { ok: true, details, repairs: validation.repairs };
+  }
+
+  return { ok: true, details };
+}
+
+/**
+ * @swagger
+ * /api/forests:
+ *   get:
+ *     summary: List forests and protected areas
+ *     tags: [Forests]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the name, or an exact notification reference
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [reserved_forest, protected_forest, national_park, wildlife_sanctuary, tiger_reserve_core, tiger_reserve_buffer, other]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only areas in force today (true) or only areas not yet or no longer in force (false)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of forests without their boundaries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const active = req.query.active as string | undefined;
+    const type = req.query.type as string | undefined;
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({ error: "Invalid active. Must be 'true' or 'false'" });
+    }
+    const forestType = type === undefined ? undefined : parseForestType(type);
+    if (forestType === null) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${FOREST_TYPES.join(', ')}` });
+    }
+
+    const forests = await forestService.listForests({
+      q: req.query.q as string | undefined,
+      type: forestType,
+      active: active === undefined ? undefined : active === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: forests.length,
+      limit,
+      offset,
+      forests
+    });
+  } catch (error) {
+    console.error('Error fetching forests:', error);
+    res.status(500).json({
+      error: 'Failed to fetch forests',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/forests/types:
+ *   get:
+ *     summary: Forest types and how claims over each are treated
+ *     description: |
+ *       Claims filed, amended or restored over a restricted type are disputed; overlaps with
+ *       other types (tiger reserve buffer zones) only return a warning.
+ *     tags: [Forests]
+ *     responses:
+ *       200:
+ *         description: One entry per type
+ */
+router.get('/types', (req, res) => {
+  res.json({
+    types: FOREST_TYPES.map((type) => ({ type, ...FOREST_TYPE_RULES[type] }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/forests:
+ *   post:
+ *     summary: Create a forest or protected area
+ *     tags: [Forests]
+ *     parameters:
+ *       - in: query
+ *         name: repair
+ *         schema:
+ *           type: boolean
+ *         description: Fix an invalid boundary with ST_MakeValid instead of rejecting it
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *               - geom
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 description: A type code, its label or an abbreviation such as RF, PF, NP or WLS
+ *               notification_ref:
+ *                 type: string
+ *                 description: Gazette notification that declared the area
+ *               valid_from:
+ *                 type: string
+ *                 format: date
+ *               valid_to:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the area was denotified
+ *               geom:
+ *                 type: object
+ *                 description: Boundary as a GeoJSON Polygon or MultiPolygon
+ *               actor:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Forest created
+ *       400:
+ *         description: Invalid forest or boundary
+ */
+router.post('/', async (req, res) => {
+  try {
+    const parsed = await parseForestBody(req, true);
+    if (!parsed.ok) {
+      return res.status(400).json(parsed.body);
+    }
+
+    const id = await forestService.createForest(parsed.details);
+    const forest = await forestService.getForest(id);
+
+    await auditService.record(req, res, {
+      entity_type: 'forest',
+      entity_id: id,
+      action: 'create',
+      actor: req.body.actor,
+      after: forest
+    });
+
+    res.status(201).json({ forest, ...(parsed.repairs ? { repairs: parsed.repairs } : {}) });
+  } catch (error) {
+    console.error('Error creating forest:', error);
+    res.status(500).json({
+      error: 'Failed to create forest',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/forests/import:
+ *   post:
+ *     summary: Create or update forests from a GeoJSON, KML or Shapefile layer
+ *     description: |
+ *       Upload the layer as multipart field `file` (.geojson, .json, .kml or a zipped Shapefile).
+ *       A feature updates the forest with the same notification reference and name and creates
+ *       a forest otherwise. `mapping` renames the properties read for each field, e.g.
+ *       `{"name": "PA_NAME", "type": "CATEGORY", "notification_ref": "NOTIF_NO"}`; `default_type`
+ *       applies to features without a type, for layers that hold a single category.
+ *     tags: [Forests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [geojson, kml, shapefile]
+ *               mapping:
+ *                 type: string
+ *               default_type:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *               repair:
+ *                 type: boolean
+ *               actor:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Import report with one row per feature
+ *       200:
+ *         description: Dry run report; nothing was saved
+ *       400:
+ *         description: Unreadable file, invalid mapping or unknown default type
+ */
+router.post('/import', importUpload.single('file'), handleUploadError, async (req: Request, res: Response) => {
+  const file = (req as Request & { file?: Express.Multer.File }).file;
+  const options = { ...req.query, ...(file ? req.body : {}) } as Record<string, any>;
+  const actor = options.actor || 'bulk-import';
+
+  let mapping: ForestImportMapping = DEFAULT_FOREST_IMPORT_MAPPING;
+  if (options.mapping) {
+    try {
+      const custom = typeof options.mapping === 'string' ? JSON.parse(options.mapping) : options.mapping;
+      mapping = { ...DEFAULT_FOREST_IMPORT_MAPPING, ...custom };
+    } catch {
+      return res.status(400).json({ error: 'Invalid mapping: expected a JSON object of field → property names' });
+    }
+  }
+
+  const defaultType = options.default_type ? parseForestType(options.default_type) : undefined;
+  if (defaultType === null) {
+    return res.status(400).json({ error: `Invalid default_type. Must be one of: ${FOREST_TYPES.join(', ')}` });
+  }
+
+  try {
+    let features: any[];
+    if (file) {
+      const format = claimImportService.detectFormat(file.originalname, options.format);
+      if (!format) {
+        return res.status(400).json({
+          error: 'Unsupported file format. Upload .geojson, .json, .kml or a zipped Shapefile (.zip)'
+        });
+      }
+      try {
+        features = await claimImportService.parseFeatures(file.buffer, format);
+      } catch (err) {
+        return res.status(400).json({
+          error: `Could not read ${format} file`,
+          details: err instanceof Error ? err.message : 'Unknown error'
+        });
+      }
+    } else if (req.body && (req.body.type === 'FeatureCollection' || req.body.type === 'Feature')) {
+      try {
+        features = claimImportService.featuresOf(req.body);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid GeoJSON body',
+          details: err instanceof Error ? err.message : 'Unknown error'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        error: "No file provided: upload a 'file' field or send a GeoJSON FeatureCollection"
+      });
+    }
+
+    if (features.length === 0) {
+      return res.status(400).json({ error: 'The file contains no features' });
+    }
+    if (features.length > MAX_FOREST_IMPORT_FEATURES) {
+      return res.status(400).json({
+        error: `Too many features: ${features.length} (maximum ${MAX_FOREST_IMPORT_FEATURES} per import)`
+      });
+    }
+
+    const report = await forestService.importFeatures(features, {
+      mapping,
+      defaultType,
+      dryRun: options.dry_run === 'true' || options.dry_run === true,
+      repair: options.repair === 'true' || options.repair === true
+    });
+
+    if (!report.dryRun) {
+      await auditService.record(
+        req,
+        res,
+        ...report.rows
+          .filter((row) => row.forest_id)
+          .map((row): AuditChange => ({
+            entity_type: 'forest',
+            entity_id: row.forest_id!,
+            action: row.outcome === 'created' ? 'import' : 'update',
+            actor,
+            after: row
+          }))
+      );
+    }
+
+    res.status(report.dryRun ? 200 : 201).json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error importing forests:', error);
+    res.status(500).json({
+      error: 'Failed to import forests',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/forests/{id}:
+ *   get:
+ *     summary: Get a forest with its boundary
+ *     tags: [Forests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: geometry
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Forest with its boundary as GeoJSON and its number of claim disputes
+ *       404:
+ *         description: Forest not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid forest ID' });
+    }
+
+    const forest = await forestService.getForest(id, req.query.geometry !== 'false');
+    if (!forest) {
+      return res.status(404).json({ error: 'Forest not found' });
+    }
+
+    res.json({ forest });
+  } catch (error) {
+    console.error('Error fetching forest:', error);
+    res.status(500).json({
+      error: 'Failed to fetch forest',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/forests/{id}:
+ *   patch:
+ *     summary: Update a forest
+ *     description: |
+ *       Takes the same fields as creation. Set `valid_to` when an area is denotified; it then no
+ *       longer affects new claims. Disputes already raised against it are left as they are.
+ *     tags: [Forests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Forest updated
+ *       400:
+ *         description: Invalid forest or boundary
+ *       404:
+ *         description: Forest not found
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid forest ID' });
+    }
+
+    const parsed = await parseForestBody(req, false);
+    if (!parsed.ok) {
+      return res.status(400).json(parsed.body);
+    }
+
+    const before = await forestService.getForest(id);
+    if (!before) {
+      return res.status(404).json({ error: 'Forest not found' });
+    }
+
+    // Dates sent alone are checked against the ones already stored
+    const validFrom = parsed.details.valid_from !== undefined ? parsed.details.valid_from : before.valid_from;
+    const validTo = parsed.details.valid_to !== undefined ? parsed.details.valid_to : before.valid_to;
+    if (validFrom && validTo && validFrom > validTo) {
+      return res.status(400).json({ error: 'Invalid forest', details: ['valid_from must not be after valid_to'] });
+    }
+
+    if (!(await forestService.updateForest(id, parsed.details))) {
+      return res.status(404).json({ error: 'Forest not found' });
+    }
+    const forest = await forestService.getForest(id);
+
+    await auditService.record(req, res, {
+      entity_type: 'forest',
+      entity_id: id,
+      action: 'update',
+      actor: req.body.actor,
+      before,
+      after: forest
+    });
+
+    res.json({ forest, ...(parsed.repairs ? { repairs: parsed.repairs } : {}) });
+  } catch (error) {
+    console.error('Error updating forest:', error);
+    res.status(500).json({
+      error: 'Failed to update forest',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/forests/{id}:
+ *   delete:
+ *     summary: Delete a forest no claim dispute refers to
+ *     tags: [Forests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Forest deleted
+ *       404:
+ *         description: Forest not found
+ *       409:
+ *         description: Claim disputes refer to the forest; set valid_to instead
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid forest ID' });
+    }
+
+    const result = await forestService.deleteForest(id);
+    if (result.outcome === 'not_found') {
+      return res.status(404).json({ error: 'Forest not found' });
+    }
+    if (result.outcome === 'in_use') {
+      return res.status(409).json({
+        error: 'Claim disputes refer to the forest; set valid_to to denotify it instead',
+        disputes: result.disputes
+      });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'forest',
+      entity_id: id,
+      action: 'delete',
+      actor: req.body?.actor,
+      before: result.forest
+    });
+
+    res.json({ success: true, forest: result.forest });
+  } catch (error) {
+    console.error('Error deleting forest:', error);
+    res.status(500).json({
+      error: 'Failed to delete forest',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,605 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  COMMITTEE_BODIES,
+  COMMITTEE_LABELS,
+  CommitteeService,
+  MINUTES_UPLOAD_DIR,
+  RECOMMENDATION_DECISIONS,
+  isCommitteeBody,
+  isRecommendationDecision
+} from '../services/committeeService';
+import { AuditService } from '../services/auditService';
+
+const router = express.Router();
+const committeeService = new CommitteeService();
+const auditService = new AuditService();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const minutesUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, MINUTES_UPLOAD_DIR),
+    filename: (req, file, cb) => {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '');
+      cb(null, `${timestamp}_minutes_${file.originalname}`);
+    }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF or image files are allowed'));
+    }
+  }
+});
+
+const handleUploadError = (err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
+  if (err) {
+    console.error('Minutes upload error:', err);
+    return res.status(400).json({ error: 'File upload error', details: err.message });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/meetings:
+ *   get:
+ *     summary: List Gram Sabha, SDLC and DLC meetings
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: query
+ *         name: body
+ *         schema:
+ *           type: string
+ *           enum: [gram_sabha, sdlc, dlc]
+ *       - in: query
+ *         name: village_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Meetings, latest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const body = req.query.body as string | undefined;
+    const villageId = req.query.village_id !== undefined ? parseInt(req.query.village_id as string) : undefined;
+    const from = req.query.from as string | undefined;
+    const to = req.query.to as string | undefined;
+
+    if (body !== undefined && !isCommitteeBody(body)) {
+      return res.status(400).json({ error: `Invalid body. Must be one of: ${COMMITTEE_BODIES.join(', ')}` });
+    }
+    if (villageId !== undefined && isNaN(villageId)) {
+      return res.status(400).json({ error: 'Invalid village_id' });
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const meetings = await committeeService.listMeetings({
+      body,
+      village_id: villageId,
+      district: req.query.district as string | undefined,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, count: meetings.length, limit, offset, meetings });
+  } catch (error) {
+    console.error('Error fetching meetings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch meetings',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings:
+ *   post:
+ *     summary: Record a Gram Sabha, SDLC or DLC meeting
+ *     tags: [Meetings]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *               - meeting_date
+ *               - created_by
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 enum: [gram_sabha, sdlc, dlc]
+ *               village_id:
+ *                 type: integer
+ *                 description: Required for a Gram Sabha
+ *               subdivision:
+ *                 type: string
+ *               district:
+ *                 type: string
+ *                 description: Claims outside the district are refused
+ *               meeting_date:
+ *                 type: string
+ *                 format: date
+ *               venue:
+ *                 type: string
+ *               chaired_by:
+ *                 type: string
+ *               attendance:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               created_by:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Meeting recorded
+ *       400:
+ *         description: Invalid meeting
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { body, village_id, subdivision, district, meeting_date, venue, chaired_by, attendance, notes, created_by } = req.body;
+
+    if (!body || !meeting_date || !created_by) {
+      return res.status(400).json({ error: 'Missing required fields: body, meeting_date and created_by are required' });
+    }
+    if (!isCommitteeBody(body)) {
+      return res.status(400).json({ error: `Invalid body. Must be one of: ${COMMITTEE_BODIES.join(', ')}` });
+    }
+    if (body === 'gram_sabha' && !Number.isInteger(Number(village_id))) {
+      return res.status(400).json({ error: 'A Gram Sabha meeting needs the village_id of its village' });
+    }
+    if (!DATE_PATTERN.test(meeting_date) || isNaN(Date.parse(meeting_date))) {
+      return res.status(400).json({ error: 'meeting_date must be a date (YYYY-MM-DD)' });
+    }
+    if (attendance != null && (!Number.isInteger(Number(attendance)) || Number(attendance) < 0)) {
+      return res.status(400).json({ error: 'attendance must be a non-negative integer' });
+    }
+
+    const meeting = await committeeService.createMeeting({
+      body,
+      village_id: village_id != null ? Number(village_id) : null,
+      subdivision,
+      district,
+      meeting_date,
+      venue,
+      chaired_by,
+      attendance: attendance != null ? Number(attendance) : null,
+      notes,
+      created_by
+    });
+
+    await auditService.record(req, res, {
+      entity_type: 'committee_meeting',
+      entity_id: meeting.id,
+      action: 'create',
+      actor: created_by,
+      after: meeting
+    });
+
+    res.status(201).json({ meeting });
+  } catch (error) {
+    console.error('Error creating meeting:', error);
+    if (error instanceof Error && error.message.includes('foreign key')) {
+      return res.status(400).json({ error: 'Village not found' });
+    }
+    res.status(500).json({
+      error: 'Failed to create meeting',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}:
+ *   get:
+ *     summary: Get a meeting with its resolutions and recommendations
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Meeting detail
+ *       404:
+ *         description: Meeting not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid meeting ID' });
+    }
+
+    const meeting = await committeeService.getMeeting(id);
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ meeting });
+  } catch (error) {
+    console.error('Error fetching meeting:', error);
+    res.status(500).json({
+      error: 'Failed to fetch meeting',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/minutes:
+ *   post:
+ *     summary: Attach the scanned minutes of a meeting
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF or image, up to 10MB
+ *               uploaded_by:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Minutes attached
+ *       404:
+ *         description: Meeting not found
+ */
+router.post('/:id/minutes', minutesUpload.single('file'), handleUploadError, async (req: express.Request, res: express.Response) => {
+  try {
+    const id = parseInt(req.params.id as string);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid meeting ID' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "No minutes provided: upload a 'file' field" });
+    }
+
+    const before = await committeeService.getMeeting(id);
+    const attached = await committeeService.setMinutes(id, req.file.path, req.file.originalname);
+    if (!attached) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const meeting = await committeeService.getMeeting(id);
+    await auditService.record(req, res, {
+      entity_type: 'committee_meeting',
+      entity_id: id,
+      action: 'attach_minutes',
+      actor: req.body.uploaded_by,
+      before,
+      after: meeting
+    });
+
+    res.json({ meeting });
+  } catch (error) {
+    console.error('Error attaching minutes:', error);
+    res.status(500).json({
+      error: 'Failed to attach minutes',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/minutes:
+ *   get:
+ *     summary: Download the minutes of a meeting
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The minutes file
+ *       404:
+ *         description: No minutes attached
+ */
+router.get('/:id/minutes', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid meeting ID' });
+    }
+
+    const minutes = await committeeService.getMinutes(id);
+    if (!minutes) {
+      return res.status(404).json({ error: 'No minutes attached to this meeting' });
+    }
+
+    res.download(minutes.path, minutes.filename, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Minutes file is missing' });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching minutes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch minutes',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/resolutions:
+ *   post:
+ *     summary: Record a resolution passed at a meeting
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution_number
+ *               - text
+ *               - recorded_by
+ *             properties:
+ *               resolution_number:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               recorded_by:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Resolution recorded
+ *       404:
+ *         description: Meeting not found
+ *       409:
+ *         description: The meeting already has a resolution with this number
+ */
+router.post('/:id/resolutions', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid meeting ID' });
+    }
+
+    const { resolution_number, text, recorded_by } = req.body;
+    if (!resolution_number || !text || !recorded_by) {
+      return res.status(400).json({
+        error: 'Missing required fields: resolution_number, text and recorded_by are required'
+      });
+    }
+
+    const resolution = await committeeService.addResolution(id, {
+      resolution_number: String(resolution_number),
+      text,
+      recorded_by
+    });
+    if (!resolution) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'committee_resolution',
+      entity_id: resolution.id,
+      action: 'create',
+      actor: recorded_by,
+      after: resolution
+    });
+
+    res.status(201).json({ resolution });
+  } catch (error) {
+    console.error('Error recording resolution:', error);
+    if (error instanceof Error && error.message.includes('duplicate key')) {
+      return res.status(409).json({ error: 'This meeting already has a resolution with that number' });
+    }
+    res.status(500).json({
+      error: 'Failed to record resolution',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/meetings/{id}/recommendations:
+ *   post:
+ *     summary: Record the meeting's recommendation on a claim
+ *     description: |
+ *       Moves the claim to its next status. The Gram Sabha recommends (gram_sabha_verified)
+ *       or rejects; the SDLC and DLC recommend (sdlc_verified / approved), remand to the
+ *       Gram Sabha or reject. Reasons are required to reject or remand.
+ *     tags: [Meetings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - claim_id
+ *               - decision
+ *               - recorded_by
+ *             properties:
+ *               claim_id:
+ *                 type: string
+ *                 format: uuid
+ *               decision:
+ *                 type: string
+ *                 enum: [recommend, reject, remand]
+ *               reasons:
+ *                 type: string
+ *               resolution_id:
+ *                 type: integer
+ *               recorded_by:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recommendation recorded and claim status changed
+ *       404:
+ *         description: Meeting, claim or resolution not found
+ *       409:
+ *         description: The claim is not at this body's stage, or the meeting already decided on it
+ */
+router.post('/:id/recommendations', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid meeting ID' });
+    }
+
+    const { claim_id, decision, reasons, resolution_id, recorded_by } = req.body;
+    if (!claim_id || !decision || !recorded_by) {
+      return res.status(400).json({ error: 'Missing required fields: claim_id, decision and recorded_by are required' });
+    }
+    if (!UUID_PATTERN.test(claim_id)) {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    if (!isRecommendationDecision(decision)) {
+      return res.status(400).json({ error: `Invalid decision. Must be one of: ${RECOMMENDATION_DECISIONS.join(', ')}` });
+    }
+    if (decision !== 'recommend' && !(typeof reasons === 'string' && reasons.trim())) {
+      return res.status(400).json({ error: `Reasons are required to ${decision} a claim` });
+    }
+    if (resolution_id != null && !Number.isInteger(Number(resolution_id))) {
+      return res.status(400).json({ error: 'Invalid resolution_id' });
+    }
+
+    const result = await committeeService.recordRecommendation(id, {
+      claim_id,
+      decision,
+      reasons: reasons?.trim(),
+      resolution_id: resolution_id != null ? Number(resolution_id) : null,
+      recorded_by
+    });
+
+    switch (result.outcome) {
+      case 'meeting_not_found':
+        return res.status(404).json({ error: 'Meeting not found' });
+      case 'claim_not_found':
+        return res.status(404).json({ error: 'Claim not found' });
+      case 'resolution_not_found':
+        return res.status(404).json({ error: 'Resolution not found in this meeting' });
+      case 'decision_not_allowed':
+        return res.status(400).json({
+          error: `This body cannot ${decision} a claim`,
+          allowedDecisions: result.allowed
+        });
+      case 'wrong_jurisdiction':
+        return res.status(400).json({ error: result.message });
+      case 'wrong_stage':
+        return res.status(409).json({
+          error: `The claim is '${result.status}' and not before this body`,
+          currentStatus: result.status,
+          expectedBody: result.expectedBody && COMMITTEE_LABELS[result.expectedBody]
+        });
+      case 'already_recommended':
+        return res.status(409).json({
+          error: 'This meeting has already made a recommendation on the claim',
+          recommendation: result.recommendation
+        });
+    }
+
+    await auditService.record(
+      req,
+      res,
+      {
+        entity_type: 'claim_recommendation',
+        entity_id: result.recommendation.id,
+        action: 'create',
+        actor: recorded_by,
+        after: result.recommendation
+      },
+      {
+        entity_type: 'claim',
+        entity_id: claim_id,
+        action: 'status_change',
+        actor: recorded_by,
+        before: { status: result.history.from_status },
+        after: { status: result.history.to_status, reason: result.history.reason }
+      }
+    );
+
+    res.status(201).json({
+      recommendation: result.recommendation,
+      claim: result.claim,
+      history: result.history
+    });
+  } catch (error) {
+    console.error('Error recording recommendation:', error);
+    res.status(500).json({
+      error: 'Failed to record recommendation',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import { OCRService, OCRResult } from '../ocr/ocrService';
 import { EnhancedOCRService } from '../ocr/enhancedOCRService';
 import { pool } from '../db/pool';
+import { ClaimDraftService } from '../services/claimDraftService';
+import { AuditService } from '../services/auditService';
 import path from 'path';
 import fs from 'fs';
 import multer from 'multer';
@@ -21,6 +23,8 @@ const outputDir = path.join(__dirname, '../../outputs');
 const ocrService = new OCRService(configPath, outputDir);
 const enhancedOCRService = new EnhancedOCRService(hindiConfigPath, outputDir);
 const handwrittenOCRService = new EnhancedOCRService(handwrittenConfigPath, outputDir);
+const claimDraftService = new ClaimDraftService();
+const auditService = new AuditService();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -140,6 +144,13 @@ router.post('/save', async (req, res) => {
     const dbResult = await pool.query(query, values);
     const { id, created_at } = dbResult.rows[0];
 
+    await auditService.record(req, res, {
+      entity_type: 'ocr_result',
+      entity_id: id,
+      action: 'create',
+      after: { id, filename, extracted_json: result.extracted }
+    });
+
     res.json({
       ok: true,
       id,
@@ -295,6 +306,85 @@ router.get('/results/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/ocr/results/{id}/to-claim:
+ *   post:
+ *     summary: Pre-fill a claim draft from an OCR result
+ *     description: >
+ *       Fuzzy-matches the extracted village name and district against villages and returns
+ *       a claim draft with per-field confidence. Nothing is saved; fields listed in
+ *       fields_to_confirm (always including the boundary) must be checked before the draft
+ *       is submitted to POST /api/claims.
+ *     tags: [OCR]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: OCR result ID
+ *     responses:
+ *       200:
+ *         description: Claim draft
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 ocr_result_id:
+ *                   type: number
+ *                 draft:
+ *                   type: object
+ *                 fields:
+ *                   type: object
+ *                 village_candidates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 fields_to_confirm:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid OCR result ID
+ *       404:
+ *         description: OCR result not found
+ */
+router.post('/results/:id/to-claim', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid OCR result ID'
+      });
+    }
+
+    const draft = await claimDraftService.fromOcrResult(id);
+    if (!draft) {
+      return res.status(404).json({
+        ok: false,
+        error: 'OCR result not found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      ...draft
+    });
+
+  } catch (error) {
+    console.error('OCR claim draft error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/ocr/process-fra-document:
@@ -360,6 +450,13 @@ router.post('/process-fra-document', async (req, res) => {
     const dbResult = await pool.query(query, values);
     const { id, created_at } = dbResult.rows[0];
 
+    await auditService.record(req, res, {
+      entity_type: 'ocr_result',
+      entity_id: id,
+      action: 'create',
+      after: { id, filename, extracted_json: result.extracted }
+    });
+
     res.json({
       ok: true,
       id,
@@ -455,6 +552,13 @@ router.post('/process-image', upload.single('image'), async (req: MulterRequest,
     const dbResult = await pool.query(query, values);
     const { id, created_at } = dbResult.rows[0];
 
+    await auditService.record(req, res, {
+      entity_type: 'ocr_result',
+      entity_id: id,
+      action: 'create',
+      after: { id, filename, extracted_json: result.extracted }
+    });
+
     res.json({
       ok: true,
       id,
@@ -529,6 +633,13 @@ router.post('/process-fra-image', upload.single('image'), async (req: MulterRequ
     const dbResult = await pool.query(query, values);
     const { id, created_at } = dbResult.rows[0];
 
+    await auditService.record(req, res, {
+      entity_type: 'ocr_result',
+      entity_id: id,
+      action: 'create',
+      after: { id, filename, extracted_json: result.extracted }
+    });
+
     res.json({
       ok: true,
       id,
@@ -595,6 +706,13 @@ router.post('/process-handwritten', upload.single('image'), handleMulterError, a
     const dbResult = await pool.query(query, values);
     const id = dbResult.rows[0].id;
 
+    await auditService.record(req, res, {
+      entity_type: 'ocr_result',
+      entity_id: id,
+      action: 'create',
+      after: { id, filename, extracted_json: result.extracted }
+    });
+
     res.json({
       ok: true,
       id,
@@ -0,0 +1,104 @@
+import express from 'express';
+import { isSlaStatus, SLA_STATUSES, SlaService } from '../services/slaService';
+import { AuditService } from '../services/auditService';
+
+const router = express.Router();
+const slaService = new SlaService();
+const auditService = new AuditService();
+
+/**
+ * @swagger
+ * /api/slas:
+ *   get:
+ *     summary: List the number of days a claim may stay at each status
+ *     tags: [SLAs]
+ *     responses:
+ *       200:
+ *         description: SLA of every open status, in review order
+ */
+router.get('/', async (req, res) => {
+  try {
+    const slas = await slaService.listSlas();
+    res.json({ success: true, count: slas.length, slas });
+  } catch (error) {
+    console.error('Error fetching SLAs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch SLAs',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/slas/{status}:
+ *   put:
+ *     summary: Set the SLA of a status
+ *     description: Claims that stay at the status longer than `sla_days` are reported as overdue.
+ *     tags: [SLAs]
+ *     parameters:
+ *       - in: path
+ *         name: status
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pending, submitted, disputed, gram_sabha_verified, sdlc_verified, remanded]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sla_days
+ *               - updated_by
+ *             properties:
+ *               sla_days:
+ *                 type: integer
+ *                 minimum: 1
+ *               updated_by:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: SLA updated
+ *       400:
+ *         description: Invalid status or number of days
+ */
+router.put('/:status', async (req, res) => {
+  try {
+    const { status } = req.params;
+    if (!isSlaStatus(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${SLA_STATUSES.join(', ')}` });
+    }
+
+    const { sla_days, updated_by } = req.body;
+    if (sla_days === undefined || !updated_by) {
+      return res.status(400).json({ error: 'Missing required fields: sla_days and updated_by are required' });
+    }
+    if (!Number.isInteger(sla_days) || sla_days < 1) {
+      return res.status(400).json({ error: 'sla_days must be a positive whole number of days' });
+    }
+
+    const before = await slaService.getSla(status);
+    const sla = await slaService.setSla(status, sla_days, updated_by);
+
+    await auditService.record(req, res, {
+      entity_type: 'claim_stage_sla',
+      entity_id: status,
+      action: before ? 'update' : 'create',
+      actor: updated_by,
+      before,
+      after: sla
+    });
+
+    res.json({ sla });
+  } catch (error) {
+    console.error('Error updating SLA:', error);
+    res.status(500).json({
+      error: 'Failed to update SLA',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
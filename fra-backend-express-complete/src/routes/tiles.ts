@@ -0,0 +1,112 @@
+import express from 'express';
+import { TILE_LAYERS, TileService } from '../services/tileService';
+
+const router = express.Router();
+const tileService = new TileService();
+
+/**
+ * @swagger
+ * /api/tiles:
+ *   get:
+ *     summary: List vector tile layers
+ *     description: Layer names, zoom ranges, attributes and URL templates for Leaflet.VectorGrid or MapLibre.
+ *     tags: [Tiles]
+ *     responses:
+ *       200:
+ *         description: Available tile layers
+ */
+router.get('/', (req, res) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  res.json({
+    layers: Object.values(TILE_LAYERS).map((layer) => ({
+      name: layer.name,
+      description: layer.description,
+      minzoom: layer.minZoom,
+      maxzoom: layer.maxZoom,
+      attributes: layer.attributes,
+      tiles: [`${base}/${layer.name}/{z}/{x}/{y}.mvt`]
+    }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/tiles/{layer}/{z}/{x}/{y}.mvt:
+ *   get:
+ *     summary: Get a Mapbox Vector Tile
+ *     tags: [Tiles]
+ *     parameters:
+ *       - in: path
+ *         name: layer
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [claims, forests, admin_units, forest_alerts]
+ *       - in: path
+ *         name: z
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: x
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: y
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vector tile (application/vnd.mapbox-vector-tile)
+ *       204:
+ *         description: Empty tile
+ *       304:
+ *         description: Tile unchanged since the ETag sent in If-None-Match
+ *       404:
+ *         description: Unknown layer
+ */
+router.get('/:layer/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    // Own keys only, so names such as `constructor` are unknown layers too
+    const known = Object.prototype.hasOwnProperty.call(TILE_LAYERS, req.params.layer);
+    const layer = known ? TILE_LAYERS[req.params.layer] : undefined;
+    if (!layer) {
+      return res.status(404).json({
+        error: `Unknown tile layer. Must be one of: ${Object.keys(TILE_LAYERS).join(', ')}`
+      });
+    }
+
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    if (!tileService.isValidTile(z, x, y)) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    const tile = await tileService.getTile(layer, z, x, y);
+
+    res.setHeader('Cache-Control', `public, max-age=${layer.maxAge}`);
+    if (!tile) {
+      return res.status(204).end();
+    }
+
+    res.setHeader('ETag', tile.etag);
+    if (req.headers['if-none-match'] === tile.etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.send(tile.data);
+  } catch (error) {
+    console.error('Error rendering tile:', error);
+    res.status(500).json({
+      error: 'Failed to render tile',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,576 @@
+import express, { NextFunction, Request, Response } from 'express';
+import multer from 'multer';
+import {
+  DEFAULT_VILLAGE_IMPORT_MAPPING,
+  MAX_VILLAGE_IMPORT_FEATURES,
+  validateVillageDetails,
+  VillageDetails,
+  VillageImportMapping,
+  VillageService
+} from '../services/villageService';
+import { ClaimImportService } from '../services/claimImportService';
+import { AuditChange, AuditService } from '../services/auditService';
+
+const router = express.Router();
+const villageService = new VillageService();
+const claimImportService = new ClaimImportService();
+const auditService = new AuditService();
+
+// Boundary files are parsed in memory and never kept on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB limit
+  }
+});
+
+const handleUploadError = (err: any, req: Request, res: Response, next: NextFunction) => {
+  if (err) {
+    console.error('Village upload error:', err);
+    return res.status(400).json({
+      error: 'File upload error',
+      details: err.message
+    });
+  }
+  next();
+};
+
+const VILLAGE_FIELDS = ['name', 'district', 'subdistrict', 'state', 'region', 'lgd_code', 'census_code'] as const;
+
+// Unique LGD and census codes are enforced by the database
+function isDuplicateCode(error: unknown): boolean {
+  return (error as any)?.code === '23505';
+}
+
+/**
+ * Validate the body of a create or update request. The boundary is optional;
+ * `geom: null` removes it on update.
+ */
+async function parseVillageBody(
+  req: Request,
+  requireName: boolean
+): Promise<{ ok: true; details: VillageDetails; repairs?: string[] } | { ok: false; body: Record<string, any> }> {
+  const errors = validateVillageDetails(req.body, requireName);
+  if (errors.length > 0) {
+    return { ok: false, body: { error: 'Invalid village', details: errors } };
+  }
+
+  const details: VillageDetails = {};
+  for (const field of VILLAGE_FIELDS) {
+    if (req.body[field] !== undefined) details[field] = req.body[field];
+  }
+
+  if (req.body.geom === null) {
+    details.geom = null;
+  } else if (req.body.geom !== undefined) {
+    const validation = await villageService.validateBoundary(req.body.geom, req.query.repair === 'true');
+    if (!validation.ok) {
+      return {
+        ok: false,
+        body: { error: validation.error, details: validation.details, ...(validation.hint ? { hint: validation.hint } : {}) }
+      };
+    }
+    details.geom = validation.geometry;
+    if (validation.repaired) return { ok: true, details, repairs: validation.repairs };
+  }
+
+  return { ok: true, details };
+}
+
+/**
+ * @swagger
+ * /api/villages:
+ *   get:
+ *     summary: List or search villages
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Village name (matched fuzzily) or LGD / census code
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: has_boundary
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of villages without their boundaries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const hasBoundary = req.query.has_boundary as string | undefined;
+
+    if (hasBoundary !== undefined && hasBoundary !== 'true' && hasBoundary !== 'false') {
+      return res.status(400).json({ error: "Invalid has_boundary. Must be 'true' or 'false'" });
+    }
+
+    const villages = await villageService.listVillages({
+      q: req.query.q as string | undefined,
+      district: req.query.district as string | undefined,
+      state: req.query.state as string | undefined,
+      has_boundary: hasBoundary === undefined ? undefined : hasBoundary === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: villages.length,
+      limit,
+      offset,
+      villages
+    });
+  } catch (error) {
+    console.error('Error fetching villages:', error);
+    res.status(500).json({
+      error: 'Failed to fetch villages',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages:
+ *   post:
+ *     summary: Create a village
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: query
+ *         name: repair
+ *         schema:
+ *           type: boolean
+ *         description: Fix an invalid boundary with ST_MakeValid instead of rejecting it
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               district:
+ *                 type: string
+ *               subdistrict:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               lgd_code:
+ *                 type: string
+ *                 description: Local Government Directory village code
+ *               census_code:
+ *                 type: string
+ *                 description: Census 2011 village code
+ *               geom:
+ *                 type: object
+ *                 description: Village boundary as a GeoJSON Polygon or MultiPolygon
+ *               actor:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Village created
+ *       400:
+ *         description: Invalid village or boundary
+ *       409:
+ *         description: Another village has the same LGD or census code
+ */
+router.post('/', async (req, res) => {
+  try {
+    const parsed = await parseVillageBody(req, true);
+    if (!parsed.ok) {
+      return res.status(400).json(parsed.body);
+    }
+
+    const id = await villageService.createVillage(parsed.details);
+    const village = await villageService.getVillage(id);
+
+    await auditService.record(req, res, {
+      entity_type: 'village',
+      entity_id: id,
+      action: 'create',
+      actor: req.body.actor,
+      after: village
+    });
+
+    res.status(201).json({ village, ...(parsed.repairs ? { repairs: parsed.repairs } : {}) });
+  } catch (error) {
+    if (isDuplicateCode(error)) {
+      return res.status(409).json({ error: 'Another village already has this LGD or census code' });
+    }
+    console.error('Error creating village:', error);
+    res.status(500).json({
+      error: 'Failed to create village',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages/import:
+ *   post:
+ *     summary: Create or update villages from a GeoJSON file
+ *     description: |
+ *       Upload a GeoJSON FeatureCollection as multipart field `file`. A feature updates the
+ *       village with the same LGD code (or census code, when it has no LGD code) and creates
+ *       a village otherwise. `mapping` renames the properties read for each field, e.g.
+ *       `{"name": "VILL_NAME", "lgd_code": "VIL_LGD"}`.
+ *     tags: [Villages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *               repair:
+ *                 type: boolean
+ *               actor:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Import report with one row per feature
+ *       200:
+ *         description: Dry run report; nothing was saved
+ *       400:
+ *         description: Unreadable file or invalid mapping
+ */
+router.post('/import', importUpload.single('file'), handleUploadError, async (req: Request, res: Response) => {
+  const file = (req as Request & { file?: Express.Multer.File }).file;
+  const options = { ...req.query, ...(file ? req.body : {}) } as Record<string, any>;
+  const actor = options.actor || 'bulk-import';
+
+  let mapping: VillageImportMapping = DEFAULT_VILLAGE_IMPORT_MAPPING;
+  if (options.mapping) {
+    try {
+      const custom = typeof options.mapping === 'string' ? JSON.parse(options.mapping) : options.mapping;
+      mapping = { ...DEFAULT_VILLAGE_IMPORT_MAPPING, ...custom };
+    } catch {
+      return res.status(400).json({ error: 'Invalid mapping: expected a JSON object of field → property names' });
+    }
+  }
+
+  try {
+    let features: any[];
+    if (file) {
+      if (claimImportService.detectFormat(file.originalname, options.format) !== 'geojson') {
+        return res.status(400).json({ error: 'Unsupported file format. Upload a .geojson or .json file' });
+      }
+      try {
+        features = await claimImportService.parseFeatures(file.buffer, 'geojson');
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Could not read geojson file',
+          details: err instanceof Error ? err.message : 'Unknown error'
+        });
+      }
+    } else if (req.body && (req.body.type === 'FeatureCollection' || req.body.type === 'Feature')) {
+      try {
+        features = claimImportService.featuresOf(req.body);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'Invalid GeoJSON body',
+          details: err instanceof Error ? err.message : 'Unknown error'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        error: "No file provided: upload a 'file' field or send a GeoJSON FeatureCollection"
+      });
+    }
+
+    if (features.length === 0) {
+      return res.status(400).json({ error: 'The file contains no features' });
+    }
+    if (features.length > MAX_VILLAGE_IMPORT_FEATURES) {
+      return res.status(400).json({
+        error: `Too many features: ${features.length} (maximum ${MAX_VILLAGE_IMPORT_FEATURES} per import)`
+      });
+    }
+
+    const report = await villageService.importFeatures(features, {
+      mapping,
+      dryRun: options.dry_run === 'true' || options.dry_run === true,
+      repair: options.repair === 'true' || options.repair === true
+    });
+
+    if (!report.dryRun) {
+      await auditService.record(
+        req,
+        res,
+        ...report.rows
+          .filter((row) => row.village_id)
+          .map((row): AuditChange => ({
+            entity_type: 'village',
+            entity_id: row.village_id!,
+            action: row.outcome === 'created' ? 'import' : 'update',
+            actor,
+            after: row
+          }))
+      );
+    }
+
+    res.status(report.dryRun ? 200 : 201).json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error importing villages:', error);
+    res.status(500).json({
+      error: 'Failed to import villages',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages/{id}:
+ *   get:
+ *     summary: Get a village with its boundary
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: geometry
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Village with its boundary as GeoJSON and its number of claims
+ *       404:
+ *         description: Village not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid village ID' });
+    }
+
+    const village = await villageService.getVillage(id, req.query.geometry !== 'false');
+    if (!village) {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+
+    res.json({ village });
+  } catch (error) {
+    console.error('Error fetching village:', error);
+    res.status(500).json({
+      error: 'Failed to fetch village',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages/{id}:
+ *   patch:
+ *     summary: Update a village
+ *     description: Takes the same fields as creation; `geom` null removes the boundary.
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Village updated
+ *       404:
+ *         description: Village not found
+ *       409:
+ *         description: Another village has the same LGD or census code
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid village ID' });
+    }
+
+    const parsed = await parseVillageBody(req, false);
+    if (!parsed.ok) {
+      return res.status(400).json(parsed.body);
+    }
+
+    const before = await villageService.getVillage(id);
+    if (!before || !(await villageService.updateVillage(id, parsed.details))) {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+    const village = await villageService.getVillage(id);
+
+    await auditService.record(req, res, {
+      entity_type: 'village',
+      entity_id: id,
+      action: 'update',
+      actor: req.body.actor,
+      before,
+      after: village
+    });
+
+    res.json({ village, ...(parsed.repairs ? { repairs: parsed.repairs } : {}) });
+  } catch (error) {
+    if (isDuplicateCode(error)) {
+      return res.status(409).json({ error: 'Another village already has this LGD or census code' });
+    }
+    console.error('Error updating village:', error);
+    res.status(500).json({
+      error: 'Failed to update village',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages/{id}:
+ *   delete:
+ *     summary: Delete a village that has no claims
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Village deleted
+ *       404:
+ *         description: Village not found
+ *       409:
+ *         description: Claims, claimants or meetings still refer to the village
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid village ID' });
+    }
+
+    const result = await villageService.deleteVillage(id);
+    if (result.outcome === 'not_found') {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+    if (result.outcome === 'in_use') {
+      return res.status(409).json({ error: 'The village has claims and cannot be deleted', claims: result.claims });
+    }
+
+    await auditService.record(req, res, {
+      entity_type: 'village',
+      entity_id: id,
+      action: 'delete',
+      actor: req.body?.actor,
+      before: result.village
+    });
+
+    res.json({ success: true, village: result.village });
+  } catch (error) {
+    // Claimants and committee meetings also refer to villages
+    if ((error as any)?.code === '23503') {
+      return res.status(409).json({ error: 'Claimants or committee meetings still refer to the village' });
+    }
+    console.error('Error deleting village:', error);
+    res.status(500).json({
+      error: 'Failed to delete village',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/villages/{id}/boundary-check:
+ *   get:
+ *     summary: Claims of a village that lie outside its boundary
+ *     description: |
+ *       Lists active claims not within the village boundary. `near` claims stick out by less
+ *       than the tolerance (VILLAGE_BOUNDARY_TOLERANCE_M, 250 m by default) and are accepted;
+ *       `outside` claims would be rejected if filed now.
+ *     tags: [Villages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Claims outside the boundary, furthest out first
+ *       404:
+ *         description: Village not found
+ *       409:
+ *         description: The village has no boundary
+ */
+router.get('/:id/boundary-check', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid village ID' });
+    }
+
+    const village = await villageService.getVillage(id, false);
+    if (!village) {
+      return res.status(404).json({ error: 'Village not found' });
+    }
+    if (!village.has_boundary) {
+      return res.status(409).json({ error: 'The village has no boundary to check against' });
+    }
+
+    const claims = await villageService.listClaimsOutsideBoundary(id);
+
+    res.json({
+      village_id: id,
+      claim_count: village.claim_count,
+      outside: claims.filter((c) => c.status === 'outside').length,
+      near: claims.filter((c) => c.status === 'near').length,
+      claims
+    });
+  } catch (error) {
+    console.error('Error checking village boundary:', error);
+    res.status(500).json({
+      error: 'Failed to check claims against the village boundary',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import { pool } from '../db/pool';
+import { AdminUnitService } from '../services/adminUnitService';
+
+// GADM subdistrict files shipped with the map front end
+const DEFAULT_FILES = [
+  path.join(__dirname, '../../../TINA3/fra-map/public/Madhya_Pradesh_subdistricts.geojson'),
+  path.join(__dirname, '../../../TINA3/fra-map/public/Telangana_subdistricts.geojson')
+];
+
+// Loads GADM level-3 GeoJSON files into admin_units and re-tags claims and alerts.
+// Usage: npm run load:admin-units [-- file.geojson ...]
+async function main() {
+  const files = process.argv.slice(2).length > 0 ? process.argv.slice(2) : DEFAULT_FILES;
+  const service = new AdminUnitService();
+
+  try {
+    for (const file of files) {
+      const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const features = collection.type === 'Feature' ? [collection] : collection.features || [];
+      const report = await service.loadGadmFeatures(features);
+
+      console.log(
+        `🗺️  ${path.basename(file)}: ${report.states} states, ${report.districts} districts, ` +
+        `${report.subdistricts} subdistricts; ${report.claims_tagged} claims and ${report.alerts_tagged} alerts re-tagged`
+      );
+      for (const rejected of report.rejected) {
+        console.warn(`⚠️  Feature ${rejected.index} skipped: ${rejected.error}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Loading admin units failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
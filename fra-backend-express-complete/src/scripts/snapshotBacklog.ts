@@ -0,0 +1,20 @@
+import { pool } from '../db/pool';
+import { SlaService } from '../services/slaService';
+
+// Takes (or retakes) today's backlog snapshot, for running from cron when the
+// in-process job is disabled with BACKLOG_SNAPSHOT_JOB=false
+async function main() {
+  try {
+    const rows = await new SlaService().takeSnapshot();
+    console.log(`📈 Backlog snapshot taken (${rows} district/status rows)`);
+  } catch (error) {
+    console.error('❌ Backlog snapshot failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
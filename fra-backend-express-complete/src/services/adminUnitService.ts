@@ -0,0 +1,345 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+
+export const ADMIN_LEVELS = ['state', 'district', 'subdistrict'] as const;
+
+export type AdminLevel = typeof ADMIN_LEVELS[number];
+
+export function isAdminLevel(value: unknown): value is AdminLevel {
+  return typeof value === 'string' && (ADMIN_LEVELS as readonly string[]).includes(value);
+}
+
+export interface AdminUnitFilters {
+  level?: AdminLevel;
+  parent_id?: number;
+  q?: string;
+  limit: number;
+  offset: number;
+}
+
+export interface AdminUnitRef {
+  id: number;
+  name: string;
+  gid: string;
+  unit_type: string | null;
+}
+
+export interface AdminLookup {
+  state: AdminUnitRef | null;
+  district: AdminUnitRef | null;
+  subdistrict: AdminUnitRef | null;
+  // Every subdistrict a polygon crosses, with the share of the polygon in each
+  overlaps?: (AdminUnitRef & { district: string; overlap_pct: number })[];
+}
+
+export interface GadmLoadReport {
+  total: number;
+  states: number;
+  districts: number;
+  subdistricts: number;
+  rejected: { index: number; error: string }[];
+  claims_tagged: number;
+  alerts_tagged: number;
+}
+
+// GADM writes "NA" for missing values
+function gadmValue(value: unknown): string | null {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' || text === 'NA' ? null : text;
+}
+
+const UNIT_COLUMNS = `
+  u.id, u.level, u.name, u.gid, u.unit_type, u.parent_id,
+  (SELECT COUNT(*)::int FROM admin_units child WHERE child.parent_id = u.id) AS child_count`;
+
+const ANCESTORS_QUERY = `
+  WITH RECURSIVE ancestors AS (
+    SELECT id, level, name, gid, unit_type, parent_id, 0 AS depth FROM admin_units WHERE id = $1
+    UNION ALL
+    SELECT p.id, p.level, p.name, p.gid, p.unit_type, p.parent_id, a.depth + 1
+    FROM admin_units p JOIN ancestors a ON p.id = a.parent_id
+  )
+  SELECT id, level, name, gid, unit_type FROM ancestors ORDER BY depth DESC`;
+
+export class AdminUnitService {
+  /**
+   * List units by level, parent or name. Without any filter the states are listed.
+   */
+  async listUnits(filters: AdminUnitFilters): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.parent_id !== undefined) {
+      params.push(filters.parent_id);
+      conditions.push(`u.parent_id = $${params.length}`);
+    }
+    if (filters.level) {
+      params.push(filters.level);
+      conditions.push(`u.level = $${params.length}`);
+    }
+    if (filters.q) {
+      params.push(filters.q.trim());
+      conditions.push(`u.name ILIKE '%' || $${params.length} || '%'`);
+    }
+    if (conditions.length === 0) {
+      conditions.push(`u.level = 'state'`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${UNIT_COLUMNS}
+       FROM admin_units u
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY u.name, u.id
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * The whole hierarchy as nested `children`, without geometries. `depth` 1
+   * returns states only, 2 adds districts and 3 subdistricts.
+   */
+  async getTree(depth: number): Promise<Record<string, any>[]> {
+    const result = await pool.query(
+      `SELECT id, level, name, gid, unit_type, parent_id
+       FROM admin_units
+       WHERE level = ANY($1::text[])
+       ORDER BY name, id`,
+      [ADMIN_LEVELS.slice(0, depth)]
+    );
+
+    const nodes = new Map<number, Record<string, any>>();
+    for (const row of result.rows) {
+      nodes.set(row.id, { ...row, ...(row.level !== ADMIN_LEVELS[depth - 1] ? { children: [] } : {}) });
+    }
+
+    const roots: Record<string, any>[] = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent_id === null ? undefined : nodes.get(node.parent_id);
+      if (parent) {
+        parent.children.push(node);
+      } else if (node.level === 'state') {
+        roots.push(node);
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * Get a unit with its ancestors, its children and the number of active claims
+   * tagged with it
+   */
+  async getUnit(id: number, withGeometry = true): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT ${UNIT_COLUMNS},
+              ${withGeometry ? 'ST_AsGeoJSON(u.geom)::json AS geometry,' : ''}
+              ST_Area(u.geom::geography) / 10000 AS area_ha,
+              CASE u.level
+                WHEN 'state' THEN (SELECT COUNT(*)::int FROM claims c
+                                   JOIN admin_units d ON d.id = c.district_unit_id
+                                   WHERE d.parent_id = u.id AND c.deleted_at IS NULL)
+                WHEN 'district' THEN (SELECT COUNT(*)::int FROM claims c
+                                      WHERE c.district_unit_id = u.id AND c.deleted_at IS NULL)
+                ELSE (SELECT COUNT(*)::int FROM claims c
+                      WHERE c.subdistrict_unit_id = u.id AND c.deleted_at IS NULL)
+              END AS claim_count
+       FROM admin_units u
+       WHERE u.id = $1`,
+      [id]
+    );
+    if (!result.rows[0]) return null;
+
+    const [ancestors, children] = await Promise.all([
+      pool.query(ANCESTORS_QUERY, [id]),
+      pool.query(
+        `SELECT id, level, name, gid, unit_type FROM admin_units WHERE parent_id = $1 ORDER BY name, id`,
+        [id]
+      )
+    ]);
+
+    const row = result.rows[0];
+    return {
+      ...row,
+      area_ha: row.area_ha === null ? null : parseFloat(row.area_ha),
+      // From the state down to the unit's parent
+      path: ancestors.rows.slice(0, -1),
+      children: children.rows
+    };
+  }
+
+  /**
+   * Find the state, district and subdistrict of a GeoJSON point or polygon. A
+   * polygon is placed by a point on its surface, as claims are tagged, and also
+   * lists every subdistrict it crosses.
+   */
+  async lookup(geom: Record<string, any>): Promise<AdminLookup> {
+    const geojson = JSON.stringify(geom);
+
+    const placed = await pool.query(
+      `SELECT admin_subdistrict_at(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)) AS id`,
+      [geojson]
+    );
+
+    const lookup: AdminLookup = { state: null, district: null, subdistrict: null };
+    if (placed.rows[0].id !== null) {
+      const ancestors = await pool.query(ANCESTORS_QUERY, [placed.rows[0].id]);
+      for (const unit of ancestors.rows) {
+        lookup[unit.level as AdminLevel] = { id: unit.id, name: unit.name, gid: unit.gid, unit_type: unit.unit_type };
+      }
+    }
+
+    if (geom.type === 'Polygon' || geom.type === 'MultiPolygon') {
+      const overlaps = await pool.query(
+        `WITH input AS (
+           SELECT g, NULLIF(ST_Area(g::geography), 0) AS area_m2
+           FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS g) raw
+         )
+         SELECT u.id, u.name, u.gid, u.unit_type, d.name AS district,
+                COALESCE(100 * ST_Area(ST_Intersection(u.geom, input.g)::geography) / input.area_m2, 0) AS overlap_pct
+         FROM admin_units u
+         JOIN admin_units d ON d.id = u.parent_id
+         CROSS JOIN input
+         WHERE u.level = 'subdistrict' AND ST_Intersects(u.geom, input.g)
+         ORDER BY overlap_pct DESC, u.id`,
+        [geojson]
+      );
+      lookup.overlaps = overlaps.rows.map((row) => ({
+        ...row,
+        overlap_pct: Math.round(parseFloat(row.overlap_pct) * 100) / 100
+      }));
+    }
+
+    return lookup;
+  }
+
+  /**
+   * Load GADM level-3 features (NAME_1/NAME_2/NAME_3 with GID_1/GID_2/GID_3).
+   * Units are matched on their GADM id, so loading a file again updates it.
+   * District and state outlines are rebuilt from their subdistricts, then
+   * every claim and alert is re-tagged.
+   */
+  async loadGadmFeatures(features: any[]): Promise<GadmLoadReport> {
+    const report: GadmLoadReport = {
+      total: features.length,
+      states: 0,
+      districts: 0,
+      subdistricts: 0,
+      rejected: [],
+      claims_tagged: 0,
+      alerts_tagged: 0
+    };
+    const seen = { state: new Set<number>(), district: new Set<number>(), subdistrict: new Set<number>() };
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (let index = 0; index < features.length; index++) {
+        const props = features[index]?.properties || {};
+        const levels = [
+          { level: 'state' as const, name: gadmValue(props.NAME_1), gid: gadmValue(props.GID_1), type: null },
+          { level: 'district' as const, name: gadmValue(props.NAME_2), gid: gadmValue(props.GID_2), type: null },
+          {
+            level: 'subdistrict' as const,
+            name: gadmValue(props.NAME_3),
+            gid: gadmValue(props.GID_3),
+            type: gadmValue(props.ENGTYPE_3) || gadmValue(props.TYPE_3)
+          }
+        ];
+
+        const missing = levels.find((unit) => !unit.name || !unit.gid);
+        if (missing) {
+          report.rejected.push({ index, error: `Missing ${missing.level} name or GID` });
+          continue;
+        }
+        if (!features[index]?.geometry) {
+          report.rejected.push({ index, error: 'Missing geometry' });
+          continue;
+        }
+
+        try {
+          await client.query('SAVEPOINT load_unit');
+          let parentId: number | null = null;
+          for (const unit of levels) {
+            const isLeaf = unit.level === 'subdistrict';
+            const saved: { rows: { id: number }[] } = await client.query(
+              `INSERT INTO admin_units (level, name, parent_id, gid, unit_type, geom)
+               VALUES ($1, $2, $3, $4, $5,
+                       ${isLeaf ? 'ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($6), 4326)), 3))' : 'NULL'})
+               ON CONFLICT (gid) DO UPDATE
+                 SET level = EXCLUDED.level, name = EXCLUDED.name, parent_id = EXCLUDED.parent_id,
+                     unit_type = COALESCE(EXCLUDED.unit_type, admin_units.unit_type),
+                     geom = ${isLeaf ? 'EXCLUDED.geom' : 'admin_units.geom'}
+               RETURNING id`,
+              [unit.level, unit.name, parentId, unit.gid, unit.type, ...(isLeaf ? [JSON.stringify(features[index].geometry)] : [])]
+            );
+            parentId = saved.rows[0].id;
+            seen[unit.level].add(saved.rows[0].id);
+          }
+          await client.query('RELEASE SAVEPOINT load_unit');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT load_unit');
+          report.rejected.push({ index, error: error instanceof Error ? error.message : 'Unknown error' });
+        }
+      }
+
+      await this.rebuildOutlines(client, [...seen.district], 'district');
+      await this.rebuildOutlines(client, [...seen.state], 'state');
+
+      const tagged = await this.retag(client);
+      report.claims_tagged = tagged.claims;
+      report.alerts_tagged = tagged.alerts;
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    report.states = seen.state.size;
+    report.districts = seen.district.size;
+    report.subdistricts = seen.subdistrict.size;
+    return report;
+  }
+
+  // A district is the union of its subdistricts, a state of its districts
+  private async rebuildOutlines(client: PoolClient, ids: number[], level: AdminLevel) {
+    if (ids.length === 0) return;
+    await client.query(
+      `UPDATE admin_units u
+       SET geom = (SELECT ST_Multi(ST_CollectionExtract(ST_Union(child.geom), 3))
+                   FROM admin_units child WHERE child.parent_id = u.id)
+       WHERE u.id = ANY($1::int[]) AND u.level = $2`,
+      [ids, level]
+    );
+  }
+
+  /**
+   * Tag every claim and alert again, for after the boundaries have changed.
+   * Only rows whose units differ are written.
+   */
+  async retag(client?: PoolClient): Promise<{ claims: number; alerts: number }> {
+    const db = client || pool;
+    const tag = (table: string, location: string) => `
+      WITH placed AS (
+        SELECT t.id, s.id AS subdistrict_id, s.parent_id AS district_id
+        FROM ${table} t
+        LEFT JOIN admin_units s ON s.id = admin_subdistrict_at(${location})
+      )
+      UPDATE ${table} t
+      SET subdistrict_unit_id = placed.subdistrict_id, district_unit_id = placed.district_id
+      FROM placed
+      WHERE t.id = placed.id
+        AND (t.subdistrict_unit_id IS DISTINCT FROM placed.subdistrict_id
+             OR t.district_unit_id IS DISTINCT FROM placed.district_id)`;
+
+    const claims = await db.query(tag('claims', 't.geom'));
+    const alerts = await db.query(tag('forest_alerts', 'ST_Point(t.lon, t.lat)'));
+    return { claims: claims.rowCount ?? 0, alerts: alerts.rowCount ?? 0 };
+  }
+}
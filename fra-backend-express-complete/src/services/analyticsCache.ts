@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { Request, Response } from 'express';
+import { pool } from '../db/pool';
+
+export type AnalyticsSource = 'claims' | 'alerts';
+
+// Cached aggregates are recomputed at least this often, for figures such as "last 7 days"
+export const ANALYTICS_CACHE_TTL_MS = Number(process.env.ANALYTICS_CACHE_TTL_S || 300) * 1000;
+
+// Each distinct set of filters is its own entry; the oldest are dropped beyond this
+export const MAX_ANALYTICS_CACHE_ENTRIES = 500;
+
+export interface CachedResult<T> {
+  value: T;
+  etag: string;
+  computed_at: Date;
+  // When the value last changed: computed_at, unless a recompute gave the same value
+  last_modified: Date;
+  hit: boolean;
+}
+
+interface CacheEntry {
+  key: string;
+  sources: AnalyticsSource[];
+  // Source versions the value was computed from
+  versions: string;
+  pending?: Promise<CachedResult<any>>;
+  result?: CachedResult<any>;
+  expires_at: number;
+}
+
+/**
+ * In-process cache for analytics aggregates. An entry is reused until its TTL
+ * runs out or the data it was computed from changes: triggers on the tables
+ * behind claims and alerts bump a version sequence per source as the write
+ * commits, and the versions are read on every request, so writes through any
+ * process or script invalidate every server's cache.
+ */
+export class AnalyticsCache {
+  private entries = new Map<string, CacheEntry>();
+
+  /**
+   * The current version of each source; only whether it moves matters
+   */
+  async getVersions(): Promise<Record<AnalyticsSource, string>> {
+    const result = await pool.query(
+      `SELECT (SELECT last_value FROM analytics_claims_version) AS claims,
+              (SELECT last_value FROM analytics_alerts_version) AS alerts`
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Return the cached value for `key`, or compute and cache it. Concurrent
+   * requests for a stale entry share one computation.
+   */
+  async get<T>(key: string, sources: AnalyticsSource[], compute: () => Promise<T>): Promise<CachedResult<T>> {
+    const sourceVersions = await this.getVersions();
+    const versions = sources.map((source) => sourceVersions[source]).join('|');
+
+    const entry = this.entries.get(key);
+    if (entry && entry.versions === versions && entry.expires_at > Date.now()) {
+      if (entry.result) return { ...entry.result, hit: true };
+      if (entry.pending) return entry.pending;
+    }
+
+    const previous = entry?.result;
+    const pending = (async (): Promise<CachedResult<T>> => {
+      const value = await compute();
+      const computedAt = new Date();
+      const etag = `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url')}"`;
+
+      return {
+        value,
+        etag,
+        computed_at: computedAt,
+        // An expired entry that recomputes to the same figures has not been modified
+        last_modified: previous?.etag === etag ? previous.last_modified : computedAt,
+        hit: false
+      };
+    })();
+
+    const fresh: CacheEntry = { key, sources, versions, pending, expires_at: Date.now() + ANALYTICS_CACHE_TTL_MS };
+    this.entries.delete(key);
+    this.entries.set(key, fresh);
+    while (this.entries.size > MAX_ANALYTICS_CACHE_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value!);
+    }
+
+    try {
+      const result = await pending;
+      if (this.entries.get(key) === fresh) {
+        fresh.result = result;
+        delete fresh.pending;
+      }
+      return result;
+    } catch (error) {
+      if (this.entries.get(key) === fresh) this.entries.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a cached value with its validators, or 304 when the client's copy is current
+   */
+  send(req: Request, res: Response, result: CachedResult<any>) {
+    res.setHeader('ETag', result.etag);
+    res.setHeader('Last-Modified', result.last_modified.toUTCString());
+    // Clients may keep the figures but must check back before reusing them
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Cache', result.hit ? 'HIT' : 'MISS');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json(result.value);
+  }
+
+  /**
+   * What is cached, when each entry was computed and when it expires
+   */
+  describe() {
+    return [...this.entries.values()]
+      .filter((entry) => entry.result)
+      .map((entry) => ({
+        key: entry.key,
+        sources: entry.sources,
+        computed_at: entry.result!.computed_at,
+        last_modified: entry.result!.last_modified,
+        expires_at: new Date(entry.expires_at),
+        etag: entry.result!.etag
+      }));
+  }
+}
+
+// One cache for the process, shared by the analytics and alert routes
+export const analyticsCache = new AnalyticsCache();
@@ -0,0 +1,622 @@
+import { pool } from '../db/pool';
+import { buildClaimFilterConditions, ClaimFilters } from './claimFilters';
+import { UNKNOWN_DISTRICT } from './slaService';
+
+export const BREAKDOWN_LEVELS = ['state', 'district', 'subdistrict'] as const;
+
+export type BreakdownLevel = typeof BREAKDOWN_LEVELS[number];
+
+export function isBreakdownLevel(value: unknown): value is BreakdownLevel {
+  return typeof value === 'string' && (BREAKDOWN_LEVELS as readonly string[]).includes(value);
+}
+
+/**
+ * One row per unit, flat so recharts can plot any field with `dataKey`
+ * against `name` on the axis.
+ */
+export interface BreakdownRow {
+  name: string;
+  // The admin unit, when the claims were tagged with one; pass it as admin_unit_id to drill down
+  unit_id: number | null;
+  parent: string | null;
+  total: number;
+  approved: number;
+  rejected: number;
+  pending: number;
+  // Approved share of decided (approved or rejected) claims, 0–1
+  approval_rate: number | null;
+  total_area_ha: number;
+  area_approved_ha: number;
+  // Mean area of an approved claim, i.e. of a title granted
+  avg_area_per_title_ha: number | null;
+}
+
+/**
+ * Grouping per level: the admin unit the claim lies in, falling back to its
+ * village's record for claims outside the loaded boundaries. Rows are merged by
+ * name, so both kinds of claim in the same district count together.
+ */
+const LEVEL_GROUPS: Record<BreakdownLevel, { id: string; name: string; parent: string }> = {
+  state: { id: 'st.id', name: 'COALESCE(st.name, v.state)', parent: 'NULL::text' },
+  district: { id: 'dd.id', name: 'COALESCE(dd.name, v.district)', parent: 'COALESCE(st.name, v.state)' },
+  subdistrict: { id: 'sd.id', name: 'COALESCE(sd.name, v.subdistrict)', parent: 'COALESCE(dd.name, v.district)' }
+};
+
+// The joins LEVEL_GROUPS reads from, for claims aliased `c`
+const CLAIM_UNIT_JOINS = `
+  LEFT JOIN villages v ON c.village_id = v.id
+  LEFT JOIN admin_units sd ON sd.id = c.subdistrict_unit_id
+  LEFT JOIN admin_units dd ON dd.id = c.district_unit_id
+  LEFT JOIN admin_units st ON st.id = dd.parent_id`;
+
+export const FUNNEL_STAGES = ['filed', 'gram_sabha', 'sdlc', 'dlc', 'title'] as const;
+
+export type FunnelStage = typeof FUNNEL_STAGES[number];
+
+const FUNNEL_STAGE_LABELS: Record<FunnelStage, string> = {
+  filed: 'Filed',
+  gram_sabha: 'Gram Sabha',
+  sdlc: 'SDLC',
+  dlc: 'DLC',
+  title: 'Title'
+};
+
+export interface FunnelStageStats {
+  stage: FunnelStage;
+  label: string;
+  // Claims that have reached the stage
+  count: number;
+  // Share of the claims at the previous stage that reached this one, 0–1
+  conversion_rate: number | null;
+  // Median days from reaching the previous stage to reaching this one
+  median_days: number | null;
+}
+
+export interface FunnelRow {
+  name: string;
+  unit_id: number | null;
+  parent: string | null;
+  // In stage order, ready for a recharts FunnelChart with dataKey="count" and nameKey="label"
+  stages: FunnelStageStats[];
+  median_days_to_title: number | null;
+}
+
+// Units are compared with their state; a state has nothing above it to compare with
+export const OUTLIER_LEVELS = ['district', 'subdistrict'] as const;
+
+export type OutlierLevel = typeof OUTLIER_LEVELS[number];
+
+export const DEFAULT_OUTLIER_MIN_CLAIMS = 20;
+export const DEFAULT_OUTLIER_THRESHOLD = 3;
+
+export interface OutlierOptions {
+  // Units with fewer claims than this are not flagged
+  min_claims: number;
+  // How many standard errors from the state rate count as a strong deviation
+  threshold: number;
+}
+
+export interface RateComparison {
+  count: number;
+  // Claims the rate is taken over
+  base: number;
+  rate: number | null;
+  state_rate: number | null;
+  // Deviation from the state rate in standard errors of a unit of this size
+  z_score: number | null;
+  flag: 'high' | 'low' | null;
+}
+
+export interface OutlierRow {
+  name: string;
+  unit_id: number | null;
+  parent: string | null;
+  state: string;
+  total: number;
+  // Rejected share of decided claims
+  rejection: RateComparison;
+  // Share of claims past the Gram Sabha that were remanded at least once
+  remand: RateComparison;
+}
+
+export const TIMESERIES_METRICS = ['claims_filed', 'claims_approved', 'area_approved', 'alerts'] as const;
+export const TIMESERIES_INTERVALS = ['month', 'quarter', 'year'] as const;
+export const TIMESERIES_GROUPS = ['state', 'status'] as const;
+
+export type TimeseriesMetric = typeof TIMESERIES_METRICS[number];
+export type TimeseriesInterval = typeof TIMESERIES_INTERVALS[number];
+export type TimeseriesGroup = typeof TIMESERIES_GROUPS[number];
+
+// Buckets returned when no `from` is given, and the most one request may span
+export const DEFAULT_TIMESERIES_BUCKETS: Record<TimeseriesInterval, number> = { month: 12, quarter: 8, year: 10 };
+export const MAX_TIMESERIES_BUCKETS = 240;
+
+const INTERVAL_STEPS: Record<TimeseriesInterval, string> = { month: '1 month', quarter: '3 months', year: '1 year' };
+const INTERVAL_LABELS: Record<TimeseriesInterval, string> = {
+  month: `to_char(b.bucket, 'YYYY-MM')`,
+  quarter: `to_char(b.bucket, 'YYYY-"Q"Q')`,
+  year: `to_char(b.bucket, 'YYYY')`
+};
+
+export interface TimeseriesQuery {
+  metric: TimeseriesMetric;
+  interval: TimeseriesInterval;
+  group_by?: TimeseriesGroup;
+  // Inclusive dates (YYYY-MM-DD)
+  from: string;
+  to: string;
+  // Alerts take the location filters only (see CLAIM_ONLY_FILTERS)
+  filters: ClaimFilters;
+}
+
+// Filters that describe the claim itself and have no meaning for alerts
+export const CLAIM_ONLY_FILTERS = ['status', 'claim_type', 'village_id', 'year', 'created_from', 'created_to'] as const;
+
+/**
+ * WHERE conditions for forest alerts (aliased `a`, with `st` their state) from the
+ * location filters. Alerts are points; the envelope tests match the index on
+ * ST_Point(lon, lat), which has no SRID.
+ */
+function buildAlertFilterConditions(filters: ClaimFilters, params: any[]): string[] {
+  const conditions: string[] = [];
+  const param = (value: any) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const point = 'ST_SetSRID(ST_Point(a.lon, a.lat), 4326)';
+
+  if (filters.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = filters.bbox;
+    conditions.push(
+      `ST_Point(a.lon, a.lat) && ST_MakeEnvelope(${param(minLon)}, ${param(minLat)}, ${param(maxLon)}, ${param(maxLat)})`
+    );
+  }
+
+  if (filters.district) {
+    const district = param(filters.district);
+    conditions.push(
+      `a.district_unit_id IN (SELECT id FROM admin_units WHERE level = 'district' AND lower(name) = lower(${district}))`
+    );
+  }
+
+  if (filters.state) {
+    const state = param(filters.state);
+    conditions.push(`(lower(a.state) = lower(${state}) OR lower(st.name) = lower(${state}))`);
+  }
+
+  if (filters.admin_unit_id !== undefined) {
+    const unit = param(filters.admin_unit_id);
+    conditions.push(`(a.subdistrict_unit_id = ${unit} OR a.district_unit_id = ${unit} OR st.id = ${unit})`);
+  }
+
+  if (filters.intersects) {
+    conditions.push(`ST_Intersects(${point}, ST_GeomFromGeoJSON(${param(JSON.stringify(filters.intersects))}))`);
+  }
+
+  if (filters.near) {
+    const lat = param(filters.near.lat);
+    const lon = param(filters.near.lon);
+    const radius = param(filters.near.radius_m);
+    conditions.push(
+      `ST_Point(a.lon, a.lat) && ST_Expand(ST_Point(${lon}, ${lat}), ${radius} / (111320 * GREATEST(cos(radians(${lat})), 0.01)), ${radius} / 110574.0)`
+    );
+    conditions.push(`ST_DWithin(${point}::geography, ST_SetSRID(ST_Point(${lon}, ${lat}), 4326)::geography, ${radius})`);
+  }
+
+  return conditions;
+}
+
+export interface Timeseries {
+  metric: TimeseriesMetric;
+  interval: TimeseriesInterval;
+  group_by: TimeseriesGroup | null;
+  from: string;
+  to: string;
+  // Keys of the per-group values in each point
+  groups: string[];
+  series: Record<string, any>[];
+}
+
+/**
+ * The dated events each metric counts, as `event_at`, `value` and `grp`.
+ * `grp` is the group key, or NULL when the series is not grouped.
+ */
+function timeseriesEvents(query: TimeseriesQuery, params: any[]): string {
+  const stateName = `COALESCE(${LEVEL_GROUPS.state.name}, '${UNKNOWN_DISTRICT}')`;
+  const claimJoins = `
+    LEFT JOIN villages v ON c.village_id = v.id
+    LEFT JOIN admin_units dd ON dd.id = c.district_unit_id
+    LEFT JOIN admin_units st ON st.id = dd.parent_id`;
+  const group = (byStatus: string) =>
+    query.group_by === 'state' ? stateName : query.group_by === 'status' ? byStatus : 'NULL::text';
+
+  if (query.metric === 'alerts') {
+    const conditions = buildAlertFilterConditions(query.filters, params);
+    return `
+      SELECT a.date AS event_at, 1 AS value,
+             ${query.group_by === 'state' ? `COALESCE(st.name, a.state, '${UNKNOWN_DISTRICT}')` : 'NULL::text'} AS grp
+      FROM forest_alerts a
+      LEFT JOIN admin_units dd ON dd.id = a.district_unit_id
+      LEFT JOIN admin_units st ON st.id = dd.parent_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+  }
+
+  const conditions = buildClaimFilterConditions(query.filters, params).join(' AND ');
+
+  if (query.metric === 'claims_filed') {
+    return `
+      SELECT c.created_at AS event_at, 1 AS value, ${group('c.status::text')} AS grp
+      FROM claims c ${claimJoins}
+      WHERE ${conditions}`;
+  }
+
+  // Approvals are dated by the status change that recorded them
+  return `
+    SELECT h.changed_at AS event_at,
+           ${query.metric === 'area_approved' ? 'ST_Area(c.geom::geography) / 10000' : '1'} AS value,
+           ${group('h.to_status::text')} AS grp
+    FROM claim_status_history h
+    JOIN claims c ON c.id = h.claim_id ${claimJoins}
+    WHERE h.to_status = 'approved' AND ${conditions}`;
+}
+
+export interface ConflictListOptions {
+  claim_id?: string;
+  min_area_ha?: number;
+  min_pct?: number;
+  withGeometry: boolean;
+  limit: number;
+  offset: number;
+}
+
+const CONFLICT_CLAIM = (alias: string) => `
+  json_build_object('id', ${alias}.id, 'claimant_name', ${alias}.claimant_name, 'claim_type', ${alias}.claim_type,
+                    'status', ${alias}.status, 'village_id', ${alias}.village_id)`;
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function roundOrNull(value: number | null, digits: number): number | null {
+  return value === null ? null : round(value, digits);
+}
+
+/**
+ * Compare a unit's rate with its state's. The deviation is measured in standard
+ * errors of the state rate for a sample the size of the unit, so small units
+ * need a larger gap to be flagged.
+ */
+function compareRate(
+  count: number,
+  base: number,
+  stateCount: number,
+  stateBase: number,
+  options: OutlierOptions
+): RateComparison {
+  const rate = base > 0 ? count / base : null;
+  const stateRate = stateBase > 0 ? stateCount / stateBase : null;
+  const variance = stateRate === null || base === 0 ? 0 : (stateRate * (1 - stateRate)) / base;
+  const zScore = rate !== null && stateRate !== null && variance > 0 ? (rate - stateRate) / Math.sqrt(variance) : null;
+  const flagged = zScore !== null && base >= options.min_claims && Math.abs(zScore) >= options.threshold;
+
+  return {
+    count,
+    base,
+    rate: roundOrNull(rate, 4),
+    state_rate: roundOrNull(stateRate, 4),
+    z_score: roundOrNull(zScore, 2),
+    flag: flagged ? (zScore! > 0 ? 'high' : 'low') : null
+  };
+}
+
+export class AnalyticsService {
+  /**
+   * Claim counts, approval rate and approved area per state, district or
+   * subdistrict for the claims matching `filters`, largest units first
+   */
+  async getBreakdown(level: BreakdownLevel, filters: ClaimFilters): Promise<BreakdownRow[]> {
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters, params);
+    const group = LEVEL_GROUPS[level];
+
+    const result = await pool.query(
+      `WITH filtered AS (
+         SELECT ${group.id} AS unit_id,
+                COALESCE(${group.name}, '${UNKNOWN_DISTRICT}') AS name,
+                ${group.parent} AS parent,
+                c.status,
+                ST_Area(c.geom::geography) / 10000 AS area_ha
+         FROM claims c ${CLAIM_UNIT_JOINS}
+         WHERE ${conditions.join(' AND ')}
+       )
+       SELECT MAX(unit_id) AS unit_id, name, parent,
+              COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE status = 'approved')::int AS approved,
+              COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected,
+              COALESCE(SUM(area_ha), 0) AS total_area_ha,
+              COALESCE(SUM(area_ha) FILTER (WHERE status = 'approved'), 0) AS area_approved_ha
+       FROM filtered
+       GROUP BY name, parent
+       ORDER BY total DESC, name`,
+      params
+    );
+
+    return result.rows.map((row) => {
+      const decided = row.approved + row.rejected;
+      const areaApproved = parseFloat(row.area_approved_ha);
+      return {
+        name: row.name,
+        unit_id: row.unit_id,
+        parent: row.parent,
+        total: row.total,
+        approved: row.approved,
+        rejected: row.rejected,
+        pending: row.total - decided,
+        approval_rate: decided > 0 ? round(row.approved / decided, 4) : null,
+        total_area_ha: round(parseFloat(row.total_area_ha), 2),
+        area_approved_ha: round(areaApproved, 2),
+        avg_area_per_title_ha: row.approved > 0 ? round(areaApproved / row.approved, 2) : null
+      };
+    });
+  }
+
+  /**
+   * How far the claims matching `filters` have come through the FRA process,
+   * overall and per state, district or subdistrict. A stage counts the claims
+   * that ever reached it, so claims still in progress lower the conversion of
+   * the stages ahead of them.
+   */
+  async getFunnel(level: BreakdownLevel, filters: ClaimFilters): Promise<{ overall: FunnelRow; data: FunnelRow[] }> {
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters, params);
+    const group = LEVEL_GROUPS[level];
+    const stageColumns = FUNNEL_STAGES.map((stage, i) => {
+      const count = `COUNT(${stage}_at)::int AS ${stage}`;
+      if (i === 0) return count;
+      return `${count},
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM ${stage}_at - ${FUNNEL_STAGES[i - 1]}_at) / 86400)
+                AS ${stage}_days`;
+    });
+
+    const result = await pool.query(
+      `WITH filtered AS (
+         SELECT ${group.id} AS unit_id,
+                COALESCE(${group.name}, '${UNKNOWN_DISTRICT}') AS name,
+                ${group.parent} AS parent,
+                COALESCE(t.filed_at, c.created_at) AS filed_at,
+                t.gram_sabha_at, t.sdlc_at, t.dlc_at, t.title_at
+         FROM claims c ${CLAIM_UNIT_JOINS}
+         LEFT JOIN claim_stage_times t ON t.claim_id = c.id
+         WHERE ${conditions.join(' AND ')}
+       )
+       SELECT MAX(unit_id) AS unit_id, name, parent, GROUPING(name, parent) > 0 AS overall,
+              ${stageColumns.join(',\n              ')},
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM title_at - filed_at) / 86400)
+                AS days_to_title
+       FROM filtered
+       GROUP BY GROUPING SETS ((name, parent), ())
+       ORDER BY overall DESC, filed DESC, name`,
+      params
+    );
+
+    const rows: FunnelRow[] = result.rows.map((row) => ({
+      name: row.overall ? 'All' : row.name,
+      unit_id: row.overall ? null : row.unit_id,
+      parent: row.overall ? null : row.parent,
+      stages: FUNNEL_STAGES.map((stage, i) => {
+        const previous = i === 0 ? null : row[FUNNEL_STAGES[i - 1]];
+        return {
+          stage,
+          label: FUNNEL_STAGE_LABELS[stage],
+          count: row[stage],
+          conversion_rate: previous ? round(row[stage] / previous, 4) : null,
+          median_days: i === 0 ? null : roundOrNull(row[`${stage}_days`], 1)
+        };
+      }),
+      median_days_to_title: roundOrNull(row.days_to_title, 1)
+    }));
+
+    // With no matching claims the grand total is the only row
+    const [overall, ...data] = rows;
+    return { overall, data };
+  }
+
+  /**
+   * Districts or subdistricts whose rejection or remand rate deviates strongly
+   * from their state's, most extreme first
+   */
+  async getOutliers(
+    level: OutlierLevel,
+    filters: ClaimFilters,
+    options: OutlierOptions
+  ): Promise<{ units_checked: number; outliers: OutlierRow[] }> {
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters, params);
+    const group = LEVEL_GROUPS[level];
+
+    const result = await pool.query(
+      `WITH filtered AS (
+         SELECT ${group.id} AS unit_id,
+                COALESCE(${group.name}, '${UNKNOWN_DISTRICT}') AS name,
+                ${group.parent} AS parent,
+                COALESCE(${LEVEL_GROUPS.state.name}, '${UNKNOWN_DISTRICT}') AS state,
+                c.status,
+                t.gram_sabha_at,
+                COALESCE(t.remand_count, 0) AS remand_count
+         FROM claims c ${CLAIM_UNIT_JOINS}
+         LEFT JOIN claim_stage_times t ON t.claim_id = c.id
+         WHERE ${conditions.join(' AND ')}
+       )
+       SELECT MAX(unit_id) AS unit_id, name, parent, state,
+              COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE status IN ('approved', 'rejected'))::int AS decided,
+              COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected,
+              COUNT(gram_sabha_at)::int AS verified,
+              COUNT(*) FILTER (WHERE remand_count > 0)::int AS remanded
+       FROM filtered
+       GROUP BY name, parent, state`,
+      params
+    );
+
+    const states = new Map<string, { decided: number; rejected: number; verified: number; remanded: number }>();
+    for (const row of result.rows) {
+      const totals = states.get(row.state) ?? { decided: 0, rejected: 0, verified: 0, remanded: 0 };
+      totals.decided += row.decided;
+      totals.rejected += row.rejected;
+      totals.verified += row.verified;
+      totals.remanded += row.remanded;
+      states.set(row.state, totals);
+    }
+
+    const units: OutlierRow[] = result.rows.map((row) => {
+      const state = states.get(row.state)!;
+      return {
+        name: row.name,
+        unit_id: row.unit_id,
+        parent: row.parent,
+        state: row.state,
+        total: row.total,
+        rejection: compareRate(row.rejected, row.decided, state.rejected, state.decided, options),
+        remand: compareRate(row.remanded, row.verified, state.remanded, state.verified, options)
+      };
+    });
+
+    const deviation = (unit: OutlierRow) =>
+      Math.max(
+        unit.rejection.flag ? Math.abs(unit.rejection.z_score!) : 0,
+        unit.remand.flag ? Math.abs(unit.remand.z_score!) : 0
+      );
+    const outliers = units
+      .filter((unit) => unit.rejection.flag || unit.remand.flag)
+      .sort((a, b) => deviation(b) - deviation(a) || a.name.localeCompare(b.name));
+
+    return { units_checked: units.length, outliers };
+  }
+
+  /**
+   * A metric per month, quarter or year between two dates, optionally split by
+   * state or claim status. Every bucket in the range is returned, with zeros
+   * where nothing happened, so charts show gaps as gaps.
+   */
+  async getTimeseries(query: TimeseriesQuery): Promise<Timeseries> {
+    const params: any[] = [INTERVAL_STEPS[query.interval], query.from, query.to];
+    const events = timeseriesEvents(query, params);
+    const unit = query.interval;
+
+    const result = await pool.query(
+      `WITH buckets AS (
+         SELECT generate_series(date_trunc('${unit}', $2::timestamp), date_trunc('${unit}', $3::timestamp), $1::interval)
+                AS bucket
+       ), events AS (
+         ${events}
+       )
+       SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket, ${INTERVAL_LABELS[unit]} AS label,
+              e.grp, COALESCE(SUM(e.value), 0)::float AS value
+       FROM buckets b
+       LEFT JOIN events e
+         ON e.event_at >= $2::date AND e.event_at < $3::date + 1
+        AND date_trunc('${unit}', e.event_at::timestamp) = b.bucket
+       GROUP BY b.bucket, e.grp
+       ORDER BY b.bucket, e.grp`,
+      params
+    );
+
+    const groups = [...new Set(result.rows.map((row) => row.grp).filter((grp) => grp !== null))].sort() as string[];
+    const digits = query.metric === 'area_approved' ? 2 : 0;
+
+    const points = new Map<string, Record<string, any>>();
+    for (const row of result.rows) {
+      let point = points.get(row.bucket);
+      if (!point) {
+        point = { bucket: row.bucket, label: row.label, total: 0, ...Object.fromEntries(groups.map((g) => [g, 0])) };
+        points.set(row.bucket, point);
+      }
+      point.total = round(point.total + row.value, digits);
+      if (row.grp !== null) point[row.grp] = round(row.value, digits);
+    }
+
+    return {
+      metric: query.metric,
+      interval: query.interval,
+      group_by: query.group_by ?? null,
+      from: query.from,
+      to: query.to,
+      groups,
+      series: [...points.values()]
+    };
+  }
+
+  /**
+   * List conflicting claim pairs, largest overlap first. `filters` select pairs
+   * where either claim matches them.
+   */
+  async listConflicts(
+    filters: ClaimFilters,
+    options: ConflictListOptions
+  ): Promise<{ total: number; conflicts: Record<string, any>[] }> {
+    const params: any[] = [];
+    const conditions = [
+      `EXISTS (SELECT 1 FROM claims c LEFT JOIN villages v ON c.village_id = v.id
+               WHERE c.id IN (k.claim_a_id, k.claim_b_id) AND ${buildClaimFilterConditions(filters, params).join(' AND ')})`
+    ];
+
+    if (options.claim_id) {
+      params.push(options.claim_id);
+      conditions.push(`(k.claim_a_id = $${params.length} OR k.claim_b_id = $${params.length})`);
+    }
+    if (options.min_area_ha !== undefined) {
+      params.push(options.min_area_ha);
+      conditions.push(`k.overlap_area_ha >= $${params.length}`);
+    }
+    if (options.min_pct !== undefined) {
+      params.push(options.min_pct);
+      conditions.push(`GREATEST(k.overlap_pct_a, k.overlap_pct_b) >= $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const total = await pool.query(`SELECT COUNT(*)::int AS total FROM claim_conflicts k WHERE ${where}`, params);
+
+    const result = await pool.query(
+      `SELECT k.id,
+              ${CONFLICT_CLAIM('a')} AS claim_a,
+              ${CONFLICT_CLAIM('b')} AS claim_b,
+              k.overlap_area_ha::float AS overlap_area_ha,
+              k.overlap_pct_a::float AS overlap_pct_a,
+              k.overlap_pct_b::float AS overlap_pct_b,
+              ${options.withGeometry ? 'ST_AsGeoJSON(k.overlap_geom)::json AS geometry,' : ''}
+              k.detected_at
+       FROM claim_conflicts k
+       JOIN claims a ON a.id = k.claim_a_id
+       JOIN claims b ON b.id = k.claim_b_id
+       WHERE ${where}
+       ORDER BY k.overlap_area_ha DESC, k.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, options.limit, options.offset]
+    );
+
+    return { total: total.rows[0].total, conflicts: result.rows };
+  }
+
+  /**
+   * How many of the claims matching `filters` conflict with another claim, and
+   * in how many pairs
+   */
+  async countConflicts(filters: ClaimFilters): Promise<{ claims: number; pairs: number }> {
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters, params).join(' AND ');
+    const result = await pool.query(
+      `WITH matching AS (
+         SELECT c.id FROM claims c LEFT JOIN villages v ON c.village_id = v.id WHERE ${conditions}
+       )
+       SELECT
+         (SELECT COUNT(*)::int FROM matching m
+          WHERE EXISTS (SELECT 1 FROM claim_conflicts k WHERE k.claim_a_id = m.id)
+             OR EXISTS (SELECT 1 FROM claim_conflicts k WHERE k.claim_b_id = m.id)) AS claims,
+         (SELECT COUNT(*)::int FROM claim_conflicts k
+          WHERE k.claim_a_id IN (SELECT id FROM matching) OR k.claim_b_id IN (SELECT id FROM matching)) AS pairs`,
+      params
+    );
+    return result.rows[0];
+  }
+}
@@ -0,0 +1,318 @@
+import { pool } from '../db/pool';
+import { ClaimStatus, ClaimStatusHistoryEntry, ClaimStatusService } from './claimStatusService';
+import { CommitteeBody, committeeForStatus, COMMITTEE_LABELS } from './committeeService';
+
+const claimStatusService = new ClaimStatusService();
+
+export const APPEAL_STATUSES = ['filed', 'hearing_scheduled', 'upheld', 'dismissed', 'withdrawn'] as const;
+export type AppealStatus = typeof APPEAL_STATUSES[number];
+
+export const APPEAL_OUTCOMES = ['upheld', 'dismissed', 'withdrawn'] as const;
+export type AppealOutcome = typeof APPEAL_OUTCOMES[number];
+
+const OPEN_STATUSES: AppealStatus[] = ['filed', 'hearing_scheduled'];
+
+export type AppellateBody = Exclude<CommitteeBody, 'gram_sabha'>;
+
+export function isAppealStatus(value: unknown): value is AppealStatus {
+  return typeof value === 'string' && (APPEAL_STATUSES as readonly string[]).includes(value);
+}
+
+export function isAppealOutcome(value: unknown): value is AppealOutcome {
+  return typeof value === 'string' && (APPEAL_OUTCOMES as readonly string[]).includes(value);
+}
+
+/**
+ * The committee that hears a petition against a rejection at the given stage:
+ * the SDLC hears petitions against the Gram Sabha, the DLC petitions against
+ * the SDLC, and the DLC reviews its own rejections.
+ */
+export function appellateBodyFor(rejectedFrom: ClaimStatus | null): AppellateBody {
+  const body = rejectedFrom ? committeeForStatus(rejectedFrom) : null;
+  return body === 'sdlc' || body === 'dlc' ? 'dlc' : 'sdlc';
+}
+
+/**
+ * The status an upheld appeal reopens a claim at: the stage it was rejected
+ * at, so the body that rejected it hears it again
+ */
+export function reopenStatusFor(rejectedFrom: ClaimStatus | null): ClaimStatus {
+  if (!rejectedFrom || rejectedFrom === 'pending' || rejectedFrom === 'rejected') {
+    return 'submitted';
+  }
+  return rejectedFrom;
+}
+
+export interface NewAppeal {
+  petitioner: string;
+  grounds: string;
+  document_ids?: number[];
+}
+
+export interface AppealFilters {
+  claim_id?: string;
+  status?: AppealStatus;
+  appellate_body?: AppellateBody;
+  limit: number;
+  offset: number;
+}
+
+export type FileAppealResult =
+  | { outcome: 'claim_not_found' }
+  | { outcome: 'not_rejected'; status: ClaimStatus }
+  | { outcome: 'appeal_open'; appeal: Record<string, any> }
+  | { outcome: 'documents_not_found'; ids: number[] }
+  | { outcome: 'ok'; appeal: Record<string, any> };
+
+export type AppealUpdateResult =
+  | { outcome: 'not_found' }
+  | { outcome: 'closed'; status: AppealStatus }
+  | { outcome: 'no_hearing' }
+  // The claim was withdrawn after the appeal was filed, so there is nothing to reopen
+  | { outcome: 'claim_withdrawn'; claim_id: string }
+  | {
+      outcome: 'ok';
+      appeal: Record<string, any>;
+      claim?: Record<string, any>;
+      history?: ClaimStatusHistoryEntry;
+    };
+
+const APPEAL_COLUMNS = `
+  a.id, a.claim_id, a.petitioner, a.grounds, a.rejection_history_id, a.rejected_from,
+  a.appellate_body, a.status, a.hearing_date::text AS hearing_date, a.outcome_reasons,
+  a.decided_by, a.decided_at, a.reopened_status, a.filed_at, a.updated_at`;
+
+export class AppealService {
+  /**
+   * Get an appeal with the documents filed with it
+   */
+  async getAppeal(id: number): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT ${APPEAL_COLUMNS},
+              COALESCE((
+                SELECT json_agg(json_build_object(
+                  'id', d.id, 'document_type', d.document_type, 'original_filename', d.original_filename,
+                  'uploaded_by', d.uploaded_by, 'created_at', d.created_at
+                ) ORDER BY d.id)
+                FROM claim_documents d WHERE d.appeal_id = a.id
+              ), '[]'::json) AS documents
+       FROM claim_appeals a
+       WHERE a.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List appeals, latest first
+   */
+  async listAppeals(filters: AppealFilters): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.claim_id) {
+      params.push(filters.claim_id);
+      conditions.push(`a.claim_id = $${params.length}`);
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`a.status = $${params.length}`);
+    }
+    if (filters.appellate_body) {
+      params.push(filters.appellate_body);
+      conditions.push(`a.appellate_body = $${params.length}`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${APPEAL_COLUMNS}
+       FROM claim_appeals a
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.filed_at DESC, a.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * File a petition against the rejection of a claim. The petition documents
+   * must already be attached to the claim; they are linked to the appeal.
+   */
+  async fileAppeal(claimId: string, appeal: NewAppeal): Promise<FileAppealResult> {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const claim = await client.query(
+        `SELECT status FROM claims WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+        [claimId]
+      );
+      if (claim.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'claim_not_found' };
+      }
+      if (claim.rows[0].status !== 'rejected') {
+        await client.query('ROLLBACK');
+        return { outcome: 'not_rejected', status: claim.rows[0].status };
+      }
+
+      const open = await client.query(
+        `SELECT id FROM claim_appeals WHERE claim_id = $1 AND status = ANY($2)`,
+        [claimId, OPEN_STATUSES]
+      );
+      if (open.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'appeal_open', appeal: (await this.getAppeal(open.rows[0].id))! };
+      }
+
+      const documentIds = [...new Set(appeal.document_ids || [])];
+      if (documentIds.length > 0) {
+        const found = await client.query(
+          `SELECT id FROM claim_documents WHERE claim_id = $1 AND id = ANY($2::int[])`,
+          [claimId, documentIds]
+        );
+        const foundIds = new Set(found.rows.map((r) => r.id));
+        const missing = documentIds.filter((id) => !foundIds.has(id));
+        if (missing.length > 0) {
+          await client.query('ROLLBACK');
+          return { outcome: 'documents_not_found', ids: missing };
+        }
+      }
+
+      const rejection = await client.query(
+        `SELECT id, from_status FROM claim_status_history
+         WHERE claim_id = $1 AND to_status = 'rejected'
+         ORDER BY changed_at DESC, id DESC
+         LIMIT 1`,
+        [claimId]
+      );
+      const rejectedFrom: ClaimStatus | null = rejection.rows[0]?.from_status ?? null;
+
+      const inserted = await client.query(
+        `INSERT INTO claim_appeals
+           (claim_id, petitioner, grounds, rejection_history_id, rejected_from, appellate_body)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [
+          claimId,
+          appeal.petitioner,
+          appeal.grounds,
+          rejection.rows[0]?.id ?? null,
+          rejectedFrom,
+          appellateBodyFor(rejectedFrom)
+        ]
+      );
+      const appealId = inserted.rows[0].id;
+
+      if (documentIds.length > 0) {
+        await client.query(
+          `UPDATE claim_documents SET appeal_id = $1 WHERE id = ANY($2::int[])`,
+          [appealId, documentIds]
+        );
+      }
+
+      await client.query('COMMIT');
+      return { outcome: 'ok', appeal: (await this.getAppeal(appealId))! };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Set or move the hearing date of an open appeal
+   */
+  async scheduleHearing(id: number, hearingDate: string): Promise<AppealUpdateResult> {
+    const current = await pool.query(`SELECT status FROM claim_appeals WHERE id = $1`, [id]);
+    if (current.rows.length === 0) return { outcome: 'not_found' };
+    if (!OPEN_STATUSES.includes(current.rows[0].status)) {
+      return { outcome: 'closed', status: current.rows[0].status };
+    }
+
+    await pool.query(
+      `UPDATE claim_appeals SET hearing_date = $2, status = 'hearing_scheduled'
+       WHERE id = $1 AND status = ANY($3)`,
+      [id, hearingDate, OPEN_STATUSES]
+    );
+    return { outcome: 'ok', appeal: (await this.getAppeal(id))! };
+  }
+
+  /**
+   * Close an open appeal. Upholding or dismissing it needs a hearing; an upheld
+   * appeal reopens the claim at the stage it was rejected at.
+   */
+  async decide(
+    id: number,
+    decision: { outcome: AppealOutcome; reasons?: string | null; decided_by: string }
+  ): Promise<AppealUpdateResult> {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT id, claim_id, status, rejected_from, appellate_body, hearing_date
+         FROM claim_appeals WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'not_found' };
+      }
+      const appeal = current.rows[0];
+      if (!OPEN_STATUSES.includes(appeal.status)) {
+        await client.query('ROLLBACK');
+        return { outcome: 'closed', status: appeal.status };
+      }
+      if (decision.outcome !== 'withdrawn' && !appeal.hearing_date) {
+        await client.query('ROLLBACK');
+        return { outcome: 'no_hearing' };
+      }
+
+      let transition;
+      let reopenedStatus: ClaimStatus | null = null;
+      if (decision.outcome === 'upheld') {
+        reopenedStatus = reopenStatusFor(appeal.rejected_from);
+        const body = COMMITTEE_LABELS[appeal.appellate_body as AppellateBody];
+        transition = await claimStatusService.reopen(
+          appeal.claim_id,
+          reopenedStatus,
+          decision.decided_by,
+          `Appeal upheld by ${body}` + (decision.reasons ? ` (${decision.reasons})` : ''),
+          client
+        );
+        if (transition.outcome === 'not_found') {
+          await client.query('ROLLBACK');
+          return { outcome: 'claim_withdrawn', claim_id: appeal.claim_id };
+        }
+        if (transition.outcome !== 'ok') {
+          // Appeals are only filed against rejected claims, and a rejected claim cannot move on its own
+          throw new Error(`Cannot reopen claim ${appeal.claim_id}: ${transition.outcome}`);
+        }
+      }
+
+      await client.query(
+        `UPDATE claim_appeals
+         SET status = $2, outcome_reasons = $3, decided_by = $4, decided_at = NOW(), reopened_status = $5
+         WHERE id = $1`,
+        [id, decision.outcome, decision.reasons || null, decision.decided_by, reopenedStatus]
+      );
+
+      await client.query('COMMIT');
+      return {
+        outcome: 'ok',
+        appeal: (await this.getAppeal(id))!,
+        ...(transition?.outcome === 'ok' ? { claim: transition.claim, history: transition.history } : {})
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
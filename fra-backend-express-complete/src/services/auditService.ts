@@ -0,0 +1,139 @@
+import { Request, Response } from 'express';
+import { pool } from '../db/pool';
+
+export const AUDIT_ENTITY_TYPES = [
+  'claim',
+  'claim_document',
+  'claimant',
+  'claimant_duplicate',
+  'dispute',
+  'committee_meeting',
+  'committee_resolution',
+  'claim_recommendation',
+  'claim_appeal',
+  'claim_stage_sla',
+  'village',
+  'forest',
+  'forest_alert',
+  'decision_rule',
+  'ocr_result'
+] as const;
+
+export type AuditEntityType = typeof AUDIT_ENTITY_TYPES[number];
+
+export interface AuditChange {
+  entity_type: AuditEntityType;
+  entity_id: string | number | null;
+  // What was done, e.g. create, update, delete, status_change
+  action: string;
+  // The actor named in the request body; otherwise the X-Actor header is used
+  actor?: string | null;
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface AuditEntry {
+  id: number;
+  request_id: string | null;
+  actor: string;
+  method: string;
+  route: string;
+  path: string;
+  entity_type: AuditEntityType;
+  entity_id: string | null;
+  action: string;
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  created_at: Date;
+}
+
+export interface AuditFilters {
+  actor?: string;
+  entity_type?: string;
+  entity_id?: string;
+  action?: string;
+  request_id?: string;
+  from?: string;
+  to?: string;
+  limit: number;
+  offset: number;
+}
+
+const ANONYMOUS_ACTOR = 'anonymous';
+
+export class AuditService {
+  /**
+   * Record the changes made by a request. Entries are written after the change
+   * has been saved; a failure to write them is logged rather than failing a
+   * request whose change already went through.
+   */
+  async record(req: Request, res: Response, ...changes: AuditChange[]): Promise<void> {
+    if (changes.length === 0) return;
+
+    const headerActor = req.get('X-Actor');
+    const rows = changes.map((change) => ({
+      request_id: res.locals.requestId ?? null,
+      actor: change.actor || headerActor || ANONYMOUS_ACTOR,
+      method: req.method,
+      // The matched pattern (/api/claims/:id) groups requests to the same endpoint
+      route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl,
+      path: req.originalUrl.split('?')[0],
+      entity_type: change.entity_type,
+      entity_id: change.entity_id === null ? null : String(change.entity_id),
+      action: change.action,
+      before: change.before ?? null,
+      after: change.after ?? null
+    }));
+
+    try {
+      await pool.query(
+        `INSERT INTO audit_log
+           (request_id, actor, method, route, path, entity_type, entity_id, action, before, after)
+         SELECT request_id, actor, method, route, path, entity_type, entity_id, action, before, after
+         FROM jsonb_to_recordset($1::jsonb) AS t(
+           request_id TEXT, actor TEXT, method TEXT, route TEXT, path TEXT,
+           entity_type TEXT, entity_id TEXT, action TEXT, before JSONB, after JSONB
+         )`,
+        [JSON.stringify(rows)]
+      );
+    } catch (error) {
+      console.error('Failed to write audit log:', error, rows);
+    }
+  }
+
+  /**
+   * List audit entries, newest first
+   */
+  async listEntries(filters: AuditFilters): Promise<{ total: number; entries: AuditEntry[] }> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    const add = (condition: (param: string) => string, value: unknown) => {
+      params.push(value);
+      conditions.push(condition(`$${params.length}`));
+    };
+
+    if (filters.actor) add((p) => `actor = ${p}`, filters.actor);
+    if (filters.entity_type) add((p) => `entity_type = ${p}`, filters.entity_type);
+    if (filters.entity_id) add((p) => `entity_id = ${p}`, filters.entity_id);
+    if (filters.action) add((p) => `action = ${p}`, filters.action);
+    if (filters.request_id) add((p) => `request_id = ${p}`, filters.request_id);
+    if (filters.from) add((p) => `created_at >= ${p}`, filters.from);
+    if (filters.to) add((p) => `created_at <= ${p}`, filters.to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = await pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+    const entries = await pool.query(
+      `SELECT id, request_id, actor, method, route, path, entity_type, entity_id, action,
+              before, after, created_at
+       FROM audit_log
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, filters.limit, filters.offset]
+    );
+
+    return { total: parseInt(total.rows[0].total, 10), entries: entries.rows };
+  }
+}
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { EnhancedOCRService } from '../ocr/enhancedOCRService';
+import { CLAIM_TYPE_RULES, ClaimType } from './claimTypes';
+
+// Scans are kept next to the OCR pipeline's own uploads and output files
+export const DOCUMENT_UPLOAD_DIR = path.join(__dirname, '../../outputs');
+
+export const DOCUMENT_TYPES = [
+  'form_a',
+  'form_b',
+  'form_c',
+  'title_deed',
+  'gram_sabha_resolution',
+  'evidence',
+  'identity_proof',
+  'appeal_petition',
+  'other'
+] as const;
+
+export type DocumentType = typeof DOCUMENT_TYPES[number];
+
+export function isDocumentType(value: unknown): value is DocumentType {
+  return typeof value === 'string' && (DOCUMENT_TYPES as readonly string[]).includes(value);
+}
+
+export interface ClaimDocument {
+  id: number;
+  claim_id: string;
+  document_type: DocumentType;
+  ocr_result_id: number | null;
+  appeal_id: number | null;
+  file_path: string | null;
+  original_filename: string | null;
+  uploaded_by: string;
+  notes: string | null;
+  created_at: Date;
+  ocr?: {
+    filename: string;
+    extracted_json: Record<string, any> | null;
+    created_at: Date;
+  } | null;
+}
+
+export interface DocumentDetails {
+  document_type: DocumentType;
+  uploaded_by: string;
+  notes?: string | null;
+}
+
+export interface UploadedScan {
+  path: string;
+  filename: string;
+  originalname: string;
+}
+
+export interface DocumentChecklist {
+  claim_type: ClaimType;
+  required: DocumentType[];
+  present: DocumentType[];
+  missing: DocumentType[];
+  complete: boolean;
+}
+
+export type AttachDocumentResult =
+  | { outcome: 'claim_not_found' }
+  | { outcome: 'ocr_result_not_found' }
+  | { outcome: 'already_attached'; document: ClaimDocument }
+  | { outcome: 'ok'; document: ClaimDocument };
+
+const DOCUMENT_COLUMNS = `
+  d.id, d.claim_id, d.document_type, d.ocr_result_id, d.appeal_id, d.file_path, d.original_filename,
+  d.uploaded_by, d.notes, d.created_at,
+  CASE WHEN o.id IS NULL THEN NULL
+       ELSE json_build_object('filename', o.filename, 'extracted_json', o.extracted_json, 'created_at', o.created_at)
+  END AS ocr`;
+
+export class ClaimDocumentService {
+  private ocrService = new EnhancedOCRService(
+    path.join(__dirname, '../ocr/enhanced-hindi-config.json'),
+    DOCUMENT_UPLOAD_DIR
+  );
+
+  /**
+   * Get the documents of a claim with the fields extracted by OCR, oldest first
+   */
+  async listDocuments(claimId: string): Promise<ClaimDocument[]> {
+    const query = `
+      SELECT ${DOCUMENT_COLUMNS}
+      FROM claim_documents d
+      LEFT JOIN ocr_results o ON d.ocr_result_id = o.id
+      WHERE d.claim_id = $1
+      ORDER BY d.created_at ASC, d.id ASC
+    `;
+
+    const result = await pool.query(query, [claimId]);
+    return result.rows;
+  }
+
+  /**
+   * Compare the documents of a claim with the checklist of its claim type
+   */
+  async getChecklist(claimId: string, claimType: ClaimType): Promise<DocumentChecklist> {
+    const result = await pool.query(
+      `SELECT DISTINCT document_type FROM claim_documents WHERE claim_id = $1;`,
+      [claimId]
+    );
+    const attached = new Set<string>(result.rows.map((r) => r.document_type));
+    const required = CLAIM_TYPE_RULES[claimType].documentChecklist;
+
+    return {
+      claim_type: claimType,
+      required,
+      present: required.filter((type) => attached.has(type)),
+      missing: required.filter((type) => !attached.has(type)),
+      complete: required.every((type) => attached.has(type))
+    };
+  }
+
+  private async getDocument(client: PoolClient, id: number): Promise<ClaimDocument> {
+    const result = await client.query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM claim_documents d
+       LEFT JOIN ocr_results o ON d.ocr_result_id = o.id
+       WHERE d.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Attach an existing OCR result to a claim. Attaching the same result twice
+   * returns the document created the first time.
+   */
+  async attachOcrResult(claimId: string, ocrResultId: number, details: DocumentDetails): Promise<AttachDocumentResult> {
+    const client = await pool.connect();
+
+    try {
+      const claim = await client.query(
+        `SELECT id FROM claims WHERE id = $1 AND deleted_at IS NULL;`,
+        [claimId]
+      );
+      if (claim.rows.length === 0) {
+        return { outcome: 'claim_not_found' };
+      }
+
+      const ocr = await client.query(`SELECT id, filename FROM ocr_results WHERE id = $1;`, [ocrResultId]);
+      if (ocr.rows.length === 0) {
+        return { outcome: 'ocr_result_not_found' };
+      }
+
+      // Image uploads are stored under their OCR filename; text-only results have no file
+      const filename: string = ocr.rows[0].filename;
+      const storedPath = path.join(DOCUMENT_UPLOAD_DIR, path.basename(filename));
+      const filePath = fs.existsSync(storedPath) ? storedPath : null;
+
+      const inserted = await client.query(
+        `INSERT INTO claim_documents
+           (claim_id, document_type, ocr_result_id, file_path, original_filename, uploaded_by, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (claim_id, ocr_result_id) DO NOTHING
+         RETURNING id;`,
+        [claimId, details.document_type, ocrResultId, filePath, filename, details.uploaded_by, details.notes || null]
+      );
+
+      if (inserted.rows.length === 0) {
+        const existing = await client.query(
+          `SELECT id FROM claim_documents WHERE claim_id = $1 AND ocr_result_id = $2;`,
+          [claimId, ocrResultId]
+        );
+        return { outcome: 'already_attached', document: await this.getDocument(client, existing.rows[0].id) };
+      }
+
+      return { outcome: 'ok', document: await this.getDocument(client, inserted.rows[0].id) };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run an uploaded scan through the FRA OCR pipeline, then save the OCR result
+   * and the claim document together
+   */
+  async uploadDocument(claimId: string, scan: UploadedScan, details: DocumentDetails): Promise<AttachDocumentResult> {
+    const claim = await pool.query(`SELECT id FROM claims WHERE id = $1 AND deleted_at IS NULL;`, [claimId]);
+    if (claim.rows.length === 0) {
+      return { outcome: 'claim_not_found' };
+    }
+
+    const ocr = await this.ocrService.processImageFile(scan.path, scan.filename);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const ocrResult = await client.query(
+        `INSERT INTO ocr_results (filename, raw_text, extracted_json)
+         VALUES ($1, $2, $3)
+         RETURNING id;`,
+        [scan.filename, ocr.rawText || '', JSON.stringify(ocr.extracted)]
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO claim_documents
+           (claim_id, document_type, ocr_result_id, file_path, original_filename, uploaded_by, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id;`,
+        [
+          claimId,
+          details.document_type,
+          ocrResult.rows[0].id,
+          scan.path,
+          scan.originalname,
+          details.uploaded_by,
+          details.notes || null
+        ]
+      );
+
+      const document = await this.getDocument(client, inserted.rows[0].id);
+      await client.query('COMMIT');
+      return { outcome: 'ok', document };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,191 @@
+import path from 'path';
+import { pool } from '../db/pool';
+import { EnhancedOCRService } from '../ocr/enhancedOCRService';
+
+// OCR matches scored below this, and village matches below it, are left for an operator to confirm
+export const CONFIRM_CONFIDENCE = 0.8;
+// The best village must beat the runner-up by this much to be picked automatically
+const VILLAGE_MARGIN = 0.1;
+
+export interface VillageMatch {
+  id: number;
+  name: string;
+  district: string | null;
+  state: string | null;
+  name_score: number;
+  district_score: number | null;
+  score: number;
+}
+
+export interface DraftField {
+  value: string | number | null;
+  confidence: number | null;
+  needs_confirmation: boolean;
+  reason?: string;
+}
+
+export interface ClaimDraft {
+  ocr_result_id: number;
+  draft: {
+    claimant_name: string | null;
+    village_id: number | null;
+    geom: null;
+    ocr_result_id: number;
+  };
+  fields: Record<string, DraftField>;
+  village_candidates: VillageMatch[];
+  fields_to_confirm: string[];
+}
+
+// Extracted fields copied into the draft for reference, next to the ones a claim stores
+const REFERENCE_FIELDS = ['claim_number', 'date_submitted', 'father_husband_name', 'land_type', 'state'];
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+export class ClaimDraftService {
+  // Same extraction rules as /api/ocr/process-fra-document, used to re-score stored text
+  private ocrService = new EnhancedOCRService(
+    path.join(__dirname, '../ocr/enhanced-hindi-config.json'),
+    path.join(__dirname, '../../outputs')
+  );
+
+  /**
+   * Find villages whose name resembles `name`, best first. When a district is
+   * given it contributes 30% of the score.
+   */
+  async matchVillages(name: string, district?: string | null): Promise<VillageMatch[]> {
+    const query = `
+      SELECT id, name, district, state,
+             similarity(lower(name), lower($1)) AS name_score,
+             CASE WHEN $2::text IS NULL OR district IS NULL THEN NULL
+                  ELSE similarity(lower(district), lower($2))
+             END AS district_score
+      FROM villages
+      WHERE lower(name) % lower($1)
+      ORDER BY name_score DESC, id
+      LIMIT 20
+    `;
+
+    const result = await pool.query(query, [name.trim(), district ? district.trim() : null]);
+
+    return result.rows
+      .map((row) => {
+        const nameScore = parseFloat(row.name_score);
+        const districtScore = row.district_score === null ? null : parseFloat(row.district_score);
+        const score = districtScore === null ? nameScore : nameScore * 0.7 + districtScore * 0.3;
+        return {
+          id: row.id,
+          name: row.name,
+          district: row.district,
+          state: row.state,
+          name_score: round(nameScore),
+          district_score: districtScore === null ? null : round(districtScore),
+          score: round(score)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5);
+  }
+
+  private ocrField(value: string | null | undefined, confidence: number | null): DraftField {
+    if (value === null || value === undefined || value === '') {
+      return { value: null, confidence: null, needs_confirmation: true, reason: 'Not found in the document' };
+    }
+    if (confidence === null) {
+      return { value, confidence: null, needs_confirmation: true, reason: 'Confidence unknown' };
+    }
+    const field: DraftField = { value, confidence: round(confidence), needs_confirmation: confidence < CONFIRM_CONFIDENCE };
+    if (field.needs_confirmation) field.reason = 'Low OCR confidence';
+    return field;
+  }
+
+  /**
+   * Pre-fill a claim from an OCR result. Returns null when the OCR result does not exist.
+   * Nothing is saved: the operator confirms the flagged fields, draws the boundary
+   * and submits the draft to POST /api/claims.
+   */
+  async fromOcrResult(ocrResultId: number): Promise<ClaimDraft | null> {
+    const result = await pool.query(
+      `SELECT id, raw_text, extracted_json FROM ocr_results WHERE id = $1;`,
+      [ocrResultId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const stored: Record<string, string | null> = result.rows[0].extracted_json || {};
+    const rescored = this.ocrService.extractFieldsWithConfidence(result.rows[0].raw_text || '');
+
+    // Confidence is not stored with the result; it only applies while the stored value still matches
+    const confidenceOf = (name: string): number | null =>
+      stored[name] && rescored.extracted[name] === stored[name] ? rescored.confidence[name] ?? null : null;
+
+    const fields: Record<string, DraftField> = {};
+    fields.claimant_name = this.ocrField(stored.claimant_name, confidenceOf('claimant_name'));
+    fields.village_name = this.ocrField(stored.village_name, confidenceOf('village_name'));
+    fields.district = this.ocrField(stored.district, confidenceOf('district'));
+
+    const area = this.ocrField(stored.area_hectares, confidenceOf('area_hectares'));
+    if (area.value !== null) {
+      const hectares = parseFloat(String(area.value));
+      if (isNaN(hectares)) {
+        area.needs_confirmation = true;
+        area.reason = 'Not a number';
+      } else {
+        area.value = hectares;
+      }
+    }
+    fields.area_hectares = area;
+
+    for (const name of REFERENCE_FIELDS) {
+      if (stored[name]) fields[name] = this.ocrField(stored[name], confidenceOf(name));
+    }
+
+    let candidates: VillageMatch[] = [];
+    if (fields.village_name.value !== null) {
+      candidates = await this.matchVillages(String(fields.village_name.value), stored.district);
+    }
+
+    const [best, runnerUp] = candidates;
+    if (!best) {
+      fields.village_id = {
+        value: null,
+        confidence: null,
+        needs_confirmation: true,
+        reason: fields.village_name.value === null ? 'No village name to match' : 'No similar village found'
+      };
+    } else {
+      const clearWinner = !runnerUp || best.score - runnerUp.score >= VILLAGE_MARGIN;
+      fields.village_id = {
+        value: best.id,
+        confidence: best.score,
+        needs_confirmation: best.score < CONFIRM_CONFIDENCE || !clearWinner
+      };
+      if (fields.village_id.needs_confirmation) {
+        fields.village_id.reason = clearWinner ? 'Closest village is a weak match' : 'Several villages match';
+      }
+    }
+
+    fields.geom = {
+      value: null,
+      confidence: null,
+      needs_confirmation: true,
+      reason: 'Draw or upload the claim boundary'
+    };
+
+    return {
+      ocr_result_id: ocrResultId,
+      draft: {
+        claimant_name: fields.claimant_name.value === null ? null : String(fields.claimant_name.value),
+        village_id: best ? best.id : null,
+        geom: null,
+        ocr_result_id: ocrResultId
+      },
+      fields,
+      village_candidates: candidates,
+      fields_to_confirm: Object.keys(fields).filter((name) => fields[name].needs_confirmation)
+    };
+  }
+}
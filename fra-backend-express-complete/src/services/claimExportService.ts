@@ -0,0 +1,177 @@
+import QueryStream from 'pg-query-stream';
+import shpwrite from '@mapbox/shp-write';
+import { pool } from '../db/pool';
+import { ClaimFilters, buildClaimFilterConditions } from './claimFilters';
+
+export type ExportFormat = 'geojson' | 'kml' | 'csv' | 'shp';
+export type CsvGeometry = 'wkt' | 'centroid' | 'both';
+
+export const EXPORT_FORMATS: Record<ExportFormat, { contentType: string; extension: string }> = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  shp: { contentType: 'application/zip', extension: 'zip' }
+};
+
+const CSV_COLUMNS = [
+  'id', 'claim_type', 'claimant_name', 'village_id', 'village_name', 'district', 'state', 'status', 'area_ha', 'created_at'
+];
+
+function escapeXml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function attributes(row: any) {
+  return {
+    id: row.id,
+    claim_type: row.claim_type,
+    claimant_name: row.claimant_name,
+    village_id: row.village_id,
+    village_name: row.village_name,
+    district: row.district,
+    state: row.state,
+    status: row.status,
+    area_ha: row.area_ha === null ? null : Math.round(parseFloat(row.area_ha) * 10000) / 10000,
+    created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+  };
+}
+
+export class ClaimExportService {
+  /**
+   * Stream the filtered claims from the database in batches rather than loading
+   * the whole result set. The connection is released when iteration ends or stops early.
+   */
+  private async *streamRows(filters: ClaimFilters, geometrySql: string): AsyncGenerator<any> {
+    const params: any[] = [];
+    const conditions = buildClaimFilterConditions(filters, params);
+    const query = `
+      SELECT c.id, c.claim_type, c.claimant_name, c.village_id, v.name AS village_name, v.district, v.state,
+             c.status, c.created_at,
+             ST_Area(c.geom::geography) / 10000 AS area_ha,
+             ${geometrySql}
+      FROM claims c
+      LEFT JOIN villages v ON c.village_id = v.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.created_at DESC, c.id DESC
+    `;
+
+    const client = await pool.connect();
+    const stream = client.query(new QueryStream(query, params, { batchSize: 500 }));
+    let finished = false;
+
+    try {
+      for await (const row of stream) {
+        yield row;
+      }
+      finished = true;
+    } finally {
+      stream.destroy();
+      // A half-read cursor leaves the connection mid-query, so discard it instead of reusing it
+      client.release(!finished);
+    }
+  }
+
+  async *geojson(filters: ClaimFilters): AsyncGenerator<string> {
+    yield '{"type":"FeatureCollection","features":[';
+    let first = true;
+
+    for await (const row of this.streamRows(filters, 'ST_AsGeoJSON(c.geom, 7) AS geometry')) {
+      const feature = {
+        type: 'Feature',
+        id: row.id,
+        properties: attributes(row),
+        geometry: JSON.parse(row.geometry)
+      };
+      yield (first ? '' : ',') + JSON.stringify(feature);
+      first = false;
+    }
+
+    yield ']}';
+  }
+
+  async *kml(filters: ClaimFilters): AsyncGenerator<string> {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>FRA Claims</name>\n';
+
+    for await (const row of this.streamRows(filters, 'ST_AsKML(c.geom, 7) AS kml')) {
+      const data = Object.entries(attributes(row))
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      yield `<Placemark id="${escapeXml(row.id)}"><name>${escapeXml(row.claimant_name)}</name>` +
+        `<ExtendedData>${data}</ExtendedData>${row.kml}</Placemark>\n`;
+    }
+
+    yield '</Document>\n</kml>\n';
+  }
+
+  async *csv(filters: ClaimFilters, geometry: CsvGeometry = 'both'): AsyncGenerator<string> {
+    const withCentroid = geometry !== 'wkt';
+    const withWkt = geometry !== 'centroid';
+    const header = [
+      ...CSV_COLUMNS,
+      ...(withCentroid ? ['centroid_lon', 'centroid_lat'] : []),
+      ...(withWkt ? ['wkt'] : [])
+    ];
+    yield header.join(',') + '\r\n';
+
+    const geometrySql = `
+      ST_X(ST_Centroid(c.geom)) AS centroid_lon,
+      ST_Y(ST_Centroid(c.geom)) AS centroid_lat,
+      ${withWkt ? 'ST_AsText(c.geom)' : 'NULL'} AS wkt`;
+
+    for await (const row of this.streamRows(filters, geometrySql)) {
+      const attrs: Record<string, any> = attributes(row);
+      const values = [
+        ...CSV_COLUMNS.map((column) => attrs[column]),
+        ...(withCentroid ? [row.centroid_lon, row.centroid_lat] : []),
+        ...(withWkt ? [row.wkt] : [])
+      ];
+      yield values.map(escapeCsv).join(',') + '\r\n';
+    }
+  }
+
+  /**
+   * Build a zipped Shapefile. The format needs record counts and extents in its
+   * headers, so unlike the other formats it is assembled in memory.
+   * DBF field names are limited to 10 characters, hence the short attribute names.
+   */
+  async shapefile(filters: ClaimFilters): Promise<Buffer> {
+    const features = [];
+
+    for await (const row of this.streamRows(filters, 'ST_AsGeoJSON(c.geom, 7) AS geometry')) {
+      const attrs = attributes(row);
+      features.push({
+        type: 'Feature',
+        properties: {
+          claim_id: attrs.id,
+          claim_type: attrs.claim_type,
+          claimant: attrs.claimant_name,
+          village_id: attrs.village_id,
+          village: attrs.village_name,
+          district: attrs.district,
+          state: attrs.state,
+          status: attrs.status,
+          area_ha: attrs.area_ha,
+          created: attrs.created_at
+        },
+        geometry: JSON.parse(row.geometry)
+      });
+    }
+
+    return shpwrite.zip<'nodebuffer'>(
+      { type: 'FeatureCollection', features } as any,
+      { outputType: 'nodebuffer', compression: 'DEFLATE', types: { polygon: 'fra_claims' } }
+    );
+  }
+}
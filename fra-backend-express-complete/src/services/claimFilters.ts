@@ -0,0 +1,263 @@
+import { CLAIM_STATUSES, ClaimStatus, isClaimStatus } from './claimStatusService';
+import { CLAIM_TYPES, ClaimType, isClaimType } from './claimTypes';
+
+export const DEFAULT_CLAIMS_LIMIT = 500;
+export const MAX_CLAIMS_LIMIT = 5000;
+
+export interface ClaimFilters {
+  bbox?: [number, number, number, number];
+  status?: ClaimStatus[];
+  claim_type?: ClaimType[];
+  village_id?: number;
+  district?: string;
+  state?: string;
+  // A state, district or subdistrict from admin_units
+  admin_unit_id?: number;
+  year?: number;
+  created_from?: string;
+  created_to?: string;
+  intersects?: Record<string, any>;
+  near?: { lat: number; lon: number; radius_m: number };
+}
+
+export interface ClaimPagination {
+  limit: number;
+  offset: number;
+  cursor?: { created_at: string; id: string };
+}
+
+export type ParseResult<T> = { ok: true; value: T } | { ok: false; error: string };
+
+function parseNumberList(value: string, expected: number): number[] | null {
+  const parts = value.split(',').map((p) => Number(p.trim()));
+  if (parts.length !== expected || parts.some((n) => !Number.isFinite(n))) {
+    return null;
+  }
+  return parts;
+}
+
+/**
+ * Parse the filter query parameters shared by the claim list and export endpoints
+ */
+export function parseClaimFilters(query: Record<string, any>): ParseResult<ClaimFilters> {
+  const filters: ClaimFilters = {};
+
+  if (query.bbox) {
+    const bbox = parseNumberList(String(query.bbox), 4);
+    if (!bbox || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+      return { ok: false, error: 'Invalid bbox: expected minLon,minLat,maxLon,maxLat' };
+    }
+    filters.bbox = bbox as [number, number, number, number];
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((s) => s.trim());
+    const invalid = statuses.filter((s) => !isClaimStatus(s));
+    if (invalid.length > 0) {
+      return {
+        ok: false,
+        error: `Invalid status '${invalid.join(', ')}'. Must be one of: ${CLAIM_STATUSES.join(', ')}`
+      };
+    }
+    filters.status = statuses as ClaimStatus[];
+  }
+
+  if (query.claim_type) {
+    const types = String(query.claim_type).split(',').map((t) => t.trim().toUpperCase());
+    const invalid = types.filter((t) => !isClaimType(t));
+    if (invalid.length > 0) {
+      return {
+        ok: false,
+        error: `Invalid claim_type '${invalid.join(', ')}'. Must be one of: ${CLAIM_TYPES.join(', ')}`
+      };
+    }
+    filters.claim_type = types as ClaimType[];
+  }
+
+  if (query.village_id) {
+    const villageId = parseInt(String(query.village_id), 10);
+    if (isNaN(villageId)) {
+      return { ok: false, error: 'Invalid village_id' };
+    }
+    filters.village_id = villageId;
+  }
+
+  if (query.district) filters.district = String(query.district);
+  if (query.state) filters.state = String(query.state);
+
+  if (query.admin_unit_id) {
+    const unitId = parseInt(String(query.admin_unit_id), 10);
+    if (isNaN(unitId)) {
+      return { ok: false, error: 'Invalid admin_unit_id' };
+    }
+    filters.admin_unit_id = unitId;
+  }
+
+  if (query.year) {
+    const year = Number(query.year);
+    if (!Number.isInteger(year) || year < 2006 || year > 9999) {
+      return { ok: false, error: 'Invalid year: claims under the FRA date from 2006 onwards' };
+    }
+    filters.year = year;
+  }
+
+  for (const key of ['created_from', 'created_to'] as const) {
+    if (query[key]) {
+      if (isNaN(Date.parse(String(query[key])))) {
+        return { ok: false, error: `Invalid ${key}: expected an ISO 8601 date` };
+      }
+      filters[key] = String(query[key]);
+    }
+  }
+
+  if (query.intersects) {
+    try {
+      const geometry = typeof query.intersects === 'string' ? JSON.parse(query.intersects) : query.intersects;
+      if (!geometry || !geometry.type || !Array.isArray(geometry.coordinates)) {
+        throw new Error('not a geometry');
+      }
+      filters.intersects = geometry;
+    } catch {
+      return { ok: false, error: 'Invalid intersects: expected a GeoJSON geometry' };
+    }
+  }
+
+  if (query.near) {
+    const point = parseNumberList(String(query.near), 2);
+    const radius = Number(query.radius_m);
+    if (!point || Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+      return { ok: false, error: 'Invalid near: expected lat,lon' };
+    }
+    if (!Number.isFinite(radius) || radius <= 0) {
+      return { ok: false, error: 'near requires a positive radius_m' };
+    }
+    filters.near = { lat: point[0], lon: point[1], radius_m: radius };
+  }
+
+  return { ok: true, value: filters };
+}
+
+/**
+ * Parse limit/offset or cursor pagination parameters
+ */
+export function parseClaimPagination(query: Record<string, any>): ParseResult<ClaimPagination> {
+  const limit = query.limit !== undefined ? parseInt(String(query.limit), 10) : DEFAULT_CLAIMS_LIMIT;
+  const offset = query.offset !== undefined ? parseInt(String(query.offset), 10) : 0;
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_CLAIMS_LIMIT) {
+    return { ok: false, error: `Invalid limit: must be between 1 and ${MAX_CLAIMS_LIMIT}` };
+  }
+  if (isNaN(offset) || offset < 0) {
+    return { ok: false, error: 'Invalid offset' };
+  }
+
+  const pagination: ClaimPagination = { limit, offset };
+
+  if (query.cursor) {
+    const [createdAt, id] = Buffer.from(String(query.cursor), 'base64url').toString('utf8').split('|');
+    if (!createdAt || !id || isNaN(Date.parse(createdAt))) {
+      return { ok: false, error: 'Invalid cursor' };
+    }
+    pagination.cursor = { created_at: createdAt, id };
+  }
+
+  return { ok: true, value: pagination };
+}
+
+export function encodeClaimCursor(createdAt: string, id: string): string {
+  return Buffer.from(`${createdAt}|${id}`, 'utf8').toString('base64url');
+}
+
+/**
+ * Build the WHERE conditions for a set of filters. Claims are aliased `c` and
+ * villages `v`; spatial filters are written so the GIST index on claims.geom is used.
+ */
+export function buildClaimFilterConditions(filters: ClaimFilters, params: any[]): string[] {
+  const conditions = ['c.deleted_at IS NULL'];
+  const param = (value: any) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = filters.bbox;
+    conditions.push(
+      `c.geom && ST_MakeEnvelope(${param(minLon)}, ${param(minLat)}, ${param(maxLon)}, ${param(maxLat)}, 4326)`
+    );
+  }
+
+  if (filters.status) {
+    conditions.push(`c.status::text = ANY(${param(filters.status)})`);
+  }
+
+  if (filters.claim_type) {
+    conditions.push(`c.claim_type::text = ANY(${param(filters.claim_type)})`);
+  }
+
+  if (filters.village_id !== undefined) {
+    conditions.push(`c.village_id = ${param(filters.village_id)}`);
+  }
+
+  // By the village's district and state or the admin units the claim lies in. Names match
+  // exactly but case-insensitively; ILIKE would treat `%` and `_` in them as wildcards.
+  if (filters.district) {
+    const district = param(filters.district);
+    conditions.push(
+      `(lower(v.district) = lower(${district}) OR c.district_unit_id IN (
+         SELECT id FROM admin_units WHERE level = 'district' AND lower(name) = lower(${district})))`
+    );
+  }
+
+  if (filters.state) {
+    const state = param(filters.state);
+    conditions.push(
+      `(lower(v.state) = lower(${state}) OR c.district_unit_id IN (
+         SELECT d.id FROM admin_units d JOIN admin_units s ON s.id = d.parent_id
+         WHERE s.level = 'state' AND lower(s.name) = lower(${state})))`
+    );
+  }
+
+  if (filters.admin_unit_id !== undefined) {
+    const unit = param(filters.admin_unit_id);
+    conditions.push(
+      `(c.subdistrict_unit_id = ${unit} OR c.district_unit_id = ${unit}
+        OR c.district_unit_id IN (SELECT id FROM admin_units WHERE parent_id = ${unit}))`
+    );
+  }
+
+  if (filters.year !== undefined) {
+    const year = param(filters.year);
+    conditions.push(`c.created_at >= make_date(${year}, 1, 1) AND c.created_at < make_date(${year} + 1, 1, 1)`);
+  }
+
+  if (filters.created_from) {
+    conditions.push(`c.created_at >= ${param(filters.created_from)}`);
+  }
+
+  // A date without a time includes the whole of that day
+  if (filters.created_to) {
+    conditions.push(
+      /^\d{4}-\d{2}-\d{2}$/.test(filters.created_to)
+        ? `c.created_at < ${param(filters.created_to)}::date + 1`
+        : `c.created_at <= ${param(filters.created_to)}`
+    );
+  }
+
+  if (filters.intersects) {
+    conditions.push(`ST_Intersects(c.geom, ST_GeomFromGeoJSON(${param(JSON.stringify(filters.intersects))}))`);
+  }
+
+  if (filters.near) {
+    const lat = param(filters.near.lat);
+    const lon = param(filters.near.lon);
+    const radius = param(filters.near.radius_m);
+    const point = `ST_SetSRID(ST_MakePoint(${lon}, ${lat}), 4326)`;
+    // The degree-based envelope lets the index prune candidates before the exact geodesic test
+    conditions.push(
+      `c.geom && ST_Expand(${point}, ${radius} / (111320 * GREATEST(cos(radians(${lat})), 0.01)), ${radius} / 110574.0)`
+    );
+    conditions.push(`ST_DWithin(c.geom::geography, ${point}::geography, ${radius})`);
+  }
+
+  return conditions;
+}
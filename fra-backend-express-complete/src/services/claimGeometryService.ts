@@ -0,0 +1,196 @@
+import { pool } from '../db/pool';
+
+// Below this a parcel is a sliver or a digitising mistake; above it, almost certainly wrong units
+export const MIN_CLAIM_AREA_HA = Number(process.env.CLAIM_MIN_AREA_HA || 0.001);
+export const MAX_CLAIM_AREA_HA = Number(process.env.CLAIM_MAX_AREA_HA || 50000);
+
+export interface GeometryIssue {
+  reason: string;
+  location?: Record<string, any> | null;
+}
+
+export type GeometryValidationResult =
+  | {
+      ok: true;
+      geometry: Record<string, any>;
+      area_ha: number;
+      repaired: boolean;
+      repairs: string[];
+    }
+  | {
+      ok: false;
+      error: string;
+      details: GeometryIssue[];
+      hint?: string;
+    };
+
+const REPAIR_HINT = 'Retry with ?repair=true to apply ST_MakeValid';
+
+function samePosition(a: number[], b: number[]): boolean {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+export class ClaimGeometryService {
+  /**
+   * Check the GeoJSON structure before it reaches PostGIS. Unclosed rings are
+   * closed when `repair` is set, since ST_GeomFromGeoJSON cannot parse them.
+   */
+  private checkStructure(
+    geom: any,
+    repair: boolean
+  ): { geometry: Record<string, any>; issues: GeometryIssue[]; repairs: string[] } {
+    const issues: GeometryIssue[] = [];
+    const repairs: string[] = [];
+
+    if (!geom || typeof geom !== 'object' || !geom.type || !geom.coordinates) {
+      issues.push({ reason: "geom must have 'type' and 'coordinates' properties" });
+      return { geometry: geom, issues, repairs };
+    }
+
+    if (geom.type !== 'Polygon' && geom.type !== 'MultiPolygon') {
+      issues.push({ reason: `Unsupported geometry type '${geom.type}': expected Polygon or MultiPolygon` });
+      return { geometry: geom, issues, repairs };
+    }
+
+    if (!Array.isArray(geom.coordinates) || geom.coordinates.length === 0) {
+      issues.push({ reason: 'coordinates must be a non-empty array' });
+      return { geometry: geom, issues, repairs };
+    }
+
+    const polygons: any[] = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+    const checked = polygons.map((rings, p) => {
+      if (!Array.isArray(rings) || rings.length === 0 || !rings.every(Array.isArray)) {
+        issues.push({ reason: `Polygon ${p + 1}: coordinates must be an array of rings` });
+        return rings;
+      }
+
+      return rings.map((ring: any[], r: number) => {
+        const label = `Polygon ${p + 1}, ring ${r + 1}`;
+        const badPosition = ring.find((pos) =>
+          !Array.isArray(pos) || pos.length < 2 ||
+          !Number.isFinite(pos[0]) || !Number.isFinite(pos[1]) ||
+          Math.abs(pos[0]) > 180 || Math.abs(pos[1]) > 90
+        );
+        if (badPosition !== undefined) {
+          issues.push({ reason: `${label}: invalid position ${JSON.stringify(badPosition)}, expected [lon, lat] in WGS84` });
+          return ring;
+        }
+
+        let closed = ring;
+        if (ring.length > 0 && !samePosition(ring[0], ring[ring.length - 1])) {
+          if (repair) {
+            closed = [...ring, ring[0]];
+            repairs.push(`${label}: closed ring`);
+          } else {
+            issues.push({ reason: `${label}: ring is not closed (first and last positions differ)` });
+            return ring;
+          }
+        }
+
+        if (closed.length < 4) {
+          issues.push({ reason: `${label}: a ring needs at least 4 positions, got ${closed.length}` });
+        }
+        return closed;
+      });
+    });
+
+    const geometry = geom.type === 'Polygon'
+      ? { type: 'Polygon', coordinates: checked[0] }
+      : { type: 'MultiPolygon', coordinates: checked };
+
+    return { geometry, issues, repairs };
+  }
+
+  /**
+   * Validate a claim boundary and normalise it to a MultiPolygon.
+   * Invalid geometries are reported with ST_IsValidReason, or fixed with
+   * ST_MakeValid when `repair` is requested. `maxAreaHa` raises the size limit
+   * for boundaries larger than a claim, such as villages.
+   */
+  async validate(
+    geom: any,
+    options: { repair?: boolean; maxAreaHa?: number } = {}
+  ): Promise<GeometryValidationResult> {
+    const repair = options.repair === true;
+    const maxAreaHa = options.maxAreaHa ?? MAX_CLAIM_AREA_HA;
+    const structure = this.checkStructure(geom, repair);
+
+    if (structure.issues.length > 0) {
+      return {
+        ok: false,
+        error: 'Invalid geometry',
+        details: structure.issues,
+        hint: repair ? undefined : REPAIR_HINT
+      };
+    }
+
+    let row;
+    try {
+      const result = await pool.query(
+        `WITH input AS (
+           SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS g
+         ), checked AS (
+           SELECT g,
+                  ST_IsValid(g) AS valid,
+                  ST_IsValidReason(g) AS reason,
+                  ST_AsGeoJSON((ST_IsValidDetail(g)).location)::json AS location,
+                  CASE WHEN ST_IsValid(g) THEN ST_Multi(g)
+                       ELSE ST_Multi(ST_CollectionExtract(ST_MakeValid(g), 3))
+                  END AS fixed
+           FROM input
+         )
+         SELECT valid, reason, location,
+                ST_IsEmpty(fixed) AS empty,
+                ST_AsGeoJSON(fixed)::json AS geometry,
+                ST_Area(fixed::geography) / 10000 AS area_ha
+         FROM checked`,
+        [JSON.stringify(structure.geometry)]
+      );
+      row = result.rows[0];
+    } catch (error: any) {
+      // PostGIS parse errors surface as internal errors; anything else is not a geometry problem
+      if (error && error.code === 'XX000') {
+        return { ok: false, error: 'Invalid geometry', details: [{ reason: error.message }] };
+      }
+      throw error;
+    }
+
+    const repairs = [...structure.repairs];
+    if (!row.valid) {
+      if (!repair) {
+        return {
+          ok: false,
+          error: 'Invalid geometry',
+          details: [{ reason: row.reason, location: row.location }],
+          hint: REPAIR_HINT
+        };
+      }
+      repairs.push(`ST_MakeValid: ${row.reason}`);
+    }
+
+    const areaHa = parseFloat(row.area_ha);
+    if (row.empty || !(areaHa >= MIN_CLAIM_AREA_HA)) {
+      return {
+        ok: false,
+        error: 'Degenerate geometry',
+        details: [{ reason: `Area ${areaHa || 0} ha is below the minimum of ${MIN_CLAIM_AREA_HA} ha` }]
+      };
+    }
+
+    if (areaHa > maxAreaHa) {
+      return {
+        ok: false,
+        error: 'Implausibly large geometry',
+        details: [{ reason: `Area ${areaHa.toFixed(2)} ha exceeds the maximum of ${maxAreaHa} ha` }]
+      };
+    }
+
+    return {
+      ok: true,
+      geometry: row.geometry,
+      area_ha: areaHa,
+      repaired: repairs.length > 0,
+      repairs
+    };
+  }
+}
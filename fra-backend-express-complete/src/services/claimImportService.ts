@@ -0,0 +1,360 @@
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { DOMParser } from '@xmldom/xmldom';
+import { kml } from '@tmcw/togeojson';
+import * as shapefile from 'shapefile';
+import { pool } from '../db/pool';
+import { ClaimGeometryService } from './claimGeometryService';
+import { ClaimsService, CreatedClaim } from './claimsService';
+import { ClaimStatus, isClaimStatus } from './claimStatusService';
+import { DuplicateCandidate } from './claimantService';
+import { CLAIM_TYPES, ClaimType, isClaimType, parseList, validateClaimType } from './claimTypes';
+import { VillageService } from './villageService';
+
+export type ImportFormat = 'geojson' | 'kml' | 'shapefile';
+
+export const MAX_IMPORT_FEATURES = 5000;
+
+export interface ImportFieldMapping {
+  claimant_name: string;
+  village_id: string;
+  village_name: string;
+  district: string;
+  status: string;
+  father_husband_name: string;
+  category: string;
+  claim_type: string;
+  land_use: string;
+  rights_claimed: string;
+}
+
+export const DEFAULT_IMPORT_MAPPING: ImportFieldMapping = {
+  claimant_name: 'claimant_name',
+  village_id: 'village_id',
+  village_name: 'village_name',
+  district: 'district',
+  status: 'status',
+  father_husband_name: 'father_husband_name',
+  category: 'category',
+  claim_type: 'claim_type',
+  land_use: 'land_use',
+  rights_claimed: 'rights_claimed'
+};
+
+export interface ImportOptions {
+  mapping: ImportFieldMapping;
+  dryRun: boolean;
+  repair: boolean;
+  actor: string;
+}
+
+export type ImportOutcome = 'accepted' | 'rejected' | 'conflicting';
+
+export interface ImportRowReport {
+  index: number;
+  feature_id?: string | number;
+  outcome: ImportOutcome;
+  claim_id?: string;
+  claimant_name?: string;
+  village_id?: number;
+  claim_type?: ClaimType;
+  status?: ClaimStatus;
+  area_ha?: number;
+  errors?: string[];
+  repairs?: string[];
+  conflicts?: {
+    conflicting_claim_id: string | null;
+    forest_id: number | null;
+    overlap_area_ha: number;
+    overlap_pct: number;
+  }[];
+  duplicates?: DuplicateCandidate[];
+  // Forests that allow claims, such as tiger reserve buffer zones
+  forest_warnings?: CreatedClaim['forest_warnings'];
+}
+
+export interface ImportReport {
+  dryRun: boolean;
+  format: ImportFormat;
+  total: number;
+  accepted: number;
+  rejected: number;
+  conflicting: number;
+  // Rows whose claimant looks like an already registered one
+  duplicates: number;
+  rows: ImportRowReport[];
+}
+
+export class ClaimImportService {
+  private claimsService = new ClaimsService();
+  private claimGeometryService = new ClaimGeometryService();
+  private villageService = new VillageService();
+
+  /**
+   * Work out the file format from an explicit hint or the file extension
+   */
+  detectFormat(filename: string, hint?: string): ImportFormat | null {
+    const value = (hint || path.extname(filename).slice(1)).toLowerCase();
+    if (value === 'geojson' || value === 'json') return 'geojson';
+    if (value === 'kml') return 'kml';
+    if (value === 'shapefile' || value === 'shp' || value === 'zip') return 'shapefile';
+    return null;
+  }
+
+  /**
+   * Read the features of an uploaded file
+   */
+  async parseFeatures(buffer: Buffer, format: ImportFormat): Promise<any[]> {
+    switch (format) {
+      case 'geojson':
+        return this.featuresOf(JSON.parse(buffer.toString('utf8')));
+      case 'kml': {
+        const doc = new DOMParser().parseFromString(buffer.toString('utf8'), 'text/xml');
+        return kml(doc as any).features;
+      }
+      case 'shapefile':
+        return this.parseZippedShapefile(buffer);
+    }
+  }
+
+  /**
+   * The features of a parsed GeoJSON Feature or FeatureCollection
+   */
+  featuresOf(geojson: any): any[] {
+    if (geojson?.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+      return geojson.features;
+    }
+    if (geojson?.type === 'Feature') {
+      return [geojson];
+    }
+    throw new Error('GeoJSON must be a Feature or FeatureCollection');
+  }
+
+  private async parseZippedShapefile(buffer: Buffer): Promise<any[]> {
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries().filter((e) => !e.isDirectory && !e.entryName.startsWith('__MACOSX'));
+    const byName = new Map(entries.map((e) => [e.entryName.toLowerCase(), e]));
+    const layers = entries.filter((e) => e.entryName.toLowerCase().endsWith('.shp'));
+
+    if (layers.length === 0) {
+      throw new Error('Zip archive does not contain a .shp file');
+    }
+
+    const features: any[] = [];
+    for (const layer of layers) {
+      const base = layer.entryName.toLowerCase().slice(0, -4);
+      const dbf = byName.get(`${base}.dbf`);
+      const prj = byName.get(`${base}.prj`);
+      const cpg = byName.get(`${base}.cpg`);
+
+      // Coordinates are stored as-is, so anything but geographic WGS84 would land in the wrong place
+      if (prj) {
+        const wkt = prj.getData().toString('utf8');
+        if (/^\s*PROJCS/i.test(wkt) || (/GEOGCS/i.test(wkt) && !/WGS[\s_]*84/i.test(wkt))) {
+          throw new Error(`${layer.entryName} is not in WGS84 (EPSG:4326); reproject it before importing`);
+        }
+      }
+
+      const collection = await shapefile.read(
+        layer.getData(),
+        dbf ? dbf.getData() : undefined,
+        { encoding: cpg ? cpg.getData().toString('utf8').trim() : 'utf-8' }
+      );
+      features.push(...collection.features);
+    }
+
+    return features;
+  }
+
+  /**
+   * Look up village ids by name (and district when given), case-insensitively
+   */
+  private async resolveVillageId(name: string, district?: string): Promise<number | null> {
+    const result = await pool.query(
+      `SELECT id FROM villages
+       WHERE lower(name) = lower($1)
+         AND ($2::text IS NULL OR lower(district) = lower($2))
+       ORDER BY id
+       LIMIT 2`,
+      [name.trim(), district ? district.trim() : null]
+    );
+    return result.rows.length === 1 ? result.rows[0].id : null;
+  }
+
+  /**
+   * Validate and insert each feature inside one transaction. Every feature gets
+   * its own savepoint so a failing row does not discard the others; a dry run
+   * rolls the whole transaction back after the report is built, which still
+   * catches overlaps between features of the same file.
+   */
+  async importFeatures(features: any[], format: ImportFormat, options: ImportOptions): Promise<ImportReport> {
+    const { mapping } = options;
+    const rows: ImportRowReport[] = [];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (let index = 0; index < features.length; index++) {
+        const feature = features[index];
+        const props = feature?.properties || {};
+        const row: ImportRowReport = { index, outcome: 'rejected' };
+        const errors: string[] = [];
+        if (feature?.id !== undefined) row.feature_id = feature.id;
+        rows.push(row);
+
+        const claimantName = props[mapping.claimant_name];
+        if (!claimantName || !String(claimantName).trim()) {
+          errors.push(`Missing claimant name (property '${mapping.claimant_name}')`);
+        } else {
+          row.claimant_name = String(claimantName).trim();
+        }
+
+        let villageId: number | null = null;
+        if (props[mapping.village_id] !== undefined && props[mapping.village_id] !== null) {
+          villageId = parseInt(String(props[mapping.village_id]), 10);
+          if (isNaN(villageId)) {
+            errors.push(`Invalid village id '${props[mapping.village_id]}'`);
+            villageId = null;
+          }
+        } else if (props[mapping.village_name]) {
+          villageId = await this.resolveVillageId(String(props[mapping.village_name]), props[mapping.district]);
+          if (villageId === null) {
+            errors.push(`Village '${props[mapping.village_name]}' not found or ambiguous`);
+          }
+        } else {
+          errors.push(`Missing village (property '${mapping.village_id}' or '${mapping.village_name}')`);
+        }
+        if (villageId !== null) row.village_id = villageId;
+
+        let status: ClaimStatus = 'submitted';
+        const rawStatus = props[mapping.status];
+        if (rawStatus !== undefined && rawStatus !== null && rawStatus !== '') {
+          const normalized = String(rawStatus).trim().toLowerCase();
+          if (isClaimStatus(normalized) && normalized !== 'disputed') {
+            status = normalized;
+          } else {
+            errors.push(`Invalid status '${rawStatus}'`);
+          }
+        }
+
+        const category = props[mapping.category] ? String(props[mapping.category]).trim().toUpperCase() : null;
+        if (category && category !== 'ST' && category !== 'OTFD') {
+          errors.push(`Invalid category '${props[mapping.category]}', expected ST or OTFD`);
+        }
+
+        let claimType: ClaimType = 'IFR';
+        const rawType = props[mapping.claim_type];
+        if (rawType !== undefined && rawType !== null && rawType !== '') {
+          const normalized = String(rawType).trim().toUpperCase();
+          if (isClaimType(normalized)) {
+            claimType = normalized;
+          } else {
+            errors.push(`Invalid claim type '${rawType}'. Must be one of: ${CLAIM_TYPES.join(', ')}`);
+          }
+        }
+        row.claim_type = claimType;
+        const landUse = parseList(props[mapping.land_use]);
+        const rightsClaimed = parseList(props[mapping.rights_claimed]);
+
+        const validation = await this.claimGeometryService.validate(feature?.geometry, { repair: options.repair });
+        if (!validation.ok) {
+          errors.push(...validation.details.map((d) => `${validation.error}: ${d.reason}`));
+        } else {
+          row.area_ha = validation.area_ha;
+          if (validation.repaired) row.repairs = validation.repairs;
+          errors.push(...validateClaimType({
+            claim_type: claimType,
+            land_use: landUse,
+            rights_claimed: rightsClaimed,
+            area_ha: validation.area_ha
+          }));
+
+          if (villageId !== null) {
+            const check = await this.villageService.checkClaimBoundary(validation.geometry, villageId, client);
+            if (check.status === 'village_not_found') {
+              errors.push(`Village ${villageId} not found`);
+            } else if (check.status === 'outside') {
+              errors.push(
+                `Claim lies outside the boundary of village ${check.village_name} ` +
+                `(${check.outside_pct}% outside, ${check.distance_m} m away)`
+              );
+            }
+          }
+        }
+
+        if (errors.length > 0 || !validation.ok) {
+          row.errors = errors;
+          continue;
+        }
+
+        try {
+          await client.query('SAVEPOINT import_feature');
+          const { claim, disputes, duplicates, forest_warnings } = await this.claimsService.createClaim(
+            {
+              claimant_name: row.claimant_name!,
+              claimant: {
+                father_husband_name: props[mapping.father_husband_name]
+                  ? String(props[mapping.father_husband_name]).trim()
+                  : null,
+                category: category as 'ST' | 'OTFD' | null
+              },
+              claim_type: claimType,
+              land_use: landUse,
+              rights_claimed: rightsClaimed,
+              village_id: villageId!,
+              geom: validation.geometry,
+              actor: options.actor,
+              status,
+              reason: `Imported from ${format}`
+            },
+            client
+          );
+          await client.query('RELEASE SAVEPOINT import_feature');
+
+          row.claim_id = claim.id;
+          row.status = claim.status;
+          if (duplicates.length > 0) row.duplicates = duplicates;
+          if (forest_warnings.length > 0) row.forest_warnings = forest_warnings;
+          if (disputes.length > 0) {
+            row.outcome = 'conflicting';
+            row.conflicts = disputes.map((d) => ({
+              conflicting_claim_id: d.conflicting_claim_id,
+              forest_id: d.forest_id,
+              overlap_area_ha: d.overlap_area_ha,
+              overlap_pct: d.overlap_pct
+            }));
+          } else {
+            row.outcome = 'accepted';
+          }
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_feature');
+          row.errors = [error instanceof Error ? error.message : 'Unknown error'];
+        }
+      }
+
+      await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Nothing was written on a dry run, so the generated ids are meaningless
+    if (options.dryRun) {
+      rows.forEach((row) => delete row.claim_id);
+    }
+
+    return {
+      dryRun: options.dryRun,
+      format,
+      total: rows.length,
+      accepted: rows.filter((r) => r.outcome === 'accepted').length,
+      rejected: rows.filter((r) => r.outcome === 'rejected').length,
+      conflicting: rows.filter((r) => r.outcome === 'conflicting').length,
+      duplicates: rows.filter((r) => r.duplicates).length,
+      rows
+    };
+  }
+}
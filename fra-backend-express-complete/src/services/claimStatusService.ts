@@ -0,0 +1,194 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+
+export type ClaimStatus =
+  | 'pending'
+  | 'submitted'
+  | 'disputed'
+  | 'gram_sabha_verified'
+  | 'sdlc_verified'
+  | 'approved'
+  | 'rejected'
+  | 'remanded';
+
+export interface ClaimStatusHistoryEntry {
+  id: number;
+  claim_id: string;
+  from_status: ClaimStatus | null;
+  to_status: ClaimStatus;
+  actor: string;
+  reason?: string | null;
+  changed_at: Date;
+}
+
+export type ClaimTransitionResult =
+  | { outcome: 'not_found' }
+  | { outcome: 'illegal_transition'; from: ClaimStatus; allowed: ClaimStatus[] }
+  | { outcome: 'reserved'; from: ClaimStatus }
+  | { outcome: 'ok'; claim: Record<string, any>; history: ClaimStatusHistoryEntry };
+
+/**
+ * Allowed transitions of the FRA review process:
+ * submitted → Gram Sabha → SDLC → DLC decision (approved / rejected / remanded).
+ * `pending` is the status of claims filed before the lifecycle existed and
+ * behaves like `submitted`. `disputed` claims overlap existing land and re-enter
+ * the process once their disputes are resolved. Rejected claims only reopen
+ * through an upheld appeal (see `reopen`).
+ */
+export const CLAIM_TRANSITIONS: Record<ClaimStatus, ClaimStatus[]> = {
+  pending: ['gram_sabha_verified', 'rejected'],
+  submitted: ['gram_sabha_verified', 'rejected'],
+  disputed: ['submitted', 'rejected'],
+  gram_sabha_verified: ['sdlc_verified', 'remanded', 'rejected'],
+  sdlc_verified: ['approved', 'remanded', 'rejected'],
+  remanded: ['gram_sabha_verified', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+export const CLAIM_STATUSES = Object.keys(CLAIM_TRANSITIONS) as ClaimStatus[];
+
+export function isClaimStatus(value: unknown): value is ClaimStatus {
+  return typeof value === 'string' && CLAIM_STATUSES.includes(value as ClaimStatus);
+}
+
+export function canTransition(from: ClaimStatus, to: ClaimStatus): boolean {
+  return (CLAIM_TRANSITIONS[from] || []).includes(to);
+}
+
+export class ClaimStatusService {
+  /**
+   * Get the status history of a claim, oldest first
+   */
+  async getHistory(claimId: string): Promise<ClaimStatusHistoryEntry[]> {
+    const query = `
+      SELECT id, claim_id, from_status, to_status, actor, reason, changed_at
+      FROM claim_status_history
+      WHERE claim_id = $1
+      ORDER BY changed_at ASC, id ASC
+    `;
+
+    const result = await pool.query(query, [claimId]);
+    return result.rows;
+  }
+
+  /**
+   * Move a claim to a new status and record the change.
+   * The claim row is locked so concurrent transitions are validated in order.
+   * When `client` is given the change joins the caller's transaction.
+   */
+  async transition(
+    claimId: string,
+    toStatus: ClaimStatus,
+    actor: string,
+    reason?: string,
+    client?: PoolClient
+  ): Promise<ClaimTransitionResult> {
+    return this.applyInTransaction(client, (c) =>
+      this.applyTransition(c, claimId, toStatus, actor, reason, canTransition)
+    );
+  }
+
+  /**
+   * Like `transition`, but leaves moves for which `reserved` returns true to the
+   * workflow that owns them, such as committee recommendations
+   */
+  async transitionUnlessReserved(
+    claimId: string,
+    toStatus: ClaimStatus,
+    actor: string,
+    reason: string | undefined,
+    reserved: (from: ClaimStatus, to: ClaimStatus) => boolean
+  ): Promise<ClaimTransitionResult> {
+    return this.applyInTransaction(undefined, async (c) => {
+      const current = await c.query(
+        'SELECT status FROM claims WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [claimId]
+      );
+      if (current.rows.length > 0 && reserved(current.rows[0].status, toStatus)) {
+        return { outcome: 'reserved', from: current.rows[0].status };
+      }
+      return this.applyTransition(c, claimId, toStatus, actor, reason, canTransition);
+    });
+  }
+
+  /**
+   * Reopen a rejected claim at the given stage, outside the normal transition
+   * table. Only an upheld appeal does this.
+   */
+  async reopen(
+    claimId: string,
+    toStatus: ClaimStatus,
+    actor: string,
+    reason: string,
+    client?: PoolClient
+  ): Promise<ClaimTransitionResult> {
+    return this.applyInTransaction(client, (c) =>
+      this.applyTransition(c, claimId, toStatus, actor, reason, (from) => from === 'rejected')
+    );
+  }
+
+  private async applyInTransaction(
+    client: PoolClient | undefined,
+    apply: (client: PoolClient) => Promise<ClaimTransitionResult>
+  ): Promise<ClaimTransitionResult> {
+    if (client) {
+      return apply(client);
+    }
+
+    const own = await pool.connect();
+    try {
+      await own.query('BEGIN');
+      const result = await apply(own);
+      await own.query(result.outcome === 'ok' ? 'COMMIT' : 'ROLLBACK');
+      return result;
+    } catch (error) {
+      await own.query('ROLLBACK');
+      throw error;
+    } finally {
+      own.release();
+    }
+  }
+
+  private async applyTransition(
+    client: PoolClient,
+    claimId: string,
+    toStatus: ClaimStatus,
+    actor: string,
+    reason: string | undefined,
+    permitted: (from: ClaimStatus, to: ClaimStatus) => boolean
+  ): Promise<ClaimTransitionResult> {
+    const current = await client.query(
+      'SELECT status FROM claims WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [claimId]
+    );
+
+    if (current.rows.length === 0) {
+      return { outcome: 'not_found' };
+    }
+
+    const fromStatus: ClaimStatus = current.rows[0].status;
+    if (!permitted(fromStatus, toStatus)) {
+      return {
+        outcome: 'illegal_transition',
+        from: fromStatus,
+        allowed: CLAIM_TRANSITIONS[fromStatus] || []
+      };
+    }
+
+    const updated = await client.query(
+      `UPDATE claims SET status = $1 WHERE id = $2
+       RETURNING id, claimant_name, village_id, status, created_at, updated_at`,
+      [toStatus, claimId]
+    );
+
+    const history = await client.query(
+      `INSERT INTO claim_status_history (claim_id, from_status, to_status, actor, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, claim_id, from_status, to_status, actor, reason, changed_at`,
+      [claimId, fromStatus, toStatus, actor, reason || null]
+    );
+
+    return { outcome: 'ok', claim: updated.rows[0], history: history.rows[0] };
+  }
+}
@@ -0,0 +1,127 @@
+import { DocumentType } from './claimDocumentService';
+
+export type ClaimType = 'IFR' | 'CR' | 'CFR';
+
+export const IFR_LAND_USES = ['habitation', 'self_cultivation'] as const;
+
+// Community rights of Section 3(1)(b)-(l) of the Forest Rights Act
+export const COMMUNITY_RIGHTS = [
+  'nistar',
+  'minor_forest_produce',
+  'fishing',
+  'water_bodies',
+  'grazing',
+  'pastoralist_resources',
+  'habitat',
+  'biodiversity_access',
+  'traditional_rights',
+  'other'
+] as const;
+
+export interface ClaimTypeRules {
+  label: string;
+  form: DocumentType;
+  // Largest area the type may cover, or null for no type-specific ceiling
+  maxAreaHa: number | null;
+  requiredFields: ('land_use' | 'rights_claimed')[];
+  documentChecklist: DocumentType[];
+}
+
+export const CLAIM_TYPE_RULES: Record<ClaimType, ClaimTypeRules> = {
+  IFR: {
+    label: 'Individual Forest Rights',
+    form: 'form_a',
+    // Section 4(6): recognised individual land may not exceed 4 hectares
+    maxAreaHa: 4,
+    requiredFields: ['land_use'],
+    documentChecklist: ['form_a', 'identity_proof', 'evidence']
+  },
+  CR: {
+    label: 'Community Rights',
+    form: 'form_b',
+    maxAreaHa: null,
+    requiredFields: ['rights_claimed'],
+    documentChecklist: ['form_b', 'evidence']
+  },
+  CFR: {
+    label: 'Community Forest Resource',
+    form: 'form_c',
+    maxAreaHa: null,
+    requiredFields: [],
+    documentChecklist: ['form_c', 'gram_sabha_resolution', 'evidence']
+  }
+};
+
+export const CLAIM_TYPES = Object.keys(CLAIM_TYPE_RULES) as ClaimType[];
+
+export function isClaimType(value: unknown): value is ClaimType {
+  return typeof value === 'string' && CLAIM_TYPES.includes(value as ClaimType);
+}
+
+export interface ClaimTypeFields {
+  claim_type: ClaimType;
+  land_use?: string[] | null;
+  rights_claimed?: string[] | null;
+  area_ha?: number;
+}
+
+function listErrors(field: string, value: unknown, allowed: readonly string[], required: boolean): string[] {
+  if (value === undefined || value === null) {
+    return required ? [`${field} is required`] : [];
+  }
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+    return [`${field} must be an array of strings`];
+  }
+  if (required && value.length === 0) {
+    return [`${field} must not be empty`];
+  }
+  const invalid = value.filter((v) => !allowed.includes(v));
+  return invalid.length > 0
+    ? [`Invalid ${field} '${invalid.join(', ')}'. Must be among: ${allowed.join(', ')}`]
+    : [];
+}
+
+/**
+ * Check the type-specific fields and area ceiling of a claim.
+ * Fields that belong to another type are rejected rather than silently stored.
+ * With `areaOnly` just the ceiling is checked, for edits that only move the boundary
+ * of claims filed before types had required fields.
+ */
+export function validateClaimType(fields: ClaimTypeFields, areaOnly = false): string[] {
+  const rules = CLAIM_TYPE_RULES[fields.claim_type];
+  const errors: string[] = [];
+
+  if (!areaOnly) {
+    if (fields.claim_type === 'IFR') {
+      errors.push(...listErrors('land_use', fields.land_use, IFR_LAND_USES, true));
+    } else if (fields.land_use != null) {
+      errors.push('land_use only applies to IFR claims');
+    }
+
+    if (fields.claim_type === 'CR') {
+      errors.push(...listErrors('rights_claimed', fields.rights_claimed, COMMUNITY_RIGHTS, true));
+    } else if (fields.rights_claimed != null) {
+      errors.push('rights_claimed only applies to CR claims');
+    }
+  }
+
+  if (rules.maxAreaHa !== null && fields.area_ha !== undefined && fields.area_ha > rules.maxAreaHa) {
+    errors.push(
+      `${rules.label} claims may not exceed ${rules.maxAreaHa} ha (claimed ${fields.area_ha.toFixed(2)} ha)`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Accept a list either as an array or as a comma-separated string (query strings, GIS attributes)
+ */
+export function parseList(value: unknown): string[] | null | undefined {
+  if (value === undefined || value === null) return value as null | undefined;
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    return value.split(',').map((v) => v.trim()).filter(Boolean);
+  }
+  return value as any;
+}
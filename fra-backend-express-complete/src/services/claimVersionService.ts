@@ -0,0 +1,177 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+
+export type BoundaryKind = 'claimed' | 'amendment' | 'verified';
+
+export const AMENDMENT_KINDS: BoundaryKind[] = ['amendment', 'verified'];
+
+export interface ClaimGeometryVersion {
+  id: number;
+  claim_id: string;
+  version: number;
+  kind: BoundaryKind;
+  author: string;
+  reason: string | null;
+  created_at: Date;
+  area_ha: number;
+  geometry?: Record<string, any>;
+}
+
+export interface BoundaryDiff {
+  from: ClaimGeometryVersion;
+  to: ClaimGeometryVersion;
+  added_area_ha: number;
+  removed_area_ha: number;
+  net_change_ha: number;
+  // One feature per change ('added' / 'removed'), for styling on a map
+  changes: {
+    type: 'FeatureCollection';
+    features: {
+      type: 'Feature';
+      properties: { change: 'added' | 'removed'; area_ha: number };
+      geometry: Record<string, any>;
+    }[];
+  };
+}
+
+const VERSION_COLUMNS = `
+  id, claim_id, version, kind, author, reason, created_at,
+  ST_Area(geom::geography) / 10000 AS area_ha`;
+
+function toVersion(row: any): ClaimGeometryVersion {
+  return { ...row, area_ha: parseFloat(row.area_ha) };
+}
+
+export class ClaimVersionService {
+  /**
+   * Store the claim's current boundary as its next version, inside the caller's
+   * transaction. An amendment identical to the latest version is not stored
+   * again; a verification always is, since confirming a boundary is itself a record.
+   */
+  async recordVersion(
+    client: PoolClient,
+    claimId: string,
+    kind: BoundaryKind,
+    author: string,
+    reason?: string | null
+  ): Promise<ClaimGeometryVersion | null> {
+    const result = await client.query(
+      `WITH latest AS (
+         SELECT version, geom FROM claim_geometry_versions
+         WHERE claim_id = $1
+         ORDER BY version DESC
+         LIMIT 1
+       )
+       INSERT INTO claim_geometry_versions (claim_id, version, kind, geom, author, reason)
+       SELECT c.id, COALESCE((SELECT version FROM latest), 0) + 1, $2, c.geom, $3, $4
+       FROM claims c
+       WHERE c.id = $1
+         AND c.geom IS NOT NULL
+         AND ($2 = 'verified' OR NOT EXISTS (SELECT 1 FROM latest WHERE ST_Equals(latest.geom, c.geom)))
+       RETURNING ${VERSION_COLUMNS}`,
+      [claimId, kind, author, reason || null]
+    );
+    return result.rows[0] ? toVersion(result.rows[0]) : null;
+  }
+
+  /**
+   * List the boundary versions of a claim, oldest first
+   */
+  async listVersions(claimId: string, withGeometry: boolean): Promise<ClaimGeometryVersion[]> {
+    const result = await pool.query(
+      `SELECT ${VERSION_COLUMNS}${withGeometry ? ', ST_AsGeoJSON(geom)::json AS geometry' : ''}
+       FROM claim_geometry_versions
+       WHERE claim_id = $1
+       ORDER BY version ASC`,
+      [claimId]
+    );
+    return result.rows.map(toVersion);
+  }
+
+  /**
+   * Resolve a version reference: a version number, `claimed` (the boundary as
+   * filed), `verified` (the latest verified boundary) or `latest`
+   */
+  private async resolveVersion(claimId: string, ref: string): Promise<number | null> {
+    let condition: string;
+    let order = 'version DESC';
+    const params: any[] = [claimId];
+
+    if (/^\d+$/.test(ref)) {
+      params.push(parseInt(ref, 10));
+      condition = `version = $2`;
+    } else if (ref === 'claimed') {
+      condition = `kind = 'claimed'`;
+      order = 'version ASC';
+    } else if (ref === 'verified') {
+      condition = `kind = 'verified'`;
+    } else if (ref === 'latest') {
+      condition = 'TRUE';
+    } else {
+      return null;
+    }
+
+    const result = await pool.query(
+      `SELECT version FROM claim_geometry_versions
+       WHERE claim_id = $1 AND ${condition}
+       ORDER BY ${order}
+       LIMIT 1`,
+      params
+    );
+    return result.rows[0]?.version ?? null;
+  }
+
+  /**
+   * Compare two boundary versions. Returns the name of the reference that could
+   * not be resolved when either version does not exist.
+   */
+  async diff(claimId: string, fromRef: string, toRef: string): Promise<BoundaryDiff | { missing: string }> {
+    const from = await this.resolveVersion(claimId, fromRef);
+    if (from === null) return { missing: fromRef };
+    const to = await this.resolveVersion(claimId, toRef);
+    if (to === null) return { missing: toRef };
+
+    const result = await pool.query(
+      `WITH a AS (
+         SELECT * FROM claim_geometry_versions WHERE claim_id = $1 AND version = $2
+       ), b AS (
+         SELECT * FROM claim_geometry_versions WHERE claim_id = $1 AND version = $3
+       ), changes AS (
+         SELECT ST_CollectionExtract(ST_Difference(b.geom, a.geom), 3) AS added,
+                ST_CollectionExtract(ST_Difference(a.geom, b.geom), 3) AS removed
+         FROM a, b
+       )
+       SELECT (SELECT row_to_json(x) FROM (SELECT ${VERSION_COLUMNS} FROM a) x) AS from_version,
+              (SELECT row_to_json(x) FROM (SELECT ${VERSION_COLUMNS} FROM b) x) AS to_version,
+              ST_AsGeoJSON(added)::json AS added,
+              ST_AsGeoJSON(removed)::json AS removed,
+              ST_IsEmpty(added) AS added_empty,
+              ST_IsEmpty(removed) AS removed_empty,
+              COALESCE(ST_Area(added::geography) / 10000, 0) AS added_area_ha,
+              COALESCE(ST_Area(removed::geography) / 10000, 0) AS removed_area_ha
+       FROM changes`,
+      [claimId, from, to]
+    );
+
+    const row = result.rows[0];
+    const addedArea = parseFloat(row.added_area_ha);
+    const removedArea = parseFloat(row.removed_area_ha);
+
+    const features: BoundaryDiff['changes']['features'] = [];
+    if (!row.added_empty) {
+      features.push({ type: 'Feature', properties: { change: 'added', area_ha: addedArea }, geometry: row.added });
+    }
+    if (!row.removed_empty) {
+      features.push({ type: 'Feature', properties: { change: 'removed', area_ha: removedArea }, geometry: row.removed });
+    }
+
+    return {
+      from: toVersion(row.from_version),
+      to: toVersion(row.to_version),
+      added_area_ha: addedArea,
+      removed_area_ha: removedArea,
+      net_change_ha: addedArea - removedArea,
+      changes: { type: 'FeatureCollection', features }
+    };
+  }
+}
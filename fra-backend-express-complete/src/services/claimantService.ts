@@ -0,0 +1,443 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { nameKey } from './nameMatching';
+
+// Pairs scoring at least this are flagged for review as the same household
+export const DUPLICATE_THRESHOLD = Number(process.env.CLAIMANT_DUPLICATE_THRESHOLD || 0.75);
+
+export const CLAIMANT_CATEGORIES = ['ST', 'OTFD'] as const;
+export const DUPLICATE_STATUSES = ['open', 'confirmed', 'dismissed'] as const;
+
+export type DuplicateStatus = typeof DUPLICATE_STATUSES[number];
+
+export interface HouseholdMember {
+  name: string;
+  relation?: string;
+  age?: number;
+  gender?: string;
+}
+
+export interface ClaimantDetails {
+  name?: string;
+  father_husband_name?: string | null;
+  relation?: 'father' | 'husband' | null;
+  gender?: 'male' | 'female' | 'other' | null;
+  category?: 'ST' | 'OTFD' | null;
+  tribe_or_community?: string | null;
+  village_id?: number | null;
+  household_members?: HouseholdMember[];
+  identifiers?: Record<string, string>;
+}
+
+export interface DuplicateCandidate {
+  claimant_id: string;
+  name: string;
+  father_husband_name: string | null;
+  village_id: number | null;
+  score: number;
+  reasons: string[];
+}
+
+const CLAIMANT_COLUMNS = `
+  id, name, father_husband_name, relation, gender, category, tribe_or_community, village_id,
+  household_members, identifiers, created_at, updated_at`;
+
+/**
+ * Check claimant details from a request body. `requireName` is set when
+ * registering a claimant, where the name is mandatory.
+ */
+export function validateClaimantDetails(details: any, requireName: boolean): string[] {
+  const errors: string[] = [];
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return ['claimant must be an object'];
+  }
+
+  if (requireName && (!details.name || !String(details.name).trim())) {
+    errors.push('name is required');
+  }
+  if (details.relation != null && !['father', 'husband'].includes(details.relation)) {
+    errors.push("relation must be 'father' or 'husband'");
+  }
+  if (details.gender != null && !['male', 'female', 'other'].includes(details.gender)) {
+    errors.push("gender must be 'male', 'female' or 'other'");
+  }
+  if (details.category != null && !(CLAIMANT_CATEGORIES as readonly string[]).includes(details.category)) {
+    errors.push(`category must be one of: ${CLAIMANT_CATEGORIES.join(', ')}`);
+  }
+  if (details.village_id != null && !Number.isInteger(Number(details.village_id))) {
+    errors.push('village_id must be an integer');
+  }
+  if (details.household_members !== undefined) {
+    if (!Array.isArray(details.household_members) || details.household_members.some((m: any) => !m || !m.name)) {
+      errors.push('household_members must be an array of objects with a name');
+    }
+  }
+  if (details.identifiers !== undefined) {
+    const ids = details.identifiers;
+    if (!ids || typeof ids !== 'object' || Array.isArray(ids) ||
+        Object.values(ids).some((v) => typeof v !== 'string' && typeof v !== 'number')) {
+      errors.push('identifiers must be an object of identifier type to value');
+    }
+  }
+
+  return errors;
+}
+
+// Identifier values are compared exactly, so strip the formatting people type them with
+function normalizeIdentifiers(identifiers: Record<string, string> | undefined): Record<string, string> {
+  const normalized: Record<string, string> = {};
+  for (const [type, value] of Object.entries(identifiers || {})) {
+    const clean = String(value).replace(/[\s-]/g, '').toUpperCase();
+    if (clean) normalized[type.trim().toLowerCase()] = clean;
+  }
+  return normalized;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+export class ClaimantService {
+  /**
+   * Compute the name keys of claimants that have none yet (claimants created by
+   * the registry migration). Runs before every duplicate search and is a no-op
+   * once all keys exist.
+   */
+  private async fillMissingKeys(client: PoolClient): Promise<void> {
+    const missing = await client.query(
+      `SELECT id, name, father_husband_name FROM claimants WHERE name_key IS NULL LIMIT 5000;`
+    );
+
+    for (const row of missing.rows) {
+      await client.query(
+        `UPDATE claimants SET name_key = $2, father_key = $3 WHERE id = $1;`,
+        [row.id, nameKey(row.name) || '', nameKey(row.father_husband_name)]
+      );
+    }
+  }
+
+  /**
+   * Find claimants that are likely the same household as the given one: an
+   * identical identity document, or a similar name (and father/husband name)
+   * regardless of script or spelling. The same village raises the score.
+   */
+  async findDuplicates(client: PoolClient, claimantId: string): Promise<DuplicateCandidate[]> {
+    await this.fillMissingKeys(client);
+
+    const result = await client.query(
+      `WITH target AS (
+         SELECT * FROM claimants WHERE id = $1
+       )
+       SELECT c.id, c.name, c.father_husband_name, c.village_id,
+              similarity(c.name_key, t.name_key) AS name_score,
+              CASE WHEN t.father_key IS NULL OR c.father_key IS NULL THEN NULL
+                   ELSE similarity(c.father_key, t.father_key)
+              END AS father_score,
+              c.village_id IS NOT NULL AND c.village_id = t.village_id AS same_village,
+              ARRAY(
+                SELECT e.key FROM jsonb_each_text(c.identifiers) e
+                WHERE t.identifiers ->> e.key = e.value
+              ) AS shared_identifiers
+       FROM claimants c, target t
+       WHERE c.id <> t.id
+         AND (c.name_key % t.name_key
+              OR EXISTS (
+                SELECT 1 FROM jsonb_each_text(t.identifiers) n
+                WHERE c.identifiers ->> n.key = n.value
+              ))
+       ORDER BY name_score DESC
+       LIMIT 50;`,
+      [claimantId]
+    );
+
+    const candidates: DuplicateCandidate[] = [];
+    for (const row of result.rows) {
+      const nameScore = parseFloat(row.name_score);
+      const fatherScore = row.father_score === null ? null : parseFloat(row.father_score);
+      const reasons: string[] = [];
+      let score: number;
+
+      if (row.shared_identifiers.length > 0) {
+        score = 1;
+        reasons.push(...row.shared_identifiers.map((type: string) => `Same ${type}`));
+      } else {
+        const village = row.same_village ? 1 : 0;
+        score = fatherScore === null
+          ? nameScore * 0.8 + village * 0.2
+          : nameScore * 0.6 + fatherScore * 0.3 + village * 0.1;
+      }
+
+      reasons.push(`Similar name (${round(nameScore)})`);
+      if (fatherScore !== null) reasons.push(`Similar father/husband name (${round(fatherScore)})`);
+      if (row.same_village) reasons.push('Same village');
+
+      if (score >= DUPLICATE_THRESHOLD) {
+        candidates.push({
+          claimant_id: row.id,
+          name: row.name,
+          father_husband_name: row.father_husband_name,
+          village_id: row.village_id,
+          score: round(score),
+          reasons
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Save a claimant and flag its likely duplicates, inside the caller's transaction.
+   * `claimId` records which claim filing raised the flags.
+   */
+  async insertClaimant(
+    client: PoolClient,
+    details: ClaimantDetails,
+    claimId?: string
+  ): Promise<{ claimant: Record<string, any>; duplicates: DuplicateCandidate[] }> {
+    const inserted = await client.query(
+      `INSERT INTO claimants
+         (name, father_husband_name, relation, gender, category, tribe_or_community, village_id,
+          household_members, identifiers, name_key, father_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${CLAIMANT_COLUMNS}`,
+      [
+        details.name!.trim(),
+        details.father_husband_name || null,
+        details.relation || null,
+        details.gender || null,
+        details.category || null,
+        details.tribe_or_community || null,
+        details.village_id ?? null,
+        JSON.stringify(details.household_members || []),
+        JSON.stringify(normalizeIdentifiers(details.identifiers)),
+        nameKey(details.name) || '',
+        nameKey(details.father_husband_name)
+      ]
+    );
+    const claimant = inserted.rows[0];
+
+    const duplicates = await this.findDuplicates(client, claimant.id);
+    await this.flagDuplicates(client, claimant.id, duplicates, claimId);
+
+    return { claimant, duplicates };
+  }
+
+  private async flagDuplicates(
+    client: PoolClient,
+    claimantId: string,
+    duplicates: DuplicateCandidate[],
+    claimId?: string
+  ): Promise<void> {
+    for (const duplicate of duplicates) {
+      // A pair that was already flagged, in either direction, keeps its review
+      await client.query(
+        `INSERT INTO claimant_duplicates (claimant_id, candidate_id, claim_id, score, reasons)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING;`,
+        [claimantId, duplicate.claimant_id, claimId || null, duplicate.score, duplicate.reasons]
+      );
+    }
+  }
+
+  /**
+   * Register a claimant in its own transaction
+   */
+  async createClaimant(details: ClaimantDetails): Promise<{ claimant: Record<string, any>; duplicates: DuplicateCandidate[] }> {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await this.insertClaimant(client, details);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a claimant with the claims filed in their name
+   */
+  async getClaimant(id: string): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT ${CLAIMANT_COLUMNS},
+              COALESCE((
+                SELECT json_agg(json_build_object(
+                         'id', c.id, 'status', c.status, 'village_id', c.village_id,
+                         'created_at', c.created_at, 'deleted_at', c.deleted_at
+                       ) ORDER BY c.created_at)
+                FROM claims c WHERE c.claimant_id = claimants.id
+              ), '[]'::json) AS claims
+       FROM claimants
+       WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List claimants, optionally searching by name in any script or spelling
+   */
+  async listClaimants(filters: {
+    q?: string;
+    village_id?: number;
+    limit: number;
+    offset: number;
+  }): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    let order = 'created_at DESC';
+
+    const key = filters.q ? nameKey(filters.q) : null;
+    if (key) {
+      params.push(key);
+      conditions.push(`(name_key % $${params.length} OR name ILIKE '%' || $${params.length + 1} || '%')`);
+      params.push(filters.q);
+      order = `similarity(name_key, $1) DESC, created_at DESC`;
+    }
+    if (filters.village_id !== undefined) {
+      params.push(filters.village_id);
+      conditions.push(`village_id = $${params.length}`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${CLAIMANT_COLUMNS}
+       FROM claimants
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${order}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update a claimant's details. Claims keep their `claimant_name` in sync with
+   * the registry name. Returns null when the claimant does not exist.
+   */
+  async updateClaimant(id: string, details: ClaimantDetails): Promise<Record<string, any> | null> {
+    const fields: string[] = [];
+    const values: any[] = [];
+    let paramCount = 1;
+
+    const set = (column: string, value: any) => {
+      fields.push(`${column} = $${paramCount++}`);
+      values.push(value);
+    };
+
+    if (details.name !== undefined) {
+      set('name', details.name.trim());
+      set('name_key', nameKey(details.name) || '');
+    }
+    if (details.father_husband_name !== undefined) {
+      set('father_husband_name', details.father_husband_name);
+      set('father_key', nameKey(details.father_husband_name));
+    }
+    if (details.relation !== undefined) set('relation', details.relation);
+    if (details.gender !== undefined) set('gender', details.gender);
+    if (details.category !== undefined) set('category', details.category);
+    if (details.tribe_or_community !== undefined) set('tribe_or_community', details.tribe_or_community);
+    if (details.village_id !== undefined) set('village_id', details.village_id);
+    if (details.household_members !== undefined) set('household_members', JSON.stringify(details.household_members));
+    if (details.identifiers !== undefined) set('identifiers', JSON.stringify(normalizeIdentifiers(details.identifiers)));
+
+    if (fields.length === 0) {
+      return this.getClaimant(id);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      values.push(id);
+      const result = await client.query(
+        `UPDATE claimants SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING id, name`,
+        values
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (details.name !== undefined) {
+        await client.query(`UPDATE claims SET claimant_name = $2 WHERE claimant_id = $1;`, [id, result.rows[0].name]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getClaimant(id);
+  }
+
+  /**
+   * List duplicate flags with both claimants' names
+   */
+  async listDuplicates(filters: {
+    status?: DuplicateStatus;
+    claimant_id?: string;
+    limit: number;
+    offset: number;
+  }): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`d.status = $${params.length}`);
+    }
+    if (filters.claimant_id) {
+      params.push(filters.claimant_id);
+      conditions.push(`(d.claimant_id = $${params.length} OR d.candidate_id = $${params.length})`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT d.id, d.claimant_id, a.name AS claimant_name, a.village_id AS claimant_village_id,
+              d.candidate_id, b.name AS candidate_name, b.village_id AS candidate_village_id,
+              d.claim_id, d.score::float AS score, d.reasons, d.status, d.reviewed_by, d.reviewed_at, d.created_at
+       FROM claimant_duplicates d
+       JOIN claimants a ON a.id = d.claimant_id
+       JOIN claimants b ON b.id = d.candidate_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a single duplicate flag
+   */
+  async getDuplicate(id: number): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT id, claimant_id, candidate_id, claim_id, score::float AS score, reasons, status,
+              reviewed_by, reviewed_at, created_at
+       FROM claimant_duplicates
+       WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Confirm or dismiss a duplicate flag. Returns null when the flag does not exist.
+   */
+  async reviewDuplicate(id: number, status: Exclude<DuplicateStatus, 'open'>, reviewedBy: string): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `UPDATE claimant_duplicates
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING id, claimant_id, candidate_id, claim_id, score::float AS score, reasons, status,
+                 reviewed_by, reviewed_at, created_at`,
+      [id, status, reviewedBy]
+    );
+    return result.rows[0] || null;
+  }
+}
@@ -0,0 +1,410 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { CLAIM_TRANSITIONS, ClaimStatus } from './claimStatusService';
+import { ClaimDispute, DisputeService } from './disputeService';
+import { ClaimantDetails, ClaimantService, DuplicateCandidate } from './claimantService';
+import { ClaimType } from './claimTypes';
+import { BoundaryKind, ClaimVersionService } from './claimVersionService';
+import { ACTIVE_FOREST_CONDITION, ForestType, RESTRICTED_FOREST_CONDITION } from './forestService';
+
+const disputeService = new DisputeService();
+const claimantService = new ClaimantService();
+const claimVersionService = new ClaimVersionService();
+
+// A forest a claim may overlap, such as a tiger reserve buffer zone
+export interface ForestWarning {
+  id: number;
+  name: string;
+  type: ForestType;
+}
+
+export interface NewClaim {
+  claimant_name: string;
+  village_id: number;
+  geom: Record<string, any>;
+  actor: string;
+  claim_type?: ClaimType;
+  land_use?: string[] | null;
+  rights_claimed?: string[] | null;
+  status?: ClaimStatus;
+  reason?: string;
+  // An existing claimant, or details to register a new one (defaults to claimant_name)
+  claimant_id?: string;
+  claimant?: ClaimantDetails;
+}
+
+export interface CreatedClaim {
+  claim: Record<string, any>;
+  disputes: ClaimDispute[];
+  duplicates: DuplicateCandidate[];
+  forest_warnings: ForestWarning[];
+}
+
+// A claim after an edit or restore, with the disputes its boundary raised
+export interface SavedClaim {
+  claim: Record<string, any>;
+  disputes: ClaimDispute[];
+  forest_warnings: ForestWarning[];
+}
+
+export interface ClaimUpdate {
+  claimant_name?: string;
+  claimant_id?: string;
+  village_id?: number;
+  geom?: Record<string, any>;
+  claim_type?: ClaimType;
+  land_use?: string[] | null;
+  rights_claimed?: string[] | null;
+}
+
+// Who changed the boundary and why, stored with the new boundary version
+export interface BoundaryAmendment {
+  actor: string;
+  reason?: string | null;
+  kind: Exclude<BoundaryKind, 'claimed'>;
+}
+
+const CLAIM_DETAIL_QUERY = `
+  SELECT c.id, c.claimant_name, c.claimant_id, c.village_id, c.claim_type, c.land_use, c.rights_claimed,
+         c.status, c.created_at, c.updated_at, c.deleted_at,
+         CASE WHEN v.id IS NULL THEN NULL
+              ELSE json_build_object('id', v.id, 'name', v.name, 'district', v.district, 'subdistrict', v.subdistrict,
+                                     'state', v.state, 'region', v.region, 'lgd_code', v.lgd_code,
+                                     'census_code', v.census_code, 'has_boundary', v.geom IS NOT NULL)
+         END AS village,
+         CASE WHEN cl.id IS NULL THEN NULL
+              ELSE json_build_object('id', cl.id, 'name', cl.name, 'father_husband_name', cl.father_husband_name,
+                                     'category', cl.category, 'tribe_or_community', cl.tribe_or_community)
+         END AS claimant,
+         CASE WHEN sd.id IS NULL THEN NULL
+              ELSE json_build_object('district', json_build_object('id', dd.id, 'name', dd.name),
+                                     'subdistrict', json_build_object('id', sd.id, 'name', sd.name, 'unit_type', sd.unit_type))
+         END AS admin_units,
+         CASE WHEN t.claim_id IS NULL THEN NULL
+              ELSE json_build_object('filed_at', t.filed_at, 'gram_sabha_at', t.gram_sabha_at, 'sdlc_at', t.sdlc_at,
+                                     'dlc_at', t.dlc_at, 'title_at', t.title_at, 'rejected_at', t.rejected_at,
+                                     'remand_count', t.remand_count)
+         END AS stage_times,
+         ST_AsGeoJSON(c.geom)::json AS geometry,
+         ST_Area(c.geom::geography) / 10000 AS area_ha,
+         stage.entered_at AS stage_entered_at,
+         stage.age_days AS stage_age_days,
+         sla.sla_days AS stage_sla_days,
+         COALESCE(stage.age_days > sla.sla_days, false) AS overdue
+  FROM claims c
+  LEFT JOIN villages v ON c.village_id = v.id
+  LEFT JOIN claimants cl ON c.claimant_id = cl.id
+  LEFT JOIN admin_units sd ON c.subdistrict_unit_id = sd.id
+  LEFT JOIN admin_units dd ON c.district_unit_id = dd.id
+  LEFT JOIN claim_stage_times t ON t.claim_id = c.id
+  LEFT JOIN claim_stage_slas sla ON sla.status = c.status
+  LEFT JOIN LATERAL (
+    SELECT entered_at, FLOOR(EXTRACT(EPOCH FROM NOW() - entered_at) / 86400)::int AS age_days
+    FROM (
+      SELECT COALESCE(
+        (SELECT changed_at FROM claim_status_history
+         WHERE claim_id = c.id ORDER BY changed_at DESC, id DESC LIMIT 1),
+        c.created_at
+      ) AS entered_at
+    ) latest
+  ) stage ON TRUE
+  WHERE c.id = $1
+`;
+
+export class ClaimsService {
+  /**
+   * Get a single claim with its village, district and subdistrict, geometry as GeoJSON,
+   * when it reached each stage and time at its current status
+   */
+  async getClaimById(id: string, includeDeleted = false): Promise<Record<string, any> | null> {
+    const query = includeDeleted
+      ? CLAIM_DETAIL_QUERY
+      : `${CLAIM_DETAIL_QUERY} AND c.deleted_at IS NULL`;
+
+    const result = await pool.query(query, [id]);
+    if (!result.rows[0]) return null;
+    const row = result.rows[0];
+    return { ...row, area_ha: parseFloat(row.area_ha) };
+  }
+
+  /**
+   * Insert a claim and record its filing in the status history.
+   * A claim that overlaps existing land is saved as `disputed` together with
+   * one dispute per overlapping claim or restricted forest; overlaps with
+   * forests that allow claims come back as `forest_warnings`. Without a `claimant_id` the
+   * claimant of an individual (IFR) claim is registered and checked for likely
+   * duplicates; community claims are filed by a Gram Sabha, not a person. When `client` is
+   * given the insert joins the caller's transaction instead of opening its own.
+   */
+  async createClaim(claim: NewClaim, client?: PoolClient): Promise<CreatedClaim> {
+    if (client) {
+      return this.insertClaim(client, claim);
+    }
+
+    const own = await pool.connect();
+    try {
+      await own.query('BEGIN');
+      const result = await this.insertClaim(own, claim);
+      await own.query('COMMIT');
+      return result;
+    } catch (error) {
+      await own.query('ROLLBACK');
+      throw error;
+    } finally {
+      own.release();
+    }
+  }
+
+  private async insertClaim(client: PoolClient, claim: NewClaim): Promise<CreatedClaim> {
+    const inserted = await client.query(
+      `INSERT INTO claims
+         (claimant_name, claimant_id, village_id, geom, status, claim_type, land_use, rights_claimed)
+       VALUES ($1, $2, $3, ST_Multi(ST_GeomFromGeoJSON($4)), $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        claim.claimant_name,
+        claim.claimant_id || null,
+        claim.village_id,
+        JSON.stringify(claim.geom),
+        claim.status || 'submitted',
+        claim.claim_type || 'IFR',
+        claim.land_use || null,
+        claim.rights_claimed || null
+      ]
+    );
+    let row = inserted.rows[0];
+
+    await claimVersionService.recordVersion(client, row.id, 'claimed', claim.actor, claim.reason || 'Claim filed');
+
+    let duplicates: DuplicateCandidate[] = [];
+    if (!claim.claimant_id && row.claim_type === 'IFR') {
+      const registered = await claimantService.insertClaimant(
+        client,
+        {
+          ...claim.claimant,
+          name: claim.claimant?.name || claim.claimant_name,
+          village_id: claim.claimant?.village_id ?? claim.village_id
+        },
+        row.id
+      );
+      duplicates = registered.duplicates;
+
+      const linked = await client.query(
+        `UPDATE claims SET claimant_id = $2 WHERE id = $1 RETURNING *`,
+        [row.id, registered.claimant.id]
+      );
+      row = linked.rows[0];
+    }
+
+    const disputes = await disputeService.recordOverlaps(client, row.id);
+    if (disputes.length > 0) {
+      const disputed = await client.query(
+        `UPDATE claims SET status = 'disputed' WHERE id = $1 RETURNING *`,
+        [row.id]
+      );
+      row = disputed.rows[0];
+    }
+
+    const forestWarnings = await this.findForestWarnings(client, row.id);
+
+    await client.query(
+      `INSERT INTO claim_status_history (claim_id, from_status, to_status, actor, reason)
+       VALUES ($1, NULL, $2, $3, $4)`,
+      [
+        row.id,
+        row.status,
+        claim.actor,
+        disputes.length > 0 ? 'Claim filed over existing claims or forest land' : claim.reason || 'Claim filed'
+      ]
+    );
+
+    return { claim: row, disputes, duplicates, forest_warnings: forestWarnings };
+  }
+
+  /**
+   * Forests such as buffer zones that allow claims but are reported with them
+   */
+  private async findForestWarnings(client: PoolClient, claimId: string): Promise<ForestWarning[]> {
+    const result = await client.query(
+      `SELECT f.id, f.name, f.type
+       FROM forests f
+       JOIN claims c ON c.id = $1 AND ST_Intersects(c.geom, f.geom)
+       WHERE NOT ${RESTRICTED_FOREST_CONDITION}
+         AND ${ACTIVE_FOREST_CONDITION}
+       ORDER BY f.id`,
+      [claimId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record the disputes of a claim whose boundary was redrawn or brought back, as
+   * filing does. A claim still under review moves to `disputed` when new disputes
+   * are raised; approved and rejected claims keep their status.
+   */
+  private async recordBoundaryOverlaps(
+    client: PoolClient,
+    claimId: string,
+    actor: string,
+    reason: string
+  ): Promise<{ disputes: ClaimDispute[]; forest_warnings: ForestWarning[] }> {
+    const disputes = await disputeService.recordOverlaps(client, claimId);
+
+    if (disputes.length > 0) {
+      const current = await client.query('SELECT status FROM claims WHERE id = $1 FOR UPDATE', [claimId]);
+      const fromStatus: ClaimStatus = current.rows[0].status;
+      if (fromStatus !== 'disputed' && CLAIM_TRANSITIONS[fromStatus].length > 0) {
+        await client.query(`UPDATE claims SET status = 'disputed' WHERE id = $1`, [claimId]);
+        await client.query(
+          `INSERT INTO claim_status_history (claim_id, from_status, to_status, actor, reason)
+           VALUES ($1, $2, 'disputed', $3, $4)`,
+          [claimId, fromStatus, actor, reason]
+        );
+      }
+    }
+
+    return { disputes, forest_warnings: await this.findForestWarnings(client, claimId) };
+  }
+
+  /**
+   * Update the editable fields of an active claim. A new boundary is stored as
+   * the claim's next boundary version together with `amendment`, and its
+   * overlaps are recorded as disputes in the same transaction.
+   */
+  async updateClaim(
+    id: string,
+    update: ClaimUpdate,
+    amendment?: BoundaryAmendment
+  ): Promise<SavedClaim | null> {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (update.claimant_name !== undefined && update.claimant_id === undefined) {
+      fields.push(`claimant_name = $${paramCount++}`);
+      values.push(update.claimant_name);
+    }
+    if (update.claimant_id !== undefined) {
+      // The claim's name follows the registry entry it is linked to
+      fields.push(`claimant_id = $${paramCount}`);
+      fields.push(`claimant_name = (SELECT name FROM claimants WHERE id = $${paramCount++})`);
+      values.push(update.claimant_id);
+    }
+    if (update.village_id !== undefined) {
+      fields.push(`village_id = $${paramCount++}`);
+      values.push(update.village_id);
+    }
+    if (update.geom !== undefined) {
+      fields.push(`geom = ST_Multi(ST_GeomFromGeoJSON($${paramCount++}))`);
+      values.push(JSON.stringify(update.geom));
+    }
+    if (update.claim_type !== undefined) {
+      fields.push(`claim_type = $${paramCount++}`);
+      values.push(update.claim_type);
+    }
+    if (update.land_use !== undefined) {
+      fields.push(`land_use = $${paramCount++}`);
+      values.push(update.land_use);
+    }
+    if (update.rights_claimed !== undefined) {
+      fields.push(`rights_claimed = $${paramCount++}`);
+      values.push(update.rights_claimed);
+    }
+
+    if (fields.length === 0) {
+      const claim = await this.getClaimById(id);
+      return claim && { claim, disputes: [], forest_warnings: [] };
+    }
+
+    values.push(id);
+    let overlaps: Omit<SavedClaim, 'claim'> = { disputes: [], forest_warnings: [] };
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE claims
+         SET ${fields.join(', ')}
+         WHERE id = $${paramCount} AND deleted_at IS NULL
+         RETURNING id`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (update.geom !== undefined) {
+        await claimVersionService.recordVersion(
+          client,
+          id,
+          amendment?.kind || 'amendment',
+          amendment?.actor || 'system',
+          amendment?.reason
+        );
+        overlaps = await this.recordBoundaryOverlaps(
+          client,
+          id,
+          amendment?.actor || 'system',
+          'Boundary amended over existing claims or forest land'
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { claim: (await this.getClaimById(id))!, ...overlaps };
+  }
+
+  /**
+   * Withdraw a claim without removing its row
+   */
+  async softDelete(id: string): Promise<boolean> {
+    const result = await pool.query(
+      'UPDATE claims SET deleted_at = now() WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Bring a withdrawn claim back. Claims filed on the same land in the meantime
+   * are recorded as disputes, as for a new claim.
+   */
+  async restore(id: string, actor: string): Promise<SavedClaim | null> {
+    let overlaps: Omit<SavedClaim, 'claim'>;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'UPDATE claims SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+        [id]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      overlaps = await this.recordBoundaryOverlaps(
+        client,
+        id,
+        actor,
+        'Claim restored over existing claims or forest land'
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { claim: (await this.getClaimById(id))!, ...overlaps };
+  }
+}
@@ -0,0 +1,409 @@
+import path from 'path';
+import { pool } from '../db/pool';
+import { ClaimStatus, ClaimStatusHistoryEntry, ClaimStatusService } from './claimStatusService';
+import { DOCUMENT_UPLOAD_DIR } from './claimDocumentService';
+
+const claimStatusService = new ClaimStatusService();
+
+// Minutes are stored with the scanned claim documents
+export const MINUTES_UPLOAD_DIR = DOCUMENT_UPLOAD_DIR;
+
+export const COMMITTEE_BODIES = ['gram_sabha', 'sdlc', 'dlc'] as const;
+export type CommitteeBody = typeof COMMITTEE_BODIES[number];
+
+export const RECOMMENDATION_DECISIONS = ['recommend', 'reject', 'remand'] as const;
+export type RecommendationDecision = typeof RECOMMENDATION_DECISIONS[number];
+
+export const COMMITTEE_LABELS: Record<CommitteeBody, string> = {
+  gram_sabha: 'Gram Sabha',
+  sdlc: 'Sub-Divisional Level Committee',
+  dlc: 'District Level Committee'
+};
+
+/**
+ * The claim statuses at which each body takes up a claim: the Gram Sabha hears
+ * new and remanded claims, the SDLC claims the Gram Sabha recommended, and the
+ * DLC claims the SDLC recommended.
+ */
+export const COMMITTEE_STAGES: Record<CommitteeBody, ClaimStatus[]> = {
+  gram_sabha: ['pending', 'submitted', 'remanded'],
+  sdlc: ['gram_sabha_verified'],
+  dlc: ['sdlc_verified']
+};
+
+/**
+ * The status each decision moves a claim to. The Gram Sabha is the first
+ * forum, so only the committees above it can remand a claim back to it.
+ */
+export const DECISION_OUTCOMES: Record<CommitteeBody, Partial<Record<RecommendationDecision, ClaimStatus>>> = {
+  gram_sabha: { recommend: 'gram_sabha_verified', reject: 'rejected' },
+  sdlc: { recommend: 'sdlc_verified', remand: 'remanded', reject: 'rejected' },
+  dlc: { recommend: 'approved', remand: 'remanded', reject: 'rejected' }
+};
+
+export function isCommitteeBody(value: unknown): value is CommitteeBody {
+  return typeof value === 'string' && (COMMITTEE_BODIES as readonly string[]).includes(value);
+}
+
+export function isRecommendationDecision(value: unknown): value is RecommendationDecision {
+  return typeof value === 'string' && (RECOMMENDATION_DECISIONS as readonly string[]).includes(value);
+}
+
+/**
+ * The body that takes up a claim in the given status, or null when the claim
+ * is not waiting for a committee
+ */
+export function committeeForStatus(status: ClaimStatus): CommitteeBody | null {
+  return COMMITTEE_BODIES.find((body) => COMMITTEE_STAGES[body].includes(status)) ?? null;
+}
+
+/**
+ * The body whose recommendation makes the given status change, or null when no
+ * committee decides it (such as a resolved dispute going back to `submitted`)
+ */
+export function committeeForTransition(from: ClaimStatus, to: ClaimStatus): CommitteeBody | null {
+  const body = committeeForStatus(from);
+  return body && Object.values(DECISION_OUTCOMES[body]).includes(to) ? body : null;
+}
+
+export interface NewMeeting {
+  body: CommitteeBody;
+  village_id?: number | null;
+  subdivision?: string | null;
+  district?: string | null;
+  meeting_date: string;
+  venue?: string | null;
+  chaired_by?: string | null;
+  attendance?: number | null;
+  notes?: string | null;
+  created_by: string;
+}
+
+export interface MeetingFilters {
+  body?: CommitteeBody;
+  village_id?: number;
+  district?: string;
+  from?: string;
+  to?: string;
+  limit: number;
+  offset: number;
+}
+
+export interface NewRecommendation {
+  claim_id: string;
+  decision: RecommendationDecision;
+  reasons?: string | null;
+  resolution_id?: number | null;
+  recorded_by: string;
+}
+
+export type RecommendationResult =
+  | { outcome: 'meeting_not_found' }
+  | { outcome: 'claim_not_found' }
+  | { outcome: 'resolution_not_found' }
+  | { outcome: 'decision_not_allowed'; allowed: RecommendationDecision[] }
+  | { outcome: 'wrong_stage'; status: ClaimStatus; expectedBody: CommitteeBody | null }
+  | { outcome: 'wrong_jurisdiction'; message: string }
+  | { outcome: 'already_recommended'; recommendation: Record<string, any> }
+  | {
+      outcome: 'ok';
+      recommendation: Record<string, any>;
+      claim: Record<string, any>;
+      history: ClaimStatusHistoryEntry;
+    };
+
+const MEETING_COLUMNS = `
+  m.id, m.body, m.village_id, m.subdivision, m.district, m.meeting_date::text AS meeting_date,
+  m.venue, m.chaired_by, m.attendance, m.minutes_filename, m.minutes_path IS NOT NULL AS has_minutes,
+  m.notes, m.created_by, m.created_at`;
+
+const RECOMMENDATION_COLUMNS = `
+  r.id, r.claim_id, r.meeting_id, r.resolution_id, r.body, r.decision, r.reasons, r.recorded_by,
+  r.status_history_id, r.created_at,
+  m.meeting_date::text AS meeting_date,
+  CASE WHEN m.minutes_path IS NULL THEN NULL ELSE '/api/meetings/' || m.id || '/minutes' END AS minutes_url,
+  cr.resolution_number`;
+
+export class CommitteeService {
+  async createMeeting(meeting: NewMeeting): Promise<Record<string, any>> {
+    const result = await pool.query(
+      `INSERT INTO committee_meetings
+         (body, village_id, subdivision, district, meeting_date, venue, chaired_by, attendance, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        meeting.body,
+        meeting.village_id ?? null,
+        meeting.subdivision || null,
+        meeting.district || null,
+        meeting.meeting_date,
+        meeting.venue || null,
+        meeting.chaired_by || null,
+        meeting.attendance ?? null,
+        meeting.notes || null,
+        meeting.created_by
+      ]
+    );
+    return (await this.getMeeting(result.rows[0].id))!;
+  }
+
+  /**
+   * List meetings, latest first
+   */
+  async listMeetings(filters: MeetingFilters): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.body) {
+      params.push(filters.body);
+      conditions.push(`m.body = $${params.length}`);
+    }
+    if (filters.village_id !== undefined) {
+      params.push(filters.village_id);
+      conditions.push(`m.village_id = $${params.length}`);
+    }
+    if (filters.district) {
+      params.push(filters.district);
+      conditions.push(`lower(m.district) = lower($${params.length})`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`m.meeting_date >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`m.meeting_date <= $${params.length}`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${MEETING_COLUMNS},
+              (SELECT COUNT(*)::int FROM claim_recommendations r WHERE r.meeting_id = m.id) AS recommendation_count
+       FROM committee_meetings m
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY m.meeting_date DESC, m.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a meeting with its resolutions and recommendations
+   */
+  async getMeeting(id: number): Promise<Record<string, any> | null> {
+    const meeting = await pool.query(`SELECT ${MEETING_COLUMNS} FROM committee_meetings m WHERE m.id = $1`, [id]);
+    if (meeting.rows.length === 0) return null;
+
+    const resolutions = await pool.query(
+      `SELECT id, meeting_id, resolution_number, text, recorded_by, created_at
+       FROM committee_resolutions
+       WHERE meeting_id = $1
+       ORDER BY id ASC`,
+      [id]
+    );
+    const recommendations = await pool.query(
+      `SELECT ${RECOMMENDATION_COLUMNS}
+       FROM claim_recommendations r
+       JOIN committee_meetings m ON r.meeting_id = m.id
+       LEFT JOIN committee_resolutions cr ON r.resolution_id = cr.id
+       WHERE r.meeting_id = $1
+       ORDER BY r.id ASC`,
+      [id]
+    );
+
+    return { ...meeting.rows[0], resolutions: resolutions.rows, recommendations: recommendations.rows };
+  }
+
+  /**
+   * Attach the scanned minutes of a meeting. Earlier minutes stay on disk but
+   * are no longer linked. Returns false when the meeting does not exist.
+   */
+  async setMinutes(id: number, filePath: string, originalName: string): Promise<boolean> {
+    const result = await pool.query(
+      `UPDATE committee_meetings SET minutes_path = $2, minutes_filename = $3 WHERE id = $1`,
+      [id, filePath, originalName]
+    );
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Path and name of a meeting's minutes, or null when none were attached
+   */
+  async getMinutes(id: number): Promise<{ path: string; filename: string } | null> {
+    const result = await pool.query(
+      `SELECT minutes_path, minutes_filename FROM committee_meetings WHERE id = $1 AND minutes_path IS NOT NULL`,
+      [id]
+    );
+    if (result.rows.length === 0) return null;
+    return {
+      path: result.rows[0].minutes_path,
+      filename: result.rows[0].minutes_filename || path.basename(result.rows[0].minutes_path)
+    };
+  }
+
+  /**
+   * Record a resolution passed at a meeting; returns null if the meeting does not exist
+   */
+  async addResolution(
+    meetingId: number,
+    resolution: { resolution_number: string; text: string; recorded_by: string }
+  ): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `INSERT INTO committee_resolutions (meeting_id, resolution_number, text, recorded_by)
+       SELECT id, $2, $3, $4 FROM committee_meetings WHERE id = $1
+       RETURNING id, meeting_id, resolution_number, text, recorded_by, created_at`,
+      [meetingId, resolution.resolution_number, resolution.text, resolution.recorded_by]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recommendations made on a claim, oldest first
+   */
+  async listRecommendations(claimId: string): Promise<Record<string, any>[]> {
+    const result = await pool.query(
+      `SELECT ${RECOMMENDATION_COLUMNS}
+       FROM claim_recommendations r
+       JOIN committee_meetings m ON r.meeting_id = m.id
+       LEFT JOIN committee_resolutions cr ON r.resolution_id = cr.id
+       WHERE r.claim_id = $1
+       ORDER BY r.created_at ASC, r.id ASC`,
+      [claimId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a body's recommendation on a claim and move the claim to the status
+   * it leads to. The claim must be at the body's stage and, for a Gram Sabha,
+   * in its village; both changes are saved together.
+   */
+  async recordRecommendation(meetingId: number, rec: NewRecommendation): Promise<RecommendationResult> {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const meetings = await client.query(
+        `SELECT id, body, village_id, district, meeting_date::text AS meeting_date
+         FROM committee_meetings WHERE id = $1`,
+        [meetingId]
+      );
+      if (meetings.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'meeting_not_found' };
+      }
+      const meeting = meetings.rows[0];
+      const body: CommitteeBody = meeting.body;
+
+      const toStatus = DECISION_OUTCOMES[body][rec.decision];
+      if (!toStatus) {
+        await client.query('ROLLBACK');
+        return {
+          outcome: 'decision_not_allowed',
+          allowed: Object.keys(DECISION_OUTCOMES[body]) as RecommendationDecision[]
+        };
+      }
+
+      const claims = await client.query(
+        `SELECT c.id, c.status, c.village_id, v.district
+         FROM claims c
+         LEFT JOIN villages v ON c.village_id = v.id
+         WHERE c.id = $1 AND c.deleted_at IS NULL
+         FOR UPDATE OF c`,
+        [rec.claim_id]
+      );
+      if (claims.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'claim_not_found' };
+      }
+      const claim = claims.rows[0];
+
+      if (body === 'gram_sabha' && claim.village_id !== meeting.village_id) {
+        await client.query('ROLLBACK');
+        return { outcome: 'wrong_jurisdiction', message: "The claim is not in this Gram Sabha's village" };
+      }
+      if (meeting.district && claim.district && meeting.district.toLowerCase() !== claim.district.toLowerCase()) {
+        await client.query('ROLLBACK');
+        return { outcome: 'wrong_jurisdiction', message: `The claim is not in ${meeting.district} district` };
+      }
+
+      if (rec.resolution_id != null) {
+        const resolution = await client.query(
+          `SELECT id FROM committee_resolutions WHERE id = $1 AND meeting_id = $2`,
+          [rec.resolution_id, meetingId]
+        );
+        if (resolution.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return { outcome: 'resolution_not_found' };
+        }
+      }
+
+      const existing = await client.query(
+        `SELECT ${RECOMMENDATION_COLUMNS}
+         FROM claim_recommendations r
+         JOIN committee_meetings m ON r.meeting_id = m.id
+         LEFT JOIN committee_resolutions cr ON r.resolution_id = cr.id
+         WHERE r.meeting_id = $1 AND r.claim_id = $2`,
+        [meetingId, rec.claim_id]
+      );
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'already_recommended', recommendation: existing.rows[0] };
+      }
+
+      if (!COMMITTEE_STAGES[body].includes(claim.status)) {
+        await client.query('ROLLBACK');
+        return { outcome: 'wrong_stage', status: claim.status, expectedBody: committeeForStatus(claim.status) };
+      }
+
+      const reason = `${COMMITTEE_LABELS[body]} meeting of ${meeting.meeting_date}: ${rec.decision}` +
+        (rec.reasons ? ` (${rec.reasons})` : '');
+      const transition = await claimStatusService.transition(rec.claim_id, toStatus, rec.recorded_by, reason, client);
+      if (transition.outcome !== 'ok') {
+        // The stage check above only lets through claims the transition table accepts
+        throw new Error(`Unexpected ${transition.outcome} moving claim ${rec.claim_id} to ${toStatus}`);
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO claim_recommendations
+           (claim_id, meeting_id, resolution_id, body, decision, reasons, recorded_by, status_history_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          rec.claim_id,
+          meetingId,
+          rec.resolution_id ?? null,
+          body,
+          rec.decision,
+          rec.reasons || null,
+          rec.recorded_by,
+          transition.history.id
+        ]
+      );
+
+      const recommendation = await client.query(
+        `SELECT ${RECOMMENDATION_COLUMNS}
+         FROM claim_recommendations r
+         JOIN committee_meetings m ON r.meeting_id = m.id
+         LEFT JOIN committee_resolutions cr ON r.resolution_id = cr.id
+         WHERE r.id = $1`,
+        [inserted.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      return {
+        outcome: 'ok',
+        recommendation: recommendation.rows[0],
+        claim: transition.claim,
+        history: transition.history
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
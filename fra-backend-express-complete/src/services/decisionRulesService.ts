@@ -306,9 +306,9 @@ export class DecisionRulesService {
   }
 
   /**
-   * Create sample FRA decision rules
+   * Create sample FRA decision rules, returning the ones that did not exist yet
    */
-  async createSampleRules(): Promise<void> {
+  async createSampleRules(): Promise<DecisionRule[]> {
     const sampleRules = [
       {
         rule_name: 'High Risk Area Alert',
@@ -363,12 +363,14 @@ export class DecisionRulesService {
       }
     ];
 
+    const created: DecisionRule[] = [];
     for (const rule of sampleRules) {
       try {
-        await this.createRule(rule);
+        created.push(await this.createRule(rule));
       } catch (error) {
         console.log(`Sample rule "${rule.rule_name}" may already exist`);
       }
     }
+    return created;
   }
 }
@@ -0,0 +1,183 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { ACTIVE_FOREST_CONDITION, RESTRICTED_FOREST_CONDITION } from './forestService';
+
+export type DisputeStatus = 'open' | 'resolved';
+
+export interface ClaimDispute {
+  id: number;
+  claim_id: string;
+  conflicting_claim_id: string | null;
+  forest_id: number | null;
+  forest_name?: string | null;
+  overlap_area_ha: number;
+  overlap_pct: number;
+  status: DisputeStatus;
+  resolution?: string | null;
+  resolved_by?: string | null;
+  resolved_at?: Date | null;
+  created_at: Date;
+  comments?: DisputeComment[];
+}
+
+export interface DisputeComment {
+  id: number;
+  dispute_id: number;
+  author: string;
+  comment: string;
+  created_at: Date;
+}
+
+export interface DisputeFilters {
+  status?: DisputeStatus;
+  claim_id?: string;
+  limit: number;
+  offset: number;
+}
+
+const DISPUTE_COLUMNS = `
+  d.id, d.claim_id, d.conflicting_claim_id, d.forest_id, f.name AS forest_name,
+  d.overlap_area_ha::float AS overlap_area_ha, d.overlap_pct::float AS overlap_pct,
+  d.status, d.resolution, d.resolved_by, d.resolved_at, d.created_at
+`;
+
+export class DisputeService {
+  /**
+   * Record every overlap of a filed, amended or restored claim with active claims
+   * and with restricted forests in force (buffer zones and denotified areas raise
+   * none). Land that only touches the claim along an edge is no overlap, and overlaps
+   * that already have an open dispute are not recorded twice.
+   * Runs on the caller's transaction so the claim and its disputes are saved together.
+   */
+  async recordOverlaps(client: PoolClient, claimId: string): Promise<ClaimDispute[]> {
+    const result = await client.query(
+      `WITH filed AS (
+         SELECT id, geom, NULLIF(ST_Area(geom::geography), 0) AS area_m2
+         FROM claims WHERE id = $1
+       ), overlaps AS (
+         SELECT filed.id AS claim_id, c.id AS conflicting_claim_id, NULL::integer AS forest_id,
+                ST_Area(ST_Intersection(filed.geom, c.geom)::geography) AS overlap_m2, filed.area_m2
+         FROM filed
+         JOIN claims c ON c.id <> filed.id AND c.deleted_at IS NULL AND claims_overlap(filed.geom, c.geom)
+         UNION ALL
+         SELECT filed.id, NULL::uuid, f.id,
+                ST_Area(ST_Intersection(filed.geom, f.geom)::geography), filed.area_m2
+         FROM filed
+         JOIN forests f ON claims_overlap(filed.geom, f.geom)
+         WHERE ${RESTRICTED_FOREST_CONDITION}
+           AND ${ACTIVE_FOREST_CONDITION}
+       )
+       INSERT INTO claim_disputes (claim_id, conflicting_claim_id, forest_id, overlap_area_ha, overlap_pct)
+       SELECT claim_id, conflicting_claim_id, forest_id,
+              overlap_m2 / 10000,
+              COALESCE(100 * overlap_m2 / area_m2, 0)
+       FROM overlaps o
+       WHERE NOT EXISTS (
+         SELECT 1 FROM claim_disputes d
+         WHERE d.claim_id = o.claim_id AND d.status = 'open'
+           AND d.conflicting_claim_id IS NOT DISTINCT FROM o.conflicting_claim_id
+           AND d.forest_id IS NOT DISTINCT FROM o.forest_id
+       )
+       RETURNING id, claim_id, conflicting_claim_id, forest_id,
+                 overlap_area_ha::float AS overlap_area_ha, overlap_pct::float AS overlap_pct,
+                 status, created_at`,
+      [claimId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * List disputes, newest first
+   */
+  async listDisputes(filters: DisputeFilters): Promise<ClaimDispute[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`d.status = $${params.length}`);
+    }
+    if (filters.claim_id) {
+      params.push(filters.claim_id);
+      conditions.push(`(d.claim_id = $${params.length} OR d.conflicting_claim_id = $${params.length})`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const query = `
+      SELECT ${DISPUTE_COLUMNS}
+      FROM claim_disputes d
+      LEFT JOIN forests f ON d.forest_id = f.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a dispute with its comments
+   */
+  async getDisputeById(id: number): Promise<ClaimDispute | null> {
+    const result = await pool.query(
+      `SELECT ${DISPUTE_COLUMNS}
+       FROM claim_disputes d
+       LEFT JOIN forests f ON d.forest_id = f.id
+       WHERE d.id = $1`,
+      [id]
+    );
+    if (!result.rows[0]) return null;
+
+    const comments = await pool.query(
+      `SELECT id, dispute_id, author, comment, created_at
+       FROM claim_dispute_comments
+       WHERE dispute_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [id]
+    );
+
+    return { ...result.rows[0], comments: comments.rows };
+  }
+
+  /**
+   * Add a comment to a dispute; returns null if the dispute does not exist
+   */
+  async addComment(disputeId: number, author: string, comment: string): Promise<DisputeComment | null> {
+    const result = await pool.query(
+      `INSERT INTO claim_dispute_comments (dispute_id, author, comment)
+       SELECT id, $2, $3 FROM claim_disputes WHERE id = $1
+       RETURNING id, dispute_id, author, comment, created_at`,
+      [disputeId, author, comment]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve an open dispute. Returns the dispute and how many disputes of the
+   * same claim are still open, or null if there was no open dispute with that id.
+   */
+  async resolve(
+    id: number,
+    resolvedBy: string,
+    resolution: string
+  ): Promise<{ dispute: ClaimDispute; openRemaining: number } | null> {
+    const result = await pool.query(
+      `UPDATE claim_disputes
+       SET status = 'resolved', resolution = $2, resolved_by = $3, resolved_at = now()
+       WHERE id = $1 AND status = 'open'
+       RETURNING id, claim_id`,
+      [id, resolution, resolvedBy]
+    );
+    if (!result.rows[0]) return null;
+
+    const open = await pool.query(
+      `SELECT COUNT(*) FROM claim_disputes WHERE claim_id = $1 AND status = 'open'`,
+      [result.rows[0].claim_id]
+    );
+
+    const dispute = await this.getDisputeById(id);
+    return { dispute: dispute!, openRemaining: parseInt(open.rows[0].count, 10) };
+  }
+}
@@ -0,0 +1,472 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { ClaimGeometryService } from './claimGeometryService';
+
+export const FOREST_TYPES = [
+  'reserved_forest',
+  'protected_forest',
+  'national_park',
+  'wildlife_sanctuary',
+  'tiger_reserve_core',
+  'tiger_reserve_buffer',
+  'other'
+] as const;
+
+export type ForestType = typeof FOREST_TYPES[number];
+
+/**
+ * How each category treats a claim that overlaps it. Claims over restricted
+ * land are filed as disputed, as are edits and restores onto it; claims in tiger
+ * reserve buffer zones, where habitation and cultivation continue, only carry
+ * a warning.
+ */
+export const FOREST_TYPE_RULES: Record<ForestType, { label: string; restricted: boolean }> = {
+  reserved_forest: { label: 'Reserved Forest', restricted: true },
+  protected_forest: { label: 'Protected Forest', restricted: true },
+  national_park: { label: 'National Park', restricted: true },
+  wildlife_sanctuary: { label: 'Wildlife Sanctuary', restricted: true },
+  tiger_reserve_core: { label: 'Tiger Reserve (core)', restricted: true },
+  tiger_reserve_buffer: { label: 'Tiger Reserve (buffer)', restricted: false },
+  other: { label: 'Other forest land', restricted: true }
+};
+
+const UNRESTRICTED_FOREST_TYPES = FOREST_TYPES.filter((type) => !FOREST_TYPE_RULES[type].restricted);
+
+// Forests a claim may not be placed over; any type not known to allow claims counts.
+// The one test for restricted land, for dispute checks and warnings alike; `f` is the forests alias
+export const RESTRICTED_FOREST_CONDITION =
+  `(f.type <> ALL (ARRAY[${UNRESTRICTED_FOREST_TYPES.map((type) => `'${type}'`).join(', ')}]::text[]))`;
+
+// Forests in force today; `f` is the forests alias
+export const ACTIVE_FOREST_CONDITION =
+  '(f.valid_from IS NULL OR f.valid_from <= CURRENT_DATE) AND (f.valid_to IS NULL OR f.valid_to >= CURRENT_DATE)';
+
+export const MAX_FOREST_IMPORT_FEATURES = 5000;
+
+// Protected areas run to hundreds of thousands of hectares
+export const MAX_FOREST_AREA_HA = Number(process.env.FOREST_MAX_AREA_HA || 1000000);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Abbreviations and labels found in forest department layers
+const FOREST_TYPE_ALIASES: Record<string, ForestType> = {
+  rf: 'reserved_forest',
+  reserved: 'reserved_forest',
+  reserve_forest: 'reserved_forest',
+  pf: 'protected_forest',
+  protected: 'protected_forest',
+  np: 'national_park',
+  ws: 'wildlife_sanctuary',
+  wls: 'wildlife_sanctuary',
+  sanctuary: 'wildlife_sanctuary',
+  core: 'tiger_reserve_core',
+  critical_tiger_habitat: 'tiger_reserve_core',
+  buffer: 'tiger_reserve_buffer',
+  buffer_zone: 'tiger_reserve_buffer',
+  tiger_reserve_buffer_zone: 'tiger_reserve_buffer'
+};
+
+export function isForestType(value: unknown): value is ForestType {
+  return typeof value === 'string' && (FOREST_TYPES as readonly string[]).includes(value);
+}
+
+/**
+ * Read a forest type written as a code ("tiger_reserve_core"), a label
+ * ("Tiger Reserve (core)") or a common abbreviation ("RF"). Returns null when
+ * the value is not recognised.
+ */
+export function parseForestType(value: unknown): ForestType | null {
+  if (value === undefined || value === null || value === '') return null;
+  const key = String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (isForestType(key)) return key;
+  if (FOREST_TYPE_ALIASES[key]) return FOREST_TYPE_ALIASES[key];
+  return FOREST_TYPES.find((type) => FOREST_TYPE_RULES[type].label.toLowerCase() === String(value).trim().toLowerCase())
+    ?? null;
+}
+
+export interface ForestDetails {
+  name?: string;
+  type?: ForestType;
+  notification_ref?: string | null;
+  valid_from?: string | null;
+  valid_to?: string | null;
+  // A validated MultiPolygon
+  geom?: Record<string, any>;
+}
+
+export interface ForestFilters {
+  q?: string;
+  type?: ForestType;
+  active?: boolean;
+  limit: number;
+  offset: number;
+}
+
+export interface ForestOverlap {
+  id: number;
+  name: string;
+  type: ForestType;
+  restricted: boolean;
+  overlap_area_ha: number;
+}
+
+export interface ForestImportMapping {
+  name: string;
+  type: string;
+  notification_ref: string;
+  valid_from: string;
+  valid_to: string;
+}
+
+export const DEFAULT_FOREST_IMPORT_MAPPING: ForestImportMapping = {
+  name: 'name',
+  type: 'type',
+  notification_ref: 'notification_ref',
+  valid_from: 'valid_from',
+  valid_to: 'valid_to'
+};
+
+export interface ForestImportRow {
+  index: number;
+  feature_id?: string | number;
+  outcome: 'created' | 'updated' | 'rejected';
+  forest_id?: number;
+  name?: string;
+  type?: ForestType;
+  area_ha?: number;
+  errors?: string[];
+  repairs?: string[];
+}
+
+export interface ForestImportReport {
+  dryRun: boolean;
+  total: number;
+  created: number;
+  updated: number;
+  rejected: number;
+  rows: ForestImportRow[];
+}
+
+export type DeleteForestResult =
+  | { outcome: 'not_found' }
+  | { outcome: 'in_use'; disputes: number }
+  | { outcome: 'ok'; forest: Record<string, any> };
+
+/**
+ * Validate forest fields sent to the API, with `type` given as a code, label
+ * or abbreviation. Geometry is checked separately.
+ */
+export function validateForestDetails(details: any, requireAll: boolean): string[] {
+  const errors: string[] = [];
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return ['forest must be an object'];
+  }
+
+  if (requireAll && (!details.name || !String(details.name).trim())) {
+    errors.push('name is required');
+  }
+  if (!requireAll && details.name !== undefined && !String(details.name ?? '').trim()) {
+    errors.push('name cannot be empty');
+  }
+  if ((requireAll || details.type !== undefined) && parseForestType(details.type) === null) {
+    errors.push(`type must be one of: ${FOREST_TYPES.join(', ')}`);
+  }
+  for (const field of ['valid_from', 'valid_to']) {
+    const value = details[field];
+    if (value != null && value !== '' && (!DATE_PATTERN.test(String(value)) || isNaN(Date.parse(String(value))))) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+  if (details.valid_from && details.valid_to && String(details.valid_from) > String(details.valid_to)) {
+    errors.push('valid_from must not be after valid_to');
+  }
+
+  return errors;
+}
+
+const FOREST_COLUMNS = `
+  f.id, f.name, f.type, f.notification_ref,
+  f.valid_from::text AS valid_from, f.valid_to::text AS valid_to,
+  ${ACTIVE_FOREST_CONDITION} AS active,
+  ST_Area(f.geom::geography) / 10000 AS area_ha,
+  f.created_at, f.updated_at`;
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+function emptyToNull(value: unknown): string | null {
+  return value === undefined || value === null || value === '' ? null : String(value).trim();
+}
+
+// Shapefile date fields are read as Date objects
+function dateOrNull(value: unknown): string | null {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return emptyToNull(value);
+}
+
+function toForest(row: Record<string, any>): Record<string, any> {
+  return {
+    ...row,
+    label: FOREST_TYPE_RULES[row.type as ForestType]?.label ?? row.type,
+    area_ha: row.area_ha === null ? null : parseFloat(row.area_ha)
+  };
+}
+
+export class ForestService {
+  private claimGeometryService = new ClaimGeometryService();
+
+  /**
+   * List forests, largest first within each name match
+   */
+  async listForests(filters: ForestFilters): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (filters.q) {
+      params.push(filters.q.trim());
+      conditions.push(`(f.name ILIKE '%' || $${params.length} || '%' OR f.notification_ref = $${params.length})`);
+    }
+    if (filters.type) {
+      params.push(filters.type);
+      conditions.push(`f.type = $${params.length}`);
+    }
+    if (filters.active !== undefined) {
+      conditions.push(filters.active ? `(${ACTIVE_FOREST_CONDITION})` : `NOT (${ACTIVE_FOREST_CONDITION})`);
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${FOREST_COLUMNS}
+       FROM forests f
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY f.name, f.id
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows.map(toForest);
+  }
+
+  /**
+   * Get a forest with its boundary as GeoJSON and the number of claim disputes over it
+   */
+  async getForest(id: number, withGeometry = true): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT ${FOREST_COLUMNS},
+              ${withGeometry ? 'ST_AsGeoJSON(f.geom)::json AS geometry,' : ''}
+              (SELECT COUNT(*)::int FROM claim_disputes d WHERE d.forest_id = f.id) AS dispute_count
+       FROM forests f
+       WHERE f.id = $1`,
+      [id]
+    );
+    return result.rows[0] ? toForest(result.rows[0]) : null;
+  }
+
+  /**
+   * Validate a forest boundary and normalise it to a MultiPolygon
+   */
+  validateBoundary(geom: any, repair: boolean) {
+    return this.claimGeometryService.validate(geom, { repair, maxAreaHa: MAX_FOREST_AREA_HA });
+  }
+
+  /**
+   * Insert a forest and return its id
+   */
+  async createForest(details: ForestDetails, client?: PoolClient): Promise<number> {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO forests (name, type, notification_ref, valid_from, valid_to, geom)
+       VALUES ($1, $2, $3, $4, $5, ST_SetSRID(ST_GeomFromGeoJSON($6), 4326))
+       RETURNING id`,
+      [
+        String(details.name).trim(),
+        details.type || 'other',
+        emptyToNull(details.notification_ref),
+        emptyToNull(details.valid_from),
+        emptyToNull(details.valid_to),
+        JSON.stringify(details.geom)
+      ]
+    );
+    return result.rows[0].id;
+  }
+
+  /**
+   * Update the fields present in `details`. Returns false when the forest does
+   * not exist.
+   */
+  async updateForest(id: number, details: ForestDetails, client?: PoolClient): Promise<boolean> {
+    const db = client || pool;
+    const fields: string[] = [];
+    const values: any[] = [];
+
+    const set = (column: string, value: unknown, expression = (p: string) => p) => {
+      values.push(value);
+      fields.push(`${column} = ${expression(`$${values.length}`)}`);
+    };
+
+    if (details.name !== undefined) set('name', String(details.name).trim());
+    if (details.type !== undefined) set('type', details.type);
+    for (const column of ['notification_ref', 'valid_from', 'valid_to'] as const) {
+      if (details[column] !== undefined) set(column, emptyToNull(details[column]));
+    }
+    if (details.geom !== undefined) {
+      set('geom', JSON.stringify(details.geom), (p) => `ST_SetSRID(ST_GeomFromGeoJSON(${p}), 4326)`);
+    }
+
+    if (fields.length === 0) {
+      const exists = await db.query(`SELECT 1 FROM forests WHERE id = $1`, [id]);
+      return exists.rows.length > 0;
+    }
+
+    values.push(id);
+    const result = await db.query(
+      `UPDATE forests SET ${fields.join(', ')} WHERE id = $${values.length}`,
+      values
+    );
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Delete a forest no claim dispute refers to. Disputes would be deleted with
+   * it, so areas that have been denotified should get a `valid_to` instead.
+   */
+  async deleteForest(id: number): Promise<DeleteForestResult> {
+    const forest = await this.getForest(id, false);
+    if (!forest) return { outcome: 'not_found' };
+    if (forest.dispute_count > 0) {
+      return { outcome: 'in_use', disputes: forest.dispute_count };
+    }
+
+    await pool.query(`DELETE FROM forests WHERE id = $1`, [id]);
+    return { outcome: 'ok', forest };
+  }
+
+  /**
+   * Forests in force today that intersect a GeoJSON geometry
+   */
+  async findOverlappingForests(geom: Record<string, any>): Promise<ForestOverlap[]> {
+    const result = await pool.query(
+      `WITH input AS (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS g)
+       SELECT f.id, f.name, f.type, ${RESTRICTED_FOREST_CONDITION} AS restricted,
+              ST_Area(ST_Intersection(f.geom, input.g)::geography) / 10000 AS overlap_area_ha
+       FROM forests f, input
+       WHERE ST_Intersects(f.geom, input.g)
+         AND ${ACTIVE_FOREST_CONDITION}
+       ORDER BY f.id`,
+      [JSON.stringify(geom)]
+    );
+
+    return result.rows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      restricted: row.restricted,
+      overlap_area_ha: round(parseFloat(row.overlap_area_ha) || 0)
+    }));
+  }
+
+  /**
+   * Create or update forests from GIS features. A feature updates the forest
+   * with the same notification reference and name, and creates one otherwise.
+   * Each feature runs in its own savepoint; a dry run rolls everything back.
+   */
+  async importFeatures(
+    features: any[],
+    options: { mapping: ForestImportMapping; dryRun: boolean; repair: boolean; defaultType?: ForestType }
+  ): Promise<ForestImportReport> {
+    const { mapping } = options;
+    const rows: ForestImportRow[] = [];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (let index = 0; index < features.length; index++) {
+        const feature = features[index];
+        const props = feature?.properties || {};
+        const row: ForestImportRow = { index, outcome: 'rejected' };
+        if (feature?.id !== undefined) row.feature_id = feature.id;
+        rows.push(row);
+
+        const raw = {
+          name: props[mapping.name] != null ? String(props[mapping.name]).trim() : undefined,
+          type: props[mapping.type] ?? options.defaultType,
+          notification_ref: emptyToNull(props[mapping.notification_ref]),
+          valid_from: dateOrNull(props[mapping.valid_from]),
+          valid_to: dateOrNull(props[mapping.valid_to])
+        };
+        row.name = raw.name;
+
+        const errors = validateForestDetails(raw, true);
+        const type = parseForestType(raw.type);
+        if (type) row.type = type;
+
+        const validation = await this.validateBoundary(feature?.geometry, options.repair);
+        if (!validation.ok) {
+          errors.push(...validation.details.map((d) => `${validation.error}: ${d.reason}`));
+        } else {
+          row.area_ha = round(validation.area_ha);
+          if (validation.repaired) row.repairs = validation.repairs;
+        }
+
+        if (errors.length > 0 || !validation.ok || !type) {
+          row.errors = errors;
+          continue;
+        }
+
+        const details: ForestDetails = { ...raw, type, geom: validation.geometry };
+
+        try {
+          await client.query('SAVEPOINT import_forest');
+
+          const existing = raw.notification_ref
+            ? await client.query(
+                `SELECT id FROM forests WHERE notification_ref = $1 AND lower(name) = lower($2) LIMIT 1`,
+                [raw.notification_ref, raw.name]
+              )
+            : { rows: [] as any[] };
+
+          if (existing.rows.length > 0) {
+            row.forest_id = existing.rows[0].id;
+            await this.updateForest(existing.rows[0].id, details, client);
+            row.outcome = 'updated';
+          } else {
+            row.forest_id = await this.createForest(details, client);
+            row.outcome = 'created';
+          }
+
+          await client.query('RELEASE SAVEPOINT import_forest');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_forest');
+          row.outcome = 'rejected';
+          delete row.forest_id;
+          row.errors = [error instanceof Error ? error.message : 'Unknown error'];
+        }
+      }
+
+      await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Nothing was written on a dry run, so ids of new forests are meaningless
+    if (options.dryRun) {
+      rows.filter((row) => row.outcome === 'created').forEach((row) => delete row.forest_id);
+    }
+
+    return {
+      dryRun: options.dryRun,
+      total: rows.length,
+      created: rows.filter((r) => r.outcome === 'created').length,
+      updated: rows.filter((r) => r.outcome === 'updated').length,
+      rejected: rows.filter((r) => r.outcome === 'rejected').length,
+      rows
+    };
+  }
+}
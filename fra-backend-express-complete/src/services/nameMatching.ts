@@ -0,0 +1,119 @@
+/**
+ * Spelling-tolerant keys for Indian personal names, so that "Sunita Devi",
+ * "Suneeta Devee" and "सुनीता देवी" compare as (nearly) the same name.
+ * Devanagari is transliterated to Latin first; the key then folds the
+ * spelling variants that romanised names commonly differ by.
+ */
+
+const CONSONANTS: Record<string, string> = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y'
+};
+
+const VOWELS: Record<string, string> = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+
+const MATRAS: Record<string, string> = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const SIGNS: Record<string, string> = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+
+const VIRAMA = '्';
+const NUKTA = '़';
+
+// Honorifics and relation words that are written inconsistently and say nothing about identity
+const STOP_WORDS = new Set([
+  'shri', 'sri', 'shree', 'smt', 'shrimati', 'srimati', 'kumari', 'km', 'mr', 'mrs', 'ms', 'late', 'swargiya',
+  'श्री', 'श्रीमती', 'सुश्री', 'कुमारी', 'स्व', 'स्वर्गीय'
+]);
+
+/**
+ * Romanise Devanagari text, leaving other characters untouched.
+ * Consonants carry an inherent "a" unless followed by a vowel sign or virama.
+ */
+export function transliterate(text: string): string {
+  const chars = Array.from(text.normalize('NFC'));
+  let out = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    let ch = chars[i];
+    if (chars[i + 1] === NUKTA && CONSONANTS[ch + NUKTA]) {
+      ch = ch + NUKTA;
+      i++;
+    }
+
+    if (CONSONANTS[ch]) {
+      out += CONSONANTS[ch];
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        i++;
+      } else if (!MATRAS[next]) {
+        out += 'a';
+      }
+    } else if (MATRAS[ch]) {
+      out += MATRAS[ch];
+    } else if (VOWELS[ch]) {
+      out += VOWELS[ch];
+    } else if (SIGNS[ch]) {
+      out += SIGNS[ch];
+    } else if (ch !== NUKTA && ch !== VIRAMA) {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+function wordKey(word: string): string {
+  let key = transliterate(word)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+  key = key
+    .replace(/x/g, 'ks')
+    .replace(/q/g, 'k')
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v')
+    .replace(/ph/g, 'f')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/y$/, 'i')
+    // Aspiration is often dropped in romanised names: Bhagat / Bagat, Lakshmi / Laksmi
+    .replace(/([bcdgjkpst])h/g, '$1')
+    .replace(/a$/, '')
+    .replace(/h$/, '')
+    // Anusvara is romanised as "n" but usually written "ng" before a consonant: Singh / सिंह
+    .replace(/ng(?![aeiou])/g, 'n')
+    .replace(/(.)\1+/g, '$1');
+
+  // Short and unwritten "a" vowels (schwa deletion) are the most common variation
+  return key.charAt(0) + key.slice(1).replace(/a/g, '');
+}
+
+/**
+ * Build the comparison key of a name: transliterated, without honorifics,
+ * one folded token per word
+ */
+export function nameKey(name: string | null | undefined): string | null {
+  if (!name) return null;
+
+  const words = name
+    .split(/[\s.,\-/]+/)
+    .filter((word) => word && !STOP_WORDS.has(word.toLowerCase()))
+    .map(wordKey)
+    .filter(Boolean);
+
+  return words.length > 0 ? words.join(' ') : null;
+}
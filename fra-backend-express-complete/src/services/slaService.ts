@@ -0,0 +1,216 @@
+import { pool } from '../db/pool';
+import { CLAIM_STATUSES, CLAIM_TRANSITIONS, ClaimStatus } from './claimStatusService';
+import { CommitteeBody, committeeForStatus, COMMITTEE_LABELS } from './committeeService';
+
+/**
+ * Statuses a claim can be held up at; approved and rejected claims are closed
+ * and have no SLA
+ */
+export const SLA_STATUSES = CLAIM_STATUSES.filter((status) => CLAIM_TRANSITIONS[status].length > 0);
+
+export function isSlaStatus(value: unknown): value is ClaimStatus {
+  return typeof value === 'string' && SLA_STATUSES.includes(value as ClaimStatus);
+}
+
+export interface StageSla {
+  status: ClaimStatus;
+  sla_days: number;
+  updated_by: string;
+  updated_at: Date;
+}
+
+export interface OverdueFilters {
+  district?: string;
+  status?: ClaimStatus;
+  claim_type?: string;
+}
+
+export interface OverdueClaim {
+  id: string;
+  claimant_name: string;
+  claim_type: string;
+  village_id: number | null;
+  village_name: string | null;
+  stage_entered_at: Date;
+  age_days: number;
+  days_overdue: number;
+}
+
+export interface OverdueGroup {
+  district: string;
+  status: ClaimStatus;
+  pending_with: { body: CommitteeBody; label: string } | null;
+  sla_days: number;
+  count: number;
+  max_days_overdue: number;
+  claims: OverdueClaim[];
+}
+
+// Claims without a village are reported under this district
+export const UNKNOWN_DISTRICT = 'Unknown';
+
+/**
+ * Open claims with the time spent at their current status, measured from the
+ * latest status change (or filing, for claims older than the status history)
+ */
+const STAGE_AGE_QUERY = `
+  SELECT c.id, c.claimant_name, c.claim_type, c.status, c.village_id, v.name AS village_name,
+         COALESCE(v.district, '${UNKNOWN_DISTRICT}') AS district,
+         COALESCE(h.changed_at, c.created_at) AS stage_entered_at,
+         FLOOR(EXTRACT(EPOCH FROM NOW() - COALESCE(h.changed_at, c.created_at)) / 86400)::int AS age_days,
+         s.sla_days
+  FROM claims c
+  JOIN claim_stage_slas s ON s.status = c.status
+  LEFT JOIN villages v ON c.village_id = v.id
+  LEFT JOIN LATERAL (
+    SELECT changed_at FROM claim_status_history
+    WHERE claim_id = c.id
+    ORDER BY changed_at DESC, id DESC
+    LIMIT 1
+  ) h ON TRUE
+  WHERE c.deleted_at IS NULL`;
+
+export class SlaService {
+  /**
+   * List the SLA of every stage in review order
+   */
+  async listSlas(): Promise<StageSla[]> {
+    const result = await pool.query(
+      `SELECT status, sla_days, updated_by, updated_at FROM claim_stage_slas`
+    );
+    return result.rows.sort(
+      (a, b) => CLAIM_STATUSES.indexOf(a.status) - CLAIM_STATUSES.indexOf(b.status)
+    );
+  }
+
+  async getSla(status: ClaimStatus): Promise<StageSla | null> {
+    const result = await pool.query(
+      `SELECT status, sla_days, updated_by, updated_at FROM claim_stage_slas WHERE status = $1`,
+      [status]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set the number of days a claim may stay at a status
+   */
+  async setSla(status: ClaimStatus, slaDays: number, updatedBy: string): Promise<StageSla> {
+    const result = await pool.query(
+      `INSERT INTO claim_stage_slas (status, sla_days, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (status) DO UPDATE
+         SET sla_days = EXCLUDED.sla_days, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING status, sla_days, updated_by, updated_at`,
+      [status, slaDays, updatedBy]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Claims past the SLA of their current status, grouped by district and
+   * status. Groups are ordered by district and review stage, claims by how
+   * long they are overdue.
+   */
+  async listOverdue(filters: OverdueFilters): Promise<OverdueGroup[]> {
+    const conditions = ['age_days > sla_days'];
+    const params: any[] = [];
+
+    if (filters.district) {
+      params.push(filters.district);
+      conditions.push(`lower(district) = lower($${params.length})`);
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (filters.claim_type) {
+      params.push(filters.claim_type);
+      conditions.push(`claim_type::text = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM (${STAGE_AGE_QUERY}) stage
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY district, age_days - sla_days DESC, stage_entered_at`,
+      params
+    );
+
+    const groups = new Map<string, OverdueGroup>();
+    for (const row of result.rows) {
+      const key = `${row.district}\u0000${row.status}`;
+      let group = groups.get(key);
+      if (!group) {
+        const body = committeeForStatus(row.status);
+        group = {
+          district: row.district,
+          status: row.status,
+          pending_with: body ? { body, label: COMMITTEE_LABELS[body] } : null,
+          sla_days: row.sla_days,
+          count: 0,
+          max_days_overdue: 0,
+          claims: []
+        };
+        groups.set(key, group);
+      }
+
+      const daysOverdue = row.age_days - row.sla_days;
+      group.count++;
+      group.max_days_overdue = Math.max(group.max_days_overdue, daysOverdue);
+      group.claims.push({
+        id: row.id,
+        claimant_name: row.claimant_name,
+        claim_type: row.claim_type,
+        village_id: row.village_id,
+        village_name: row.village_name,
+        stage_entered_at: row.stage_entered_at,
+        age_days: row.age_days,
+        days_overdue: daysOverdue
+      });
+    }
+
+    return [...groups.values()].sort(
+      (a, b) =>
+        a.district.localeCompare(b.district) ||
+        CLAIM_STATUSES.indexOf(a.status) - CLAIM_STATUSES.indexOf(b.status)
+    );
+  }
+
+  /**
+   * Whether the backlog has been snapshotted today
+   */
+  async hasSnapshot(): Promise<boolean> {
+    const result = await pool.query(
+      `SELECT 1 FROM claim_backlog_snapshots WHERE snapshot_date = CURRENT_DATE LIMIT 1`
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Record today's open and overdue claims per district and status, replacing
+   * an earlier snapshot of the same day. Returns the number of rows written.
+   */
+  async takeSnapshot(): Promise<number> {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM claim_backlog_snapshots WHERE snapshot_date = CURRENT_DATE`);
+      const inserted = await client.query(
+        `INSERT INTO claim_backlog_snapshots
+           (snapshot_date, district, status, pending_count, overdue_count, avg_age_days, max_age_days)
+         SELECT CURRENT_DATE, district, status, COUNT(*),
+                COUNT(*) FILTER (WHERE age_days > sla_days),
+                ROUND(AVG(age_days), 1), MAX(age_days)
+         FROM (${STAGE_AGE_QUERY}) stage
+         GROUP BY district, status`
+      );
+      await client.query('COMMIT');
+      return inserted.rowCount ?? 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
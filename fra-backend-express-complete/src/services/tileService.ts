@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { pool } from '../db/pool';
+import { ACTIVE_FOREST_CONDITION } from './forestService';
+
+export interface TileLayer {
+  name: string;
+  description: string;
+  minZoom: number;
+  maxZoom: number;
+  // Seconds clients and proxies may reuse a tile
+  maxAge: number;
+  attributes: string[];
+  /**
+   * SELECT producing `geom` in EPSG:3857 clipped with ST_AsMVTGeom plus the
+   * attribute columns. `bounds.geom` is the tile envelope in EPSG:3857 and
+   * `bounds.geom4326` the same envelope in WGS84 for index-friendly filtering.
+   */
+  sql: string;
+}
+
+export interface Tile {
+  data: Buffer;
+  etag: string;
+}
+
+const MVT_EXTENT = 4096;
+const MVT_BUFFER = 64;
+const clip = (geometry: string) =>
+  `ST_AsMVTGeom(ST_Transform(${geometry}, 3857), bounds.geom, ${MVT_EXTENT}, ${MVT_BUFFER}, true)`;
+
+export const TILE_LAYERS: Record<string, TileLayer> = {
+  claims: {
+    name: 'claims',
+    description: 'FRA claim boundaries styled by status',
+    minZoom: 4,
+    maxZoom: 22,
+    maxAge: 300,
+    attributes: ['id', 'claim_type', 'claimant_name', 'village_id', 'status', 'area_ha'],
+    sql: `
+      SELECT ${clip('c.geom')} AS geom,
+             c.id::text AS id, c.claim_type::text AS claim_type, c.claimant_name, c.village_id,
+             c.status::text AS status,
+             round((ST_Area(c.geom::geography) / 10000)::numeric, 4)::float AS area_ha
+      FROM claims c, bounds
+      WHERE c.geom && bounds.geom4326
+        AND c.deleted_at IS NULL`
+  },
+  forests: {
+    name: 'forests',
+    description: 'Protected and reserved forest areas',
+    minZoom: 0,
+    maxZoom: 22,
+    maxAge: 3600,
+    attributes: ['id', 'name', 'type', 'notification_ref', 'active'],
+    sql: `
+      SELECT ${clip('f.geom')} AS geom,
+             f.id, f.name, f.type, f.notification_ref,
+             ${ACTIVE_FOREST_CONDITION} AS active
+      FROM forests f, bounds
+      WHERE f.geom && bounds.geom4326`
+  },
+  admin_units: {
+    name: 'admin_units',
+    description: 'State, district and subdistrict boundaries; finer levels appear as you zoom in',
+    minZoom: 0,
+    maxZoom: 22,
+    maxAge: 86400,
+    attributes: ['id', 'level', 'name', 'parent_id', 'unit_type'],
+    // $1 is the tile's zoom level
+    sql: `
+      SELECT ${clip('u.geom')} AS geom,
+             u.id, u.level, u.name, u.parent_id, u.unit_type
+      FROM admin_units u, bounds
+      WHERE u.geom && bounds.geom4326
+        AND (u.level = 'state'
+             OR (u.level = 'district' AND $1 >= 5)
+             OR (u.level = 'subdistrict' AND $1 >= 7))`
+  },
+  forest_alerts: {
+    name: 'forest_alerts',
+    description: 'Forest alerts styled by severity',
+    minZoom: 0,
+    maxZoom: 22,
+    maxAge: 60,
+    attributes: ['id', 'severity', 'cause', 'source', 'confidence', 'state', 'date'],
+    // Matches the ST_Point(lon, lat) expression of idx_alerts_location, which carries no SRID
+    sql: `
+      SELECT ${clip('ST_SetSRID(ST_Point(a.lon, a.lat), 4326)')} AS geom,
+             a.id::text AS id, a.severity::text AS severity, a.cause, a.source::text AS source,
+             a.confidence, a.state, a.date::text AS date
+      FROM forest_alerts a, bounds
+      WHERE ST_Point(a.lon, a.lat) && ST_SetSRID(bounds.geom4326, 0)`
+  }
+};
+
+export class TileService {
+  isValidTile(z: number, x: number, y: number): boolean {
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 22) return false;
+    const size = 2 ** z;
+    return x >= 0 && x < size && y >= 0 && y < size;
+  }
+
+  /**
+   * Render one Mapbox Vector Tile. Returns null for an empty tile and for zoom
+   * levels outside the layer's range.
+   */
+  async getTile(layer: TileLayer, z: number, x: number, y: number): Promise<Tile | null> {
+    if (z < layer.minZoom || z > layer.maxZoom) {
+      return null;
+    }
+
+    const query = `
+      WITH bounds AS (
+        SELECT ST_TileEnvelope($1, $2, $3) AS geom,
+               ST_Transform(ST_TileEnvelope($1, $2, $3), 4326) AS geom4326
+      ), features AS (
+        ${layer.sql}
+      )
+      SELECT ST_AsMVT(features.*, $4, ${MVT_EXTENT}, 'geom') AS tile
+      FROM features
+      WHERE geom IS NOT NULL
+    `;
+
+    const result = await pool.query(query, [z, x, y, layer.name]);
+    const data: Buffer | null = result.rows[0]?.tile;
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    const etag = `"${crypto.createHash('sha1').update(data).digest('base64url')}"`;
+    return { data, etag };
+  }
+}
@@ -0,0 +1,470 @@
+import { PoolClient } from 'pg';
+import { pool } from '../db/pool';
+import { ClaimGeometryService } from './claimGeometryService';
+
+// Claims may stick out of a digitised village boundary by this much before they are rejected
+export const VILLAGE_BOUNDARY_TOLERANCE_M = Number(process.env.VILLAGE_BOUNDARY_TOLERANCE_M || 250);
+
+// The largest villages are a few thousand hectares; anything far beyond is a district or wrong units
+export const MAX_VILLAGE_AREA_HA = Number(process.env.VILLAGE_MAX_AREA_HA || 100000);
+
+export const MAX_VILLAGE_IMPORT_FEATURES = 20000;
+
+const CODE_PATTERN = /^\d{1,20}$/;
+
+export interface VillageDetails {
+  name?: string;
+  district?: string | null;
+  subdistrict?: string | null;
+  state?: string | null;
+  region?: string | null;
+  lgd_code?: string | null;
+  census_code?: string | null;
+  // A validated MultiPolygon, or null to remove the boundary
+  geom?: Record<string, any> | null;
+}
+
+export interface VillageFilters {
+  q?: string;
+  district?: string;
+  state?: string;
+  has_boundary?: boolean;
+  limit: number;
+  offset: number;
+}
+
+export interface VillageImportMapping {
+  name: string;
+  district: string;
+  subdistrict: string;
+  state: string;
+  lgd_code: string;
+  census_code: string;
+}
+
+export const DEFAULT_VILLAGE_IMPORT_MAPPING: VillageImportMapping = {
+  name: 'name',
+  district: 'district',
+  subdistrict: 'subdistrict',
+  state: 'state',
+  lgd_code: 'lgd_code',
+  census_code: 'census_code'
+};
+
+export interface VillageImportRow {
+  index: number;
+  feature_id?: string | number;
+  outcome: 'created' | 'updated' | 'rejected';
+  village_id?: number;
+  name?: string;
+  lgd_code?: string | null;
+  area_ha?: number;
+  errors?: string[];
+  repairs?: string[];
+}
+
+export interface VillageImportReport {
+  dryRun: boolean;
+  total: number;
+  created: number;
+  updated: number;
+  rejected: number;
+  rows: VillageImportRow[];
+}
+
+export interface VillageBoundaryPosition {
+  status: 'within' | 'near' | 'outside';
+  village_id: number;
+  village_name: string;
+  // Part of the claim outside the village boundary
+  outside_area_ha: number;
+  outside_pct: number;
+  // Gap between claim and village; 0 when they touch or overlap
+  distance_m: number;
+  tolerance_m: number;
+}
+
+export type VillageBoundaryCheck =
+  | { status: 'village_not_found'; village_id: number }
+  | { status: 'no_boundary'; village_id: number }
+  | VillageBoundaryPosition;
+
+export type DeleteVillageResult =
+  | { outcome: 'not_found' }
+  | { outcome: 'in_use'; claims: number }
+  | { outcome: 'ok'; village: Record<string, any> };
+
+/**
+ * Validate village fields sent to the API. Geometry is checked separately by
+ * ClaimGeometryService.
+ */
+export function validateVillageDetails(details: any, requireName: boolean): string[] {
+  const errors: string[] = [];
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return ['village must be an object'];
+  }
+
+  if (requireName && (!details.name || !String(details.name).trim())) {
+    errors.push('name is required');
+  }
+  if (!requireName && details.name !== undefined && !String(details.name ?? '').trim()) {
+    errors.push('name cannot be empty');
+  }
+  for (const field of ['lgd_code', 'census_code']) {
+    if (details[field] != null && !CODE_PATTERN.test(String(details[field]).trim())) {
+      errors.push(`${field} must be a numeric code`);
+    }
+  }
+
+  return errors;
+}
+
+const VILLAGE_COLUMNS = `
+  v.id, v.name, v.district, v.subdistrict, v.state, v.region, v.lgd_code, v.census_code,
+  v.geom IS NOT NULL AS has_boundary,
+  ST_Area(v.geom::geography) / 10000 AS area_ha,
+  v.created_at, v.updated_at`;
+
+/**
+ * Where claim geometry `claim` lies relative to village boundary `boundary`;
+ * `tolerance` is the placeholder holding the allowed overhang in metres
+ */
+const boundaryCheckColumns = (claim: string, boundary: string, tolerance: string) => `
+  ST_CoveredBy(${claim}, ${boundary}) AS within,
+  ST_CoveredBy(${claim}, ST_Buffer(${boundary}::geography, ${tolerance})::geometry) AS near,
+  ST_Area(ST_Difference(${claim}, ${boundary})::geography) / 10000 AS outside_area_ha,
+  ST_Area(${claim}::geography) / 10000 AS area_ha,
+  ST_Distance(${claim}::geography, ${boundary}::geography) AS distance_m`;
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+function normalizeCode(value: unknown): string | null {
+  return value === undefined || value === null || value === '' ? null : String(value).trim();
+}
+
+function toVillage(row: Record<string, any>): Record<string, any> {
+  return { ...row, area_ha: row.area_ha === null ? null : parseFloat(row.area_ha) };
+}
+
+export class VillageService {
+  private claimGeometryService = new ClaimGeometryService();
+
+  /**
+   * List villages. `q` matches names fuzzily (OCR and transliteration
+   * misspell them) and LGD or census codes exactly.
+   */
+  async listVillages(filters: VillageFilters): Promise<Record<string, any>[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    let order = 'v.state, v.district, v.name, v.id';
+
+    if (filters.q) {
+      params.push(filters.q.trim());
+      const q = `$${params.length}`;
+      conditions.push(
+        `(lower(v.name) % lower(${q}) OR v.name ILIKE '%' || ${q} || '%' OR v.lgd_code = ${q} OR v.census_code = ${q})`
+      );
+      order = `similarity(lower(v.name), lower(${q})) DESC, v.id`;
+    }
+    if (filters.district) {
+      params.push(filters.district);
+      conditions.push(`lower(v.district) = lower($${params.length})`);
+    }
+    if (filters.state) {
+      params.push(filters.state);
+      conditions.push(`lower(v.state) = lower($${params.length})`);
+    }
+    if (filters.has_boundary !== undefined) {
+      conditions.push(filters.has_boundary ? 'v.geom IS NOT NULL' : 'v.geom IS NULL');
+    }
+
+    params.push(filters.limit, filters.offset);
+    const result = await pool.query(
+      `SELECT ${VILLAGE_COLUMNS}
+       FROM villages v
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${order}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows.map(toVillage);
+  }
+
+  /**
+   * Get a village with its boundary as GeoJSON and how many active claims it has
+   */
+  async getVillage(id: number, withGeometry = true): Promise<Record<string, any> | null> {
+    const result = await pool.query(
+      `SELECT ${VILLAGE_COLUMNS},
+              ${withGeometry ? 'ST_AsGeoJSON(v.geom)::json AS geometry,' : ''}
+              (SELECT COUNT(*)::int FROM claims c WHERE c.village_id = v.id AND c.deleted_at IS NULL) AS claim_count
+       FROM villages v
+       WHERE v.id = $1`,
+      [id]
+    );
+    return result.rows[0] ? toVillage(result.rows[0]) : null;
+  }
+
+  /**
+   * Validate a village boundary and normalise it to a MultiPolygon
+   */
+  validateBoundary(geom: any, repair: boolean) {
+    return this.claimGeometryService.validate(geom, { repair, maxAreaHa: MAX_VILLAGE_AREA_HA });
+  }
+
+  /**
+   * Insert a village and return its id
+   */
+  async createVillage(details: VillageDetails, client?: PoolClient): Promise<number> {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO villages (name, district, subdistrict, state, region, lgd_code, census_code, geom)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+               CASE WHEN $8::text IS NULL THEN NULL ELSE ST_SetSRID(ST_GeomFromGeoJSON($8), 4326) END)
+       RETURNING id`,
+      [
+        String(details.name).trim(),
+        details.district ?? null,
+        details.subdistrict ?? null,
+        details.state ?? null,
+        details.region ?? null,
+        normalizeCode(details.lgd_code),
+        normalizeCode(details.census_code),
+        details.geom ? JSON.stringify(details.geom) : null
+      ]
+    );
+    return result.rows[0].id;
+  }
+
+  /**
+   * Update the fields that are present in `details`. Returns false when the
+   * village does not exist.
+   */
+  async updateVillage(id: number, details: VillageDetails, client?: PoolClient): Promise<boolean> {
+    const db = client || pool;
+    const fields: string[] = [];
+    const values: any[] = [];
+
+    const set = (column: string, value: unknown, expression = (p: string) => p) => {
+      values.push(value);
+      fields.push(`${column} = ${expression(`$${values.length}`)}`);
+    };
+
+    if (details.name !== undefined) set('name', String(details.name).trim());
+    for (const column of ['district', 'subdistrict', 'state', 'region'] as const) {
+      if (details[column] !== undefined) set(column, details[column]);
+    }
+    if (details.lgd_code !== undefined) set('lgd_code', normalizeCode(details.lgd_code));
+    if (details.census_code !== undefined) set('census_code', normalizeCode(details.census_code));
+    if (details.geom !== undefined) {
+      set(
+        'geom',
+        details.geom ? JSON.stringify(details.geom) : null,
+        (p) => `CASE WHEN ${p}::text IS NULL THEN NULL ELSE ST_SetSRID(ST_GeomFromGeoJSON(${p}), 4326) END`
+      );
+    }
+
+    if (fields.length === 0) {
+      const exists = await db.query(`SELECT 1 FROM villages WHERE id = $1`, [id]);
+      return exists.rows.length > 0;
+    }
+
+    values.push(id);
+    const result = await db.query(
+      `UPDATE villages SET ${fields.join(', ')} WHERE id = $${values.length}`,
+      values
+    );
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Delete a village that no claim refers to
+   */
+  async deleteVillage(id: number): Promise<DeleteVillageResult> {
+    const village = await this.getVillage(id, false);
+    if (!village) return { outcome: 'not_found' };
+
+    // Withdrawn claims still reference their village
+    const claims = await pool.query(`SELECT COUNT(*)::int AS count FROM claims WHERE village_id = $1`, [id]);
+    if (claims.rows[0].count > 0) {
+      return { outcome: 'in_use', claims: claims.rows[0].count };
+    }
+
+    await pool.query(`DELETE FROM villages WHERE id = $1`, [id]);
+    return { outcome: 'ok', village };
+  }
+
+  /**
+   * Check where a claim boundary lies relative to its village: within it, near
+   * it (sticking out by less than the tolerance) or outside it. Villages without
+   * a boundary cannot be checked.
+   */
+  async checkClaimBoundary(
+    geom: Record<string, any>,
+    villageId: number,
+    client?: PoolClient
+  ): Promise<VillageBoundaryCheck> {
+    const db = client || pool;
+    const result = await db.query(
+      `WITH claim AS (SELECT ST_SetSRID(ST_GeomFromGeoJSON($2), 4326) AS g)
+       SELECT v.id, v.name, v.geom IS NOT NULL AS has_boundary,
+              ${boundaryCheckColumns('claim.g', 'v.geom', '$3')}
+       FROM villages v, claim
+       WHERE v.id = $1`,
+      [villageId, JSON.stringify(geom), VILLAGE_BOUNDARY_TOLERANCE_M]
+    );
+
+    const row = result.rows[0];
+    if (!row) return { status: 'village_not_found', village_id: villageId };
+    if (!row.has_boundary) return { status: 'no_boundary', village_id: villageId };
+    return this.toBoundaryCheck(row);
+  }
+
+  /**
+   * Active claims of a village that are not within its boundary, furthest out first
+   */
+  async listClaimsOutsideBoundary(villageId: number): Promise<Record<string, any>[]> {
+    const result = await pool.query(
+      `SELECT c.id AS claim_id, c.claimant_name, c.status, v.id, v.name,
+              ${boundaryCheckColumns('c.geom', 'v.geom', '$2')}
+       FROM claims c
+       JOIN villages v ON c.village_id = v.id
+       WHERE v.id = $1
+         AND v.geom IS NOT NULL
+         AND c.deleted_at IS NULL
+         AND NOT ST_CoveredBy(c.geom, v.geom)
+       ORDER BY distance_m DESC, outside_area_ha DESC`,
+      [villageId, VILLAGE_BOUNDARY_TOLERANCE_M]
+    );
+
+    return result.rows.map((row) => {
+      const { village_id, village_name, ...check } = this.toBoundaryCheck(row);
+      return { claim_id: row.claim_id, claimant_name: row.claimant_name, claim_status: row.status, ...check };
+    });
+  }
+
+  private toBoundaryCheck(row: Record<string, any>): VillageBoundaryPosition {
+    const outsideArea = parseFloat(row.outside_area_ha) || 0;
+    const area = parseFloat(row.area_ha) || 0;
+    return {
+      status: row.within ? 'within' : row.near ? 'near' : 'outside',
+      village_id: row.id,
+      village_name: row.name,
+      outside_area_ha: round(outsideArea),
+      outside_pct: area > 0 ? round((outsideArea / area) * 100) : 0,
+      distance_m: round(parseFloat(row.distance_m) || 0),
+      tolerance_m: VILLAGE_BOUNDARY_TOLERANCE_M
+    };
+  }
+
+  /**
+   * Create or update villages from GeoJSON features. A feature updates the
+   * village with the same LGD code (or census code) and creates one otherwise.
+   * Each feature runs in its own savepoint; a dry run rolls everything back.
+   */
+  async importFeatures(
+    features: any[],
+    options: { mapping: VillageImportMapping; dryRun: boolean; repair: boolean }
+  ): Promise<VillageImportReport> {
+    const { mapping } = options;
+    const rows: VillageImportRow[] = [];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (let index = 0; index < features.length; index++) {
+        const feature = features[index];
+        const props = feature?.properties || {};
+        const row: VillageImportRow = { index, outcome: 'rejected' };
+        if (feature?.id !== undefined) row.feature_id = feature.id;
+        rows.push(row);
+
+        const details: VillageDetails = {
+          name: props[mapping.name] != null ? String(props[mapping.name]).trim() : undefined,
+          district: props[mapping.district] ?? undefined,
+          subdistrict: props[mapping.subdistrict] ?? undefined,
+          state: props[mapping.state] ?? undefined,
+          lgd_code: normalizeCode(props[mapping.lgd_code]),
+          census_code: normalizeCode(props[mapping.census_code])
+        };
+        row.name = details.name;
+        row.lgd_code = details.lgd_code;
+
+        const errors = validateVillageDetails(details, true);
+        const validation = await this.validateBoundary(feature?.geometry, options.repair);
+        if (!validation.ok) {
+          errors.push(...validation.details.map((d) => `${validation.error}: ${d.reason}`));
+        } else {
+          row.area_ha = round(validation.area_ha);
+          if (validation.repaired) row.repairs = validation.repairs;
+          details.geom = validation.geometry;
+        }
+
+        if (errors.length > 0) {
+          row.errors = errors;
+          continue;
+        }
+
+        try {
+          await client.query('SAVEPOINT import_village');
+
+          const existing = await client.query(
+            `SELECT id FROM villages
+             WHERE ($1::text IS NOT NULL AND lgd_code = $1)
+                OR ($1::text IS NULL AND $2::text IS NOT NULL AND census_code = $2)
+             LIMIT 1`,
+            [details.lgd_code, details.census_code]
+          );
+
+          if (existing.rows.length > 0) {
+            row.village_id = existing.rows[0].id;
+            // Attributes missing from the file keep their current values
+            const update = Object.fromEntries(
+              Object.entries(details).filter(([, value]) => value !== undefined && value !== null)
+            ) as VillageDetails;
+            await this.updateVillage(existing.rows[0].id, update, client);
+            row.outcome = 'updated';
+          } else {
+            row.village_id = await this.createVillage(details, client);
+            row.outcome = 'created';
+          }
+
+          await client.query('RELEASE SAVEPOINT import_village');
+        } catch (error: any) {
+          await client.query('ROLLBACK TO SAVEPOINT import_village');
+          row.outcome = 'rejected';
+          delete row.village_id;
+          row.errors = [
+            error?.code === '23505'
+              ? 'Another village already has this LGD or census code'
+              : error instanceof Error ? error.message : 'Unknown error'
+          ];
+        }
+      }
+
+      await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Nothing was written on a dry run, so ids of new villages are meaningless
+    if (options.dryRun) {
+      rows.filter((row) => row.outcome === 'created').forEach((row) => delete row.village_id);
+    }
+
+    return {
+      dryRun: options.dryRun,
+      total: rows.length,
+      created: rows.filter((r) => r.outcome === 'created').length,
+      updated: rows.filter((r) => r.outcome === 'updated').length,
+      rejected: rows.filter((r) => r.outcome === 'rejected').length,
+      rows
+    };
+  }
+}
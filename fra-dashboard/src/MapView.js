@@ -1,7 +1,7 @@
 
 
 import React, { useState, useEffect } from "react";
-import { MapContainer, TileLayer, GeoJSON, Marker, Popup, LayersControl } from "react-leaflet";
+import { MapContainer, TileLayer, GeoJSON, Marker, Popup, LayersControl, useMapEvents } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import indiaStates from "./data/india_states.json"; // full India GeoJSON
@@ -15,6 +15,9 @@ const HIGHLIGHT = {
   "madhya pradesh": { name: "Madhya Pradesh",   approved: 500, pending: 300, rejected: 200 },
 };
 
+// Pages of claims fetched for one viewport before the map asks the user to zoom in
+const MAX_VIEWPORT_PAGES = 4;
+
 // --------- helpers ----------
 const normalize = (s) =>
   (s ?? "")
@@ -48,6 +51,47 @@ const colorForPct = (p) => {
   return "#ef4444";                     // red
 };
 
+// Fetch the claims inside a bbox, following nextCursor for up to MAX_VIEWPORT_PAGES pages
+const fetchViewportClaims = async (bbox) => {
+  let claims = [];
+  let cursor = null;
+  for (let page = 0; page < MAX_VIEWPORT_PAGES; page++) {
+    const claimsData = await apiService.getClaims(cursor ? { bbox, cursor } : { bbox });
+    claims = claims.concat(claimsData.claims);
+    cursor = claimsData.nextCursor;
+    if (!cursor) break;
+  }
+  return { claims, truncated: Boolean(cursor) };
+};
+
+// Convert API claims to a GeoJSON FeatureCollection
+const toClaimsGeoJSON = (claims) => ({
+  type: "FeatureCollection",
+  features: claims.map((claim) => ({
+    type: "Feature",
+    properties: {
+      id: claim.id,
+      claimant_name: claim.claimant_name,
+      village_name: claim.village_name,
+      status: claim.status,
+    },
+    geometry: JSON.parse(claim.geometry),
+  })),
+});
+
+// Reports the visible map bounds on mount and after every pan/zoom
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(map.getBounds().toBBoxString()),
+  });
+
+  useEffect(() => {
+    onChange(map.getBounds().toBBoxString());
+  }, [map, onChange]);
+
+  return null;
+}
+
 // --------- style + tooltip ----------
 function styleFeature(feature) {
   const rawName = getStateName(feature);
@@ -105,19 +149,40 @@ Approval: ${pct}%`,
   });
 }
 
+function claimStyle(feature) {
+  const status = feature.properties.status;
+  return {
+    fillColor: status === "approved" ? "#22c55e" : status === "rejected" ? "#ef4444" : "#eab308",
+    color: "white",
+    weight: 2,
+    dashArray: "3",
+    fillOpacity: 0.7,
+  };
+}
+
+function onEachClaim(feature, layer) {
+  const { claimant_name, village_name, status } = feature.properties;
+  layer.bindTooltip(
+    `${claimant_name}
+Village: ${village_name ?? "Unknown"}
+Status: ${status}`,
+    { sticky: true }
+  );
+}
+
 // --------- component ----------
 export default function MapView({ filters = { state: 'all', year: 'all', claimType: 'all' } }) {
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [bbox, setBbox] = useState(null);
+  const [claimsGeo, setClaimsGeo] = useState(null);
+  const [claimsGeoVersion, setClaimsGeoVersion] = useState(0);
+  const [claimsTruncated, setClaimsTruncated] = useState(false);
 
   useEffect(() => {
     const loadMapData = async () => {
       try {
-        const [, alertsData] = await Promise.all([
-          apiService.getClaims(),
-          apiService.getAlertsGeoJSON({ limit: 100 })
-        ]);
-        
+        const alertsData = await apiService.getAlertsGeoJSON({ limit: 100 });
         setAlerts(alertsData.features || []);
       } catch (error) {
         console.error('Failed to load map data:', error);
@@ -129,6 +194,30 @@ export default function MapView({ filters = { state: 'all', year: 'all', claimTy
     loadMapData();
   }, []);
 
+  // Load only the claims inside the current viewport
+  useEffect(() => {
+    if (!bbox) return;
+    let cancelled = false;
+
+    const loadClaims = async () => {
+      try {
+        const { claims, truncated } = await fetchViewportClaims(bbox);
+        if (cancelled) return;
+        setClaimsGeo(toClaimsGeoJSON(claims));
+        setClaimsTruncated(truncated);
+        // GeoJSON layers do not redraw on data change, so force a remount
+        setClaimsGeoVersion((version) => version + 1);
+      } catch (error) {
+        console.error('Failed to load claims for viewport:', error);
+      }
+    };
+
+    loadClaims();
+    return () => {
+      cancelled = true;
+    };
+  }, [bbox]);
+
   // Create markers for forest alerts
   const createAlertMarkers = () => {
     return alerts
@@ -184,13 +273,23 @@ export default function MapView({ filters = { state: 'all', year: 'all', claimTy
   }
 
   return (
-    <div style={{ height: "100%", width: "100%", minHeight: "420px" }}>
+    <div style={{ height: "100%", width: "100%", minHeight: "420px", position: "relative" }}>
+      {claimsTruncated && (
+        <div
+          className="absolute top-2 left-1/2 transform -translate-x-1/2 bg-yellow-100 text-yellow-800 text-xs px-3 py-1 rounded shadow"
+          style={{ zIndex: 1000 }}
+        >
+          Showing the first {claimsGeo.features.length} claims in this view. Zoom in to see the rest.
+        </div>
+      )}
       <MapContainer
         center={[22.9734, 78.6569]} // India-ish center
         zoom={5}
         style={{ height: "100%", width: "100%" }}
         scrollWheelZoom={true}
       >
+        <ViewportWatcher onChange={setBbox} />
+
         <LayersControl position="topright">
           <LayersControl.BaseLayer checked name="OpenStreetMap">
             <TileLayer
@@ -203,6 +302,12 @@ export default function MapView({ filters = { state: 'all', year: 'all', claimTy
             <GeoJSON data={indiaStates} style={styleFeature} onEachFeature={onEachFeature} />
           </LayersControl.Overlay>
           
+          <LayersControl.Overlay checked name="Claims in View">
+            {claimsGeo && (
+              <GeoJSON key={claimsGeoVersion} data={claimsGeo} style={claimStyle} onEachFeature={onEachClaim} />
+            )}
+          </LayersControl.Overlay>
+          
           <LayersControl.Overlay checked name="Forest Alerts">
             {createAlertMarkers()}
           </LayersControl.Overlay>
@@ -37,8 +37,10 @@ class ApiService {
   }
 
   // Claims API
-  async getClaims() {
-    return this.request('/api/claims');
+  async getClaims(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/claims?${queryString}` : '/api/claims';
+    return this.request(endpoint);
   }
 
   async createClaim(claimData) {
@@ -48,9 +50,100 @@ class ApiService {
     });
   }
 
+  async getClaim(id) {
+    return this.request(`/api/claims/${id}`);
+  }
+
+  async updateClaim(id, claimData) {
+    return this.request(`/api/claims/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(claimData),
+    });
+  }
+
+  async deleteClaim(id) {
+    return this.request(`/api/claims/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async restoreClaim(id) {
+    return this.request(`/api/claims/${id}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  async updateClaimStatus(id, statusData) {
+    return this.request(`/api/claims/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify(statusData),
+    });
+  }
+
+  async getClaimHistory(id) {
+    return this.request(`/api/claims/${id}/history`);
+  }
+
+  async getClaimVersions(id) {
+    return this.request(`/api/claims/${id}/versions`);
+  }
+
+  async getClaimBoundaryDiff(id, from = 'claimed', to = 'latest') {
+    const queryString = new URLSearchParams({ from, to }).toString();
+    return this.request(`/api/claims/${id}/versions/diff?${queryString}`);
+  }
+
+  async getOverdueClaims(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/claims/overdue?${queryString}` : '/api/claims/overdue';
+    return this.request(endpoint);
+  }
+
   // Analytics API
-  async getAnalytics() {
-    return this.request('/api/analytics');
+  async getAnalytics(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics?${queryString}` : '/api/analytics';
+    return this.request(endpoint);
+  }
+
+  async getAnalyticsBreakdown(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/breakdown?${queryString}` : '/api/analytics/breakdown';
+    return this.request(endpoint);
+  }
+
+  async getAnalyticsTimeseries(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/timeseries?${queryString}` : '/api/analytics/timeseries';
+    return this.request(endpoint);
+  }
+
+  async getClaimConflicts(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/conflicts?${queryString}` : '/api/analytics/conflicts';
+    return this.request(endpoint);
+  }
+
+  async getBacklogTrend(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/backlog?${queryString}` : '/api/analytics/backlog';
+    return this.request(endpoint);
+  }
+
+  async getClaimFunnel(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/funnel?${queryString}` : '/api/analytics/funnel';
+    return this.request(endpoint);
+  }
+
+  async getOutlierUnits(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/api/analytics/outliers?${queryString}` : '/api/analytics/outliers';
+    return this.request(endpoint);
+  }
+
+  async getAnalyticsMeta() {
+    return this.request('/api/analytics/meta');
   }
 
   // Alerts API
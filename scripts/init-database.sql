@@ -51,7 +51,7 @@ CREATE TABLE IF NOT EXISTS claims (
   village_id INTEGER REFERENCES villages(id),
   claimant_name TEXT NOT NULL,
   status claim_status DEFAULT 'pending',
-  geom GEOMETRY(POLYGON, 4326),
+  geom GEOMETRY(MULTIPOLYGON, 4326),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -60,7 +60,7 @@ ALTER TABLE claims ADD COLUMN IF NOT EXISTS id UUID DEFAULT gen_random_uuid();
 ALTER TABLE claims ADD COLUMN IF NOT EXISTS village_id INTEGER;
 ALTER TABLE claims ADD COLUMN IF NOT EXISTS claimant_name TEXT;
 ALTER TABLE claims ADD COLUMN IF NOT EXISTS status claim_status DEFAULT 'pending';
-ALTER TABLE claims ADD COLUMN IF NOT EXISTS geom GEOMETRY(POLYGON, 4326);
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS geom GEOMETRY(MULTIPOLYGON, 4326);
 ALTER TABLE claims ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
 ALTER TABLE claims ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
 
@@ -120,9 +120,9 @@ ON CONFLICT DO NOTHING;
 
 -- Insert sample claims data (ensure closed rings)
 INSERT INTO claims (claimant_name, village_id, status, geom) VALUES
-('John Doe', 1, 'approved', ST_GeomFromText('POLYGON((80.0 22.8, 80.1 22.8, 80.1 22.9, 80.0 22.9, 80.0 22.8))', 4326)),
-('Jane Smith', 2, 'pending', ST_GeomFromText('POLYGON((80.3 17.2, 80.4 17.2, 80.4 17.3, 80.3 17.3, 80.3 17.2))', 4326)),
-('Bob Johnson', 1, 'rejected', ST_GeomFromText('POLYGON((80.2 22.7, 80.3 22.7, 80.3 22.8, 80.2 22.8, 80.2 22.7))', 4326))
+('John Doe', 1, 'approved', ST_Multi(ST_GeomFromText('POLYGON((80.0 22.8, 80.1 22.8, 80.1 22.9, 80.0 22.9, 80.0 22.8))', 4326))),
+('Jane Smith', 2, 'pending', ST_Multi(ST_GeomFromText('POLYGON((80.3 17.2, 80.4 17.2, 80.4 17.3, 80.3 17.3, 80.3 17.2))', 4326))),
+('Bob Johnson', 1, 'rejected', ST_Multi(ST_GeomFromText('POLYGON((80.2 22.7, 80.3 22.7, 80.3 22.8, 80.2 22.8, 80.2 22.7))', 4326)))
 ON CONFLICT DO NOTHING;
 
 -- Insert sample forest alerts data